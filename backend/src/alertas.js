@@ -0,0 +1,356 @@
+// ========================================
+// ALERTAS - REGRAS SOBRE RECLAMAÇÕES NOVAS
+// ========================================
+// Este arquivo confere cada lote de reclamações novas contra
+// as regras cadastradas da empresa (palavras-chave, regex,
+// cidade/UF, volume) e registra um alerta para cada disparo
+
+const vm = require('vm');
+const { interpretarLocal, validarUf } = require('./locais');
+const {
+  listarRegrasAlerta,
+  registrarAlertas,
+  contarReclamacoesRecentes,
+  existeAlertaRecente
+} = require('./database');
+
+// Da menos para a mais urgente
+const SEVERIDADES = ['baixa', 'media', 'alta', 'critica'];
+
+const TIPOS_REGRA = {
+  PALAVRA_CHAVE: 'palavra_chave',
+  REGEX: 'regex',
+  LOCAL: 'local',
+  VOLUME: 'volume'
+};
+
+const CAMPOS_TEXTO = ['titulo', 'descricao'];
+
+// Regex enviada por usuário: limita o tamanho do padrão e do texto
+// conferido, e o tempo de cada execução (backtracking catastrófico)
+const TAMANHO_MAXIMO_REGEX = 200;
+const TAMANHO_MAXIMO_TEXTO_REGEX = 5000;
+const TEMPO_MAXIMO_REGEX_MS = 100;
+
+// Minúsculas e sem acentos: "Processo" e "PROCESSO" dão no mesmo
+function normalizar(texto) {
+  return (texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ========================================
+// REGEX SEGURA
+// ========================================
+// Recusa os padrões que levam a backtracking exponencial: grupo
+// repetido que tem outro quantificador dentro ("(a+)+", "(\w+\s?)*")
+// ou alternativas ("(a|ab)+"), e referências a grupos ("(a+)\1").
+// O que escapar daqui ainda esbarra no tempo máximo de execução
+
+// Quantificador na posição i: { tamanho, repete } ou null.
+// repete: pode casar mais de uma vez ("?" e "{0,1}" não repetem)
+function lerQuantificador(padrao, i) {
+  const simbolo = padrao[i];
+  let tamanho = 1;
+  let repete = simbolo === '*' || simbolo === '+';
+
+  if (simbolo === '{') {
+    const chaves = padrao.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!chaves) return null; // "{" literal
+    tamanho = chaves[0].length;
+    repete = chaves[2] ? (chaves[3] === '' || parseInt(chaves[3]) > 1) : parseInt(chaves[1]) > 1;
+  } else if (!repete && simbolo !== '?') {
+    return null;
+  }
+
+  // Versão preguiçosa ("+?") tem o mesmo custo
+  if (padrao[i + tamanho] === '?') tamanho++;
+
+  return { tamanho, repete };
+}
+
+// Posição logo depois do "]" de uma classe ("[a-z]", "[^\]]")
+function fimDaClasse(padrao, i) {
+  i++;
+  while (i < padrao.length && padrao[i] !== ']') {
+    i += padrao[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+// Retorna a mensagem de erro ou null
+function verificarRegexSegura(padrao) {
+  // Um nível por grupo aberto; o primeiro é o padrão inteiro
+  const niveis = [{ quantificado: false, alternancia: false }];
+  let i = 0;
+
+  while (i < padrao.length) {
+    const simbolo = padrao[i];
+    let grupo = null;
+
+    if (simbolo === '\\') {
+      if (/[1-9k]/.test(padrao[i + 1] || '')) {
+        return 'padrao não pode ter referências a grupos (\\1, \\k<nome>)';
+      }
+      i += 2;
+    } else if (simbolo === '[') {
+      i = fimDaClasse(padrao, i);
+    } else if (simbolo === '(') {
+      niveis.push({ quantificado: false, alternancia: false });
+      // (?:  (?=  (?!  (?<=  (?<!  (?<nome>
+      const prefixo = padrao.slice(i + 1).match(/^\?(<[=!]|[:=!]|<[^>]*>)/);
+      i += 1 + (prefixo ? prefixo[0].length : 0);
+      continue;
+    } else if (simbolo === ')') {
+      grupo = niveis.pop();
+      i++;
+    } else if (simbolo === '|') {
+      niveis[niveis.length - 1].alternancia = true;
+      i++;
+      continue;
+    } else {
+      i++;
+    }
+
+    const atual = niveis[niveis.length - 1];
+    const quantificador = lerQuantificador(padrao, i);
+
+    if (grupo && quantificador && quantificador.repete) {
+      if (grupo.quantificado) {
+        return 'padrao não pode ter quantificadores aninhados, como (a+)+';
+      }
+      if (grupo.alternancia) {
+        return 'padrao não pode repetir um grupo com alternativas, como (a|ab)+';
+      }
+    }
+
+    // O que há dentro do grupo conta para os grupos de fora
+    if (grupo) {
+      atual.quantificado = atual.quantificado || grupo.quantificado;
+      atual.alternancia = atual.alternancia || grupo.alternancia;
+    }
+
+    if (quantificador) {
+      atual.quantificado = true;
+      i += quantificador.tamanho;
+    }
+  }
+
+  return null;
+}
+
+// Executa a regex com o texto cortado e tempo máximo. Passando do
+// tempo lança um erro com code ERR_SCRIPT_EXECUTION_TIMEOUT
+const SCRIPT_REGEX = new vm.Script('expressao.exec(texto)');
+const contextoRegex = vm.createContext({ expressao: null, texto: '' });
+
+function executarRegex(expressao, texto) {
+  contextoRegex.expressao = expressao;
+  contextoRegex.texto = texto.slice(0, TAMANHO_MAXIMO_TEXTO_REGEX);
+
+  try {
+    return SCRIPT_REGEX.runInContext(contextoRegex, { timeout: TEMPO_MAXIMO_REGEX_MS });
+  } finally {
+    contextoRegex.expressao = null;
+    contextoRegex.texto = '';
+  }
+}
+
+// ========================================
+// VALIDAR PARÂMETROS
+// ========================================
+// Parâmetros por tipo:
+//   palavra_chave: { palavras: ['procon', 'processo'], campos?: ['titulo', 'descricao'] }
+//   regex:         { padrao: 'advogad[oa]', campos? }
+//   local:         { uf: 'SP', cidade?: 'Campinas' }
+//   volume:        { quantidade: 10, horas: 6 }  (mais de 10 em 6 horas)
+// Retorna a mensagem de erro ou null
+function validarParametros(tipo, parametros) {
+  if (!parametros || typeof parametros !== 'object' || Array.isArray(parametros)) {
+    return 'parametros deve ser um objeto';
+  }
+
+  const campos = parametros.campos;
+  if (campos !== undefined &&
+      (!Array.isArray(campos) || campos.length === 0 || campos.some(campo => !CAMPOS_TEXTO.includes(campo)))) {
+    return `campos deve ser uma lista com: ${CAMPOS_TEXTO.join(', ')}`;
+  }
+
+  switch (tipo) {
+    case TIPOS_REGRA.PALAVRA_CHAVE:
+      if (!Array.isArray(parametros.palavras) || parametros.palavras.length === 0 ||
+          parametros.palavras.some(palavra => typeof palavra !== 'string' || !palavra.trim())) {
+        return 'palavras deve ser uma lista de textos';
+      }
+      return null;
+
+    case TIPOS_REGRA.REGEX:
+      if (typeof parametros.padrao !== 'string' || !parametros.padrao) {
+        return 'padrao é obrigatório';
+      }
+      if (parametros.padrao.length > TAMANHO_MAXIMO_REGEX) {
+        return `padrao deve ter até ${TAMANHO_MAXIMO_REGEX} caracteres`;
+      }
+      try {
+        new RegExp(parametros.padrao, 'i');
+      } catch (erro) {
+        return `padrao inválido: ${erro.message}`;
+      }
+      return verificarRegexSegura(parametros.padrao);
+
+    case TIPOS_REGRA.LOCAL:
+      if (!validarUf(parametros.uf)) {
+        return 'uf inválida';
+      }
+      if (parametros.cidade !== undefined && (typeof parametros.cidade !== 'string' || !parametros.cidade.trim())) {
+        return 'cidade deve ser um texto';
+      }
+      return null;
+
+    case TIPOS_REGRA.VOLUME:
+      if (!Number.isInteger(parametros.quantidade) || parametros.quantidade < 1) {
+        return 'quantidade deve ser um inteiro positivo';
+      }
+      if (!Number.isInteger(parametros.horas) || parametros.horas < 1 || parametros.horas > 24 * 30) {
+        return 'horas deve ser um inteiro entre 1 e 720';
+      }
+      return null;
+
+    default:
+      return `tipo deve ser um de: ${Object.values(TIPOS_REGRA).join(', ')}`;
+  }
+}
+
+// ========================================
+// CONFERIR UMA RECLAMAÇÃO
+// ========================================
+// Retorna { mensagem, dados } quando a regra dispara, ou null
+function conferirReclamacao(regra, reclamacao) {
+  const { parametros } = regra;
+  const campos = parametros.campos || CAMPOS_TEXTO;
+
+  switch (regra.tipo) {
+    case TIPOS_REGRA.PALAVRA_CHAVE: {
+      // Casa no início de palavra: "processo" pega "processos"
+      const palavras = parametros.palavras.map(palavra => normalizar(palavra.trim()));
+      const expressao = new RegExp(`(^|[^a-z0-9])(${palavras.map(escaparRegex).join('|')})`);
+
+      for (const campo of campos) {
+        const encontrada = normalizar(reclamacao[campo]).match(expressao);
+        if (encontrada) {
+          return {
+            mensagem: `"${encontrada[2]}" em ${campo}`,
+            dados: { campo, termo: encontrada[2] }
+          };
+        }
+      }
+      return null;
+    }
+
+    case TIPOS_REGRA.REGEX: {
+      const expressao = new RegExp(parametros.padrao, 'i');
+
+      for (const campo of campos) {
+        const encontrada = executarRegex(expressao, reclamacao[campo] || '');
+        if (encontrada) {
+          return {
+            mensagem: `padrão /${parametros.padrao}/ em ${campo}`,
+            dados: { campo, trecho: encontrada[0] }
+          };
+        }
+      }
+      return null;
+    }
+
+    case TIPOS_REGRA.LOCAL: {
+      const { cidade, uf } = interpretarLocal(reclamacao.local);
+      if (uf !== validarUf(parametros.uf)) return null;
+      if (parametros.cidade && normalizar(cidade) !== normalizar(parametros.cidade.trim())) return null;
+
+      return {
+        mensagem: `reclamação de ${cidade ? `${cidade}/` : ''}${uf}`,
+        dados: { cidade, uf }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+// ========================================
+// AVALIAR LOTE DE RECLAMAÇÕES NOVAS
+// ========================================
+// Chamado pelo executarMonitoramento com resultado.inseridas
+// (cada uma com reclamacaoId). Vale para as regras de todos os
+// workspaces que acompanham a empresa. Retorna os alertas criados
+async function avaliarReclamacoes(empresa, inseridas = []) {
+  if (inseridas.length === 0) return [];
+
+  const regras = await listarRegrasAlerta({ empresa, ativo: true, monitorando: true });
+  if (regras.length === 0) return [];
+
+  const disparos = [];
+
+  for (const regra of regras) {
+    const base = { regraId: regra.id, workspaceId: regra.workspace_id, empresa, severidade: regra.severidade };
+
+    if (regra.tipo === TIPOS_REGRA.VOLUME) {
+      const { quantidade, horas } = regra.parametros;
+      const total = await contarReclamacoesRecentes(empresa, horas);
+
+      if (total > quantidade && !(await existeAlertaRecente(regra.id, horas))) {
+        disparos.push({
+          ...base,
+          mensagem: `${regra.nome}: ${total} reclamações nas últimas ${horas}h (limite ${quantidade})`,
+          dados: { total, quantidade, horas }
+        });
+      }
+      continue;
+    }
+
+    for (const reclamacao of inseridas) {
+      let resultado;
+      try {
+        resultado = conferirReclamacao(regra, reclamacao);
+      } catch (erro) {
+        if (erro.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw erro;
+
+        // Regex que passou da validação (ou antiga) mas trava neste texto
+        console.warn(`⚠️  Regra ${regra.id} (${regra.nome}) passou de ${TEMPO_MAXIMO_REGEX_MS}ms na regex: ignorada neste lote`);
+        break;
+      }
+
+      if (resultado) {
+        disparos.push({
+          ...base,
+          reclamacaoId: reclamacao.reclamacaoId,
+          mensagem: `${regra.nome}: ${resultado.mensagem}`,
+          dados: { ...resultado.dados, idExterno: reclamacao.id }
+        });
+      }
+    }
+  }
+
+  const criados = await registrarAlertas(disparos);
+
+  if (criados.length > 0) {
+    console.log(`🚨 ${criados.length} alerta(s) para ${empresa}`);
+  }
+
+  return criados;
+}
+
+module.exports = {
+  SEVERIDADES,
+  TIPOS_REGRA,
+  validarParametros,
+  verificarRegexSegura,
+  conferirReclamacao,
+  avaliarReclamacoes
+};
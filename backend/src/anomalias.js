@@ -0,0 +1,138 @@
+// ========================================
+// ANOMALIAS - PICOS DE VOLUME POR EMPRESA
+// ========================================
+// Este arquivo compara o volume recente de reclamações de uma
+// empresa com a mesma janela (mesmo dia da semana e horário) das
+// semanas anteriores e registra uma anomalia quando o pico é
+// estatisticamente significativo (z-score)
+
+const { contarJanelasSemanais, registrarAnomalia, existeAnomaliaRecente } = require('./database');
+const { EVENTOS, dispararEvento } = require('./webhooks');
+require('dotenv').config();
+
+// ========================================
+// CONFIGURAÇÕES
+// ========================================
+const CONFIG = {
+  // Semanas anteriores usadas como linha de base
+  SEMANAS_BASE: 8,
+
+  // Com menos semanas de histórico a empresa ainda não é avaliada
+  MIN_SEMANAS: 3,
+
+  // Quantos desvios acima da média contam como pico
+  LIMIAR_Z: parseFloat(process.env.ANOMALIA_LIMIAR_Z) || 3
+};
+
+// Janelas avaliadas a cada execução, terminando no momento da coleta.
+// minimo: volume absoluto abaixo do qual não é anomalia (evita
+// "pico" de 2 reclamações numa empresa que costuma ter zero)
+const GRANULARIDADES = {
+  hora: { duracao: 60 * 60 * 1000, minimo: 5 },
+  dia: { duracao: 24 * 60 * 60 * 1000, minimo: 10 }
+};
+
+const MS_SEMANA = 7 * 24 * 60 * 60 * 1000;
+
+// ========================================
+// LINHA DE BASE
+// ========================================
+// Média e desvio padrão amostral das semanas anteriores. O desvio
+// tem piso de √média (variação esperada de uma contagem de Poisson),
+// senão uma base sempre igual daria z infinito com +1 reclamação
+function calcularLinhaBase(contagens) {
+  const media = contagens.reduce((total, valor) => total + valor, 0) / contagens.length;
+  const variancia = contagens.length > 1
+    ? contagens.reduce((total, valor) => total + (valor - media) ** 2, 0) / (contagens.length - 1)
+    : 0;
+
+  return {
+    media,
+    desvio: Math.max(Math.sqrt(variancia), Math.sqrt(Math.max(media, 1)))
+  };
+}
+
+function arredondar(valor, casas = 2) {
+  const fator = 10 ** casas;
+  return Math.round(valor * fator) / fator;
+}
+
+// ========================================
+// AVALIAR UMA JANELA
+// ========================================
+// Retorna a anomalia registrada ou null
+async function avaliarJanela(empresa, granularidade, referencia) {
+  const { duracao, minimo } = GRANULARIDADES[granularidade];
+  const fim = new Date(referencia.getTime());
+  const inicio = new Date(fim.getTime() - duracao);
+
+  const { contagens, primeiraReclamacao } = await contarJanelasSemanais(empresa, {
+    inicio,
+    fim,
+    semanas: CONFIG.SEMANAS_BASE
+  });
+
+  // Só entram semanas em que a empresa já tinha reclamações
+  // registradas (empresa recém-monitorada não tem base de verdade)
+  const [atual, ...anteriores] = contagens;
+  const primeira = primeiraReclamacao ? new Date(primeiraReclamacao).getTime() : Infinity;
+  const base = anteriores.filter((_, indice) => inicio.getTime() - (indice + 1) * MS_SEMANA >= primeira);
+
+  if (base.length < CONFIG.MIN_SEMANAS || atual < minimo) return null;
+
+  const { media, desvio } = calcularLinhaBase(base);
+  const zScore = (atual - media) / desvio;
+
+  if (zScore < CONFIG.LIMIAR_Z) return null;
+
+  // Um pico aparece em várias execuções seguidas: registra uma vez por janela
+  if (await existeAnomaliaRecente(empresa, granularidade, inicio)) return null;
+
+  const anomalia = await registrarAnomalia({
+    empresa,
+    granularidade,
+    inicio,
+    fim,
+    total: atual,
+    media: arredondar(media),
+    desvio: arredondar(desvio),
+    zScore: arredondar(zScore),
+    semanasBase: base.length
+  });
+
+  console.warn(
+    `📈 Pico de reclamações em ${empresa} (${granularidade}): ${atual} contra média de ` +
+    `${arredondar(media, 1)} nas últimas ${base.length} semanas (z = ${arredondar(zScore, 1)})`
+  );
+
+  return anomalia;
+}
+
+// ========================================
+// DETECTAR ANOMALIAS DE UMA EMPRESA
+// ========================================
+// Chamado pelo executarMonitoramento depois de salvar as reclamações.
+// Avisa os webhooks de cada anomalia nova. Retorna as registradas
+async function detectarAnomalias(empresa, referencia = new Date()) {
+  const registradas = [];
+
+  for (const granularidade of Object.keys(GRANULARIDADES)) {
+    const anomalia = await avaliarJanela(empresa, granularidade, referencia);
+    if (anomalia) registradas.push(anomalia);
+  }
+
+  for (const anomalia of registradas) {
+    await dispararEvento(empresa, EVENTOS.ANOMALIA_VOLUME, { anomalia }).catch((erro) => {
+      console.error(`❌ Erro ao notificar anomalia de ${empresa}:`, erro.message);
+    });
+  }
+
+  return registradas;
+}
+
+module.exports = {
+  CONFIG,
+  GRANULARIDADES,
+  calcularLinhaBase,
+  detectarAnomalias
+};
@@ -0,0 +1,269 @@
+// ========================================
+// AUTH - CHAVES DE API, JWT E PAPÉIS
+// ========================================
+// Este arquivo identifica quem chama a API (chave de API ou token
+// JWT), em qual workspace, e confere o papel: admin gerencia
+// monitoramentos, chaves e configurações; viewer só consulta
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { WORKSPACE_PADRAO, buscarChaveApiPorHash, buscarChaveApiAtiva, obterWorkspace } = require('./database');
+const { ErroNaoAutenticado, ErroPermissao, ErroNaoEncontrado } = require('./erros');
+require('dotenv').config();
+
+// ========================================
+// CONFIGURAÇÕES
+// ========================================
+const CONFIG = {
+  // Chave mestra (papel admin em qualquer workspace) para criar os
+  // workspaces e as primeiras chaves. Sem ela, só chaves já gravadas
+  // no banco dão acesso
+  CHAVE_ADMIN: process.env.API_KEY_ADMIN || null,
+
+  // Segredo HS256 dos tokens. Sem ele, JWT fica desativado
+  JWT_SEGREDO: process.env.JWT_SEGREDO || null,
+  JWT_EXPIRACAO: process.env.JWT_EXPIRACAO || '1h',
+
+  // Origens liberadas no CORS, separadas por vírgula
+  // (ex: "https://painel.empresa.com,http://localhost:5173").
+  // Vazio: só a mesma origem. "*" libera qualquer origem
+  CORS_ORIGENS: (process.env.CORS_ORIGENS || '')
+    .split(',')
+    .map(origem => origem.trim())
+    .filter(Boolean)
+};
+
+const PAPEIS = {
+  ADMIN: 'admin',
+  VIEWER: 'viewer'
+};
+
+// Chaves geradas começam assim: dá para diferenciar de um JWT
+const PREFIXO_CHAVE = 'ra_';
+
+// Métodos que o viewer pode usar
+const METODOS_LEITURA = ['GET', 'HEAD', 'OPTIONS'];
+
+// ========================================
+// CHAVES DE API
+// ========================================
+function hashChave(chave) {
+  return crypto.createHash('sha256').update(chave).digest('hex');
+}
+
+// Retorna { chave, prefixo, hash }. A chave em texto só existe aqui:
+// é mostrada uma vez na criação e o banco guarda o hash
+function gerarChaveApi() {
+  const chave = PREFIXO_CHAVE + crypto.randomBytes(32).toString('base64url');
+
+  return {
+    chave,
+    prefixo: chave.slice(0, PREFIXO_CHAVE.length + 8),
+    hash: hashChave(chave)
+  };
+}
+
+function ehChaveMestra(chave) {
+  if (!CONFIG.CHAVE_ADMIN) return false;
+
+  // Compara os hashes (mesmo tamanho) em tempo constante
+  return crypto.timingSafeEqual(
+    Buffer.from(hashChave(chave), 'hex'),
+    Buffer.from(hashChave(CONFIG.CHAVE_ADMIN), 'hex')
+  );
+}
+
+// ========================================
+// JWT
+// ========================================
+// Troca uma identidade já autenticada (chave de API) por um token
+// de curta duração. O token guarda o id da chave (sub) e só vale
+// enquanto ela estiver ativa: revogar a chave derruba os tokens
+function emitirToken(usuario) {
+  return jwt.sign(
+    { nome: usuario.nome, papel: usuario.papel, workspace: usuario.workspace },
+    CONFIG.JWT_SEGREDO,
+    { algorithm: 'HS256', expiresIn: CONFIG.JWT_EXPIRACAO, subject: String(usuario.id) }
+  );
+}
+
+function verificarToken(token) {
+  const dados = jwt.verify(token, CONFIG.JWT_SEGREDO, { algorithms: ['HS256'] });
+
+  if (!Object.values(PAPEIS).includes(dados.papel)) {
+    throw new Error('Papel inválido no token');
+  }
+
+  if (!dados.workspace || !dados.workspace.id) {
+    throw new Error('Token sem workspace');
+  }
+
+  return { tipo: 'jwt', id: dados.sub, nome: dados.nome, papel: dados.papel, workspace: dados.workspace };
+}
+
+// ========================================
+// MIDDLEWARES
+// ========================================
+// Recusas seguem para o tratador de erros do servidor (next(erro)),
+// que responde no formato padrão com o código de cada uma
+// Aceita "Authorization: Bearer <chave ou token>" ou "X-API-Key: <chave>".
+// Preenche req.usuario = { tipo, id, nome, papel, workspace }
+// (a chave mestra não tem workspace: vem com global = true)
+function lerCredencial(req) {
+  const cabecalho = req.get('authorization') || '';
+  const [esquema, valor] = cabecalho.split(' ');
+
+  if (esquema && esquema.toLowerCase() === 'bearer' && valor) return valor.trim();
+  return req.get('x-api-key') || null;
+}
+
+async function autenticar(req, res, next) {
+  const credencial = lerCredencial(req);
+
+  if (!credencial) {
+    return next(new ErroNaoAutenticado(
+      'AUTENTICACAO_NECESSARIA',
+      'Autenticação necessária (Authorization: Bearer <chave ou token> ou X-API-Key)'
+    ));
+  }
+
+  try {
+    if (ehChaveMestra(credencial)) {
+      req.usuario = { tipo: 'chave', id: 'mestra', nome: 'Chave mestra', papel: PAPEIS.ADMIN, global: true };
+      return next();
+    }
+
+    if (credencial.startsWith(PREFIXO_CHAVE)) {
+      const chave = await buscarChaveApiPorHash(hashChave(credencial));
+      if (!chave) {
+        return next(new ErroNaoAutenticado('CHAVE_INVALIDA', 'Chave de API inválida ou revogada'));
+      }
+
+      req.usuario = {
+        tipo: 'chave',
+        id: chave.id,
+        nome: chave.nome,
+        papel: chave.papel,
+        workspace: { id: chave.workspace_id, slug: chave.workspace }
+      };
+      return next();
+    }
+
+    if (!CONFIG.JWT_SEGREDO) {
+      return next(new ErroNaoAutenticado('CREDENCIAL_INVALIDA', 'Credencial inválida'));
+    }
+
+    let usuario;
+    try {
+      usuario = verificarToken(credencial);
+    } catch (erro) {
+      return next(new ErroNaoAutenticado('TOKEN_INVALIDO', `Token inválido: ${erro.message}`));
+    }
+
+    // A chave que emitiu o token precisa continuar ativa e no mesmo workspace
+    const chave = /^\d+$/.test(usuario.id || '') ? await buscarChaveApiAtiva(parseInt(usuario.id)) : null;
+    if (!chave || chave.workspace_id !== usuario.workspace.id) {
+      return next(new ErroNaoAutenticado('TOKEN_REVOGADO', 'Token inválido: a chave que o emitiu foi revogada'));
+    }
+
+    req.usuario = { ...usuario, papel: chave.papel };
+    next();
+
+  } catch (erro) {
+    next(erro);
+  }
+}
+
+// Exige um papel específico (ex: exigirPapel(PAPEIS.ADMIN) numa rota GET)
+function exigirPapel(papel) {
+  return (req, res, next) => {
+    if (!req.usuario || (req.usuario.papel !== papel && req.usuario.papel !== PAPEIS.ADMIN)) {
+      return next(new ErroPermissao('PERMISSAO_INSUFICIENTE', `Permissão insuficiente: requer papel ${papel}`));
+    }
+
+    next();
+  };
+}
+
+// Criar workspaces fica só com a chave mestra
+function exigirChaveMestra(req, res, next) {
+  if (!req.usuario || !req.usuario.global) {
+    return next(new ErroPermissao('PERMISSAO_INSUFICIENTE', 'Permissão insuficiente: requer a chave mestra'));
+  }
+
+  next();
+}
+
+// ========================================
+// WORKSPACE DA REQUISIÇÃO
+// ========================================
+// Preenche req.workspace = { id, slug }. Chaves e tokens ficam no
+// workspace em que foram criados; a chave mestra escolhe pelo
+// cabeçalho "X-Workspace: <slug>" (sem ele, o workspace padrão)
+async function resolverWorkspace(req, res, next) {
+  const pedido = req.get('x-workspace');
+
+  if (!req.usuario.global) {
+    if (pedido && pedido !== req.usuario.workspace.slug) {
+      return next(new ErroPermissao('WORKSPACE_SEM_ACESSO', `Sem acesso ao workspace ${pedido}`));
+    }
+
+    req.workspace = req.usuario.workspace;
+    return next();
+  }
+
+  try {
+    const workspace = await obterWorkspace(pedido || WORKSPACE_PADRAO);
+
+    if (!workspace) {
+      return next(new ErroNaoEncontrado('WORKSPACE_NAO_ENCONTRADO', `Workspace não encontrado: ${pedido}`));
+    }
+
+    req.workspace = { id: workspace.id, slug: workspace.slug };
+    next();
+
+  } catch (erro) {
+    next(erro);
+  }
+}
+
+// Regra geral: viewer só lê; qualquer escrita exige admin
+function autorizarPorMetodo(req, res, next) {
+  if (METODOS_LEITURA.includes(req.method)) return next();
+  return exigirPapel(PAPEIS.ADMIN)(req, res, next);
+}
+
+// ========================================
+// CORS
+// ========================================
+// Opções para o middleware cors(). Sem CORS_ORIGENS não envia os
+// cabeçalhos de CORS: o navegador só deixa a mesma origem chamar
+function opcoesCors() {
+  if (CONFIG.CORS_ORIGENS.length === 0) {
+    return { origin: false };
+  }
+
+  if (CONFIG.CORS_ORIGENS.includes('*')) {
+    return {};
+  }
+
+  return {
+    origin: (origem, callback) => {
+      // Sem Origin: curl, servidores, mesma origem
+      callback(null, !origem || CONFIG.CORS_ORIGENS.includes(origem));
+    }
+  };
+}
+
+module.exports = {
+  CONFIG,
+  PAPEIS,
+  gerarChaveApi,
+  emitirToken,
+  autenticar,
+  exigirPapel,
+  exigirChaveMestra,
+  resolverWorkspace,
+  autorizarPorMetodo,
+  opcoesCors
+};
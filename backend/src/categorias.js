@@ -0,0 +1,281 @@
+// ========================================
+// CATEGORIAS - CLASSIFICAÇÃO DAS RECLAMAÇÕES
+// ========================================
+// Este arquivo marca cada reclamação com categorias (entrega,
+// cobrança indevida, atendimento...) usando dicionários de termos
+// e, quando já há correções suficientes, um modelo naive Bayes
+// treinado localmente com essas correções (nada sai do servidor)
+
+const fs = require('fs');
+require('dotenv').config();
+
+// ========================================
+// CONFIGURAÇÕES
+// ========================================
+const CONFIG = {
+  // JSON com categorias extras ou termos substitutos:
+  // { "entrega": { "nome": "Entrega", "termos": ["frete", ...] }, ... }
+  ARQUIVO: process.env.CATEGORIAS_ARQUIVO || null,
+
+  // O modelo só entra em uso com pelo menos esta quantidade de
+  // reclamações corrigidas manualmente
+  MIN_AMOSTRAS: parseInt(process.env.CATEGORIAS_MIN_AMOSTRAS) || 30,
+
+  // Probabilidade mínima para aceitar a categoria sugerida pelo modelo
+  LIMIAR_MODELO: 0.6,
+
+  USAR_MODELO: process.env.CATEGORIAS_MODELO !== 'false'
+};
+
+// Termos sem acento e em minúsculas. Casam no início de palavra:
+// "atrasad" pega "atrasado" e "atrasada"
+const CATEGORIAS_PADRAO = {
+  entrega: {
+    nome: 'Entrega',
+    termos: [
+      'entrega', 'entregue', 'nao chegou', 'nao recebi', 'atrasad', 'atraso',
+      'transportadora', 'rastreio', 'rastreamento', 'extravi', 'correios', 'frete'
+    ]
+  },
+  cobranca_indevida: {
+    nome: 'Cobrança indevida',
+    termos: [
+      'cobranca indevida', 'cobrado', 'cobraram', 'cobrou', 'cobrando', 'cobranca',
+      'fatura', 'debitad', 'descontad', 'em dobro', 'duplicad', 'valor errado'
+    ]
+  },
+  atendimento: {
+    nome: 'Atendimento',
+    termos: [
+      'atendimento', 'atendente', 'descaso', 'protocolo', 'nao respondem',
+      'nao responde', 'ninguem resolve', 'falta de respeito', 'mal atendid'
+    ]
+  },
+  produto_defeituoso: {
+    nome: 'Produto defeituoso',
+    termos: [
+      'defeito', 'defeituos', 'quebrad', 'danificad', 'avariad', 'nao funciona',
+      'parou de funcionar', 'veio com problema', 'garantia', 'assistencia tecnica'
+    ]
+  },
+  cancelamento: {
+    nome: 'Cancelamento',
+    termos: [
+      'cancelamento', 'cancelar', 'cancelad', 'cancelei', 'desistencia',
+      'rescisao', 'multa de fidelidade', 'encerrar o contrato'
+    ]
+  },
+  reembolso: {
+    nome: 'Reembolso',
+    termos: [
+      'reembolso', 'reembols', 'estorno', 'estornar', 'estornad', 'ressarcimento',
+      'dinheiro de volta', 'devolucao do dinheiro', 'devolver o dinheiro', 'chargeback'
+    ]
+  }
+};
+
+// Classe interna do modelo para reclamações sem nenhuma categoria
+const SEM_CATEGORIA = '_nenhuma';
+
+// Palavras comuns que não ajudam a distinguir categorias
+const PALAVRAS_IGNORADAS = new Set([
+  'que', 'nao', 'com', 'para', 'por', 'uma', 'mais', 'mas', 'como', 'foi', 'meu',
+  'minha', 'isso', 'esse', 'essa', 'sem', 'dos', 'das', 'nos', 'nas', 'pois', 'ela',
+  'ele', 'eles', 'elas', 'ser', 'tem', 'ter', 'estou', 'esta', 'sao', 'muito', 'ate',
+  'quando', 'ainda', 'depois', 'sobre', 'entre', 'pelo', 'pela', 'aos', 'seu', 'sua'
+]);
+
+// Minúsculas e sem acentos
+function normalizar(texto) {
+  return (texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Contagem de uma palavra numa classe. O modelo volta do banco como
+// objeto comum, então "constructor" não pode cair no protótipo
+function frequencia(dados, palavra) {
+  return Object.prototype.hasOwnProperty.call(dados.frequencias, palavra) ? dados.frequencias[palavra] : 0;
+}
+
+function tokenizar(texto) {
+  return normalizar(texto)
+    .split(/[^a-z0-9]+/)
+    .filter(palavra => palavra.length >= 3 && !PALAVRAS_IGNORADAS.has(palavra));
+}
+
+// ========================================
+// CARREGAR DICIONÁRIOS
+// ========================================
+// O arquivo de configuração substitui categorias existentes
+// (mesma chave) ou adiciona novas. Chaves: minúsculas e _
+function carregarCategorias() {
+  const categorias = { ...CATEGORIAS_PADRAO };
+
+  if (CONFIG.ARQUIVO) {
+    try {
+      const extras = JSON.parse(fs.readFileSync(CONFIG.ARQUIVO, 'utf8'));
+
+      for (const [chave, categoria] of Object.entries(extras)) {
+        if (!/^[a-z][a-z0-9_]*$/.test(chave) || !Array.isArray(categoria.termos)) {
+          console.warn(`⚠️  Categoria ignorada em ${CONFIG.ARQUIVO}: ${chave}`);
+          continue;
+        }
+
+        categorias[chave] = {
+          nome: categoria.nome || chave,
+          termos: categoria.termos.map(termo => normalizar(String(termo)).trim()).filter(Boolean)
+        };
+      }
+
+      console.log(`🏷️  Categorias carregadas de ${CONFIG.ARQUIVO}`);
+    } catch (erro) {
+      console.error(`❌ Erro ao ler ${CONFIG.ARQUIVO}, usando categorias padrão:`, erro.message);
+    }
+  }
+
+  // Uma expressão por categoria, montada uma vez só
+  for (const categoria of Object.values(categorias)) {
+    categoria.expressao = new RegExp(`(^|[^a-z0-9])(${categoria.termos.map(escaparRegex).join('|')})`);
+  }
+
+  return categorias;
+}
+
+const CATEGORIAS = carregarCategorias();
+
+// [{ id, nome, termos }] na ordem de declaração
+function listarCategorias() {
+  return Object.entries(CATEGORIAS).map(([id, categoria]) => ({
+    id,
+    nome: categoria.nome,
+    termos: categoria.termos
+  }));
+}
+
+function categoriaExiste(id) {
+  return Object.prototype.hasOwnProperty.call(CATEGORIAS, id);
+}
+
+// ========================================
+// MODELO NAIVE BAYES
+// ========================================
+// Multinomial com suavização de Laplace. Uma reclamação com várias
+// categorias conta como exemplo de cada uma delas
+// amostras: [{ titulo, descricao, categorias: [] }]
+function treinarModelo(amostras) {
+  const modelo = { documentos: 0, vocabulario: 0, classes: {} };
+  const vocabulario = new Set();
+
+  for (const amostra of amostras) {
+    const palavras = tokenizar(`${amostra.titulo || ''} ${amostra.descricao || ''}`);
+    const classes = amostra.categorias && amostra.categorias.length > 0 ? amostra.categorias : [SEM_CATEGORIA];
+
+    modelo.documentos++;
+
+    for (const classe of classes) {
+      if (!modelo.classes[classe]) {
+        modelo.classes[classe] = { documentos: 0, palavras: 0, frequencias: {} };
+      }
+
+      const dados = modelo.classes[classe];
+      dados.documentos++;
+
+      for (const palavra of palavras) {
+        dados.frequencias[palavra] = frequencia(dados, palavra) + 1;
+        dados.palavras++;
+        vocabulario.add(palavra);
+      }
+    }
+  }
+
+  modelo.vocabulario = vocabulario.size;
+  return modelo;
+}
+
+// Retorna { categoria, probabilidade } da classe mais provável
+// (categoria null quando o mais provável é "sem categoria")
+function preverModelo(modelo, texto) {
+  const palavras = tokenizar(texto);
+  const classes = Object.keys(modelo.classes);
+  if (classes.length === 0) return null;
+
+  const logs = classes.map(classe => {
+    const dados = modelo.classes[classe];
+    const denominador = dados.palavras + modelo.vocabulario;
+    let log = Math.log(dados.documentos / modelo.documentos);
+
+    for (const palavra of palavras) {
+      log += Math.log((frequencia(dados, palavra) + 1) / denominador);
+    }
+    return log;
+  });
+
+  // Softmax estável: subtrai o maior antes de exponenciar
+  const maior = Math.max(...logs);
+  const pesos = logs.map(log => Math.exp(log - maior));
+  const soma = pesos.reduce((total, peso) => total + peso, 0);
+  const indice = logs.indexOf(maior);
+
+  return {
+    categoria: classes[indice] === SEM_CATEGORIA ? null : classes[indice],
+    probabilidade: pesos[indice] / soma
+  };
+}
+
+// Modelo em uso (carregado do banco no boot e a cada treino)
+let modeloAtual = null;
+
+function definirModelo(modelo) {
+  modeloAtual = modelo;
+}
+
+// Com uma classe só, o modelo daria 100% para ela em qualquer texto
+function modeloAtivo() {
+  return Boolean(CONFIG.USAR_MODELO && modeloAtual &&
+    modeloAtual.documentos >= CONFIG.MIN_AMOSTRAS &&
+    Object.keys(modeloAtual.classes).length >= 2);
+}
+
+// ========================================
+// CLASSIFICAR RECLAMAÇÃO
+// ========================================
+// Retorna a lista de ids de categoria (vazia se nada casou). O
+// dicionário sempre vale; o modelo acrescenta a categoria mais
+// provável quando está ativo e confiante
+function classificarReclamacao(reclamacao) {
+  const texto = `${reclamacao.titulo || ''} ${reclamacao.descricao || ''}`;
+  const normalizado = normalizar(texto);
+  const encontradas = new Set();
+
+  for (const [id, categoria] of Object.entries(CATEGORIAS)) {
+    if (categoria.termos.length > 0 && categoria.expressao.test(normalizado)) {
+      encontradas.add(id);
+    }
+  }
+
+  if (modeloAtivo()) {
+    const previsao = preverModelo(modeloAtual, texto);
+    if (previsao && previsao.categoria && categoriaExiste(previsao.categoria) &&
+        previsao.probabilidade >= CONFIG.LIMIAR_MODELO) {
+      encontradas.add(previsao.categoria);
+    }
+  }
+
+  return Object.keys(CATEGORIAS).filter(id => encontradas.has(id));
+}
+
+module.exports = {
+  CONFIG,
+  listarCategorias,
+  categoriaExiste,
+  treinarModelo,
+  definirModelo,
+  modeloAtivo,
+  classificarReclamacao
+};
@@ -5,6 +5,11 @@
 // o banco de dados PostgreSQL
 
 const { Pool } = require('pg');
+const QueryStream = require('pg-query-stream');
+const { interpretarDataReclamacao } = require('./datas');
+const { interpretarLocal } = require('./locais');
+const { classificarReclamacao, treinarModelo, definirModelo } = require('./categorias');
+const { analisarSentimento } = require('./sentimento');
 require('dotenv').config();
 
 // ========================================
@@ -24,58 +29,3376 @@ pool.on('error', (erro) => {
   console.error('❌ Erro no pool de conexões:', erro);
 });
 
+// ========================================
+// WORKSPACES
+// ========================================
+// Workspace usado pela chave mestra quando nenhum é informado
+const WORKSPACE_PADRAO = 'padrao';
+
+const TABELAS_DO_WORKSPACE = ['configuracoes', 'webhooks', 'relatorios', 'regras_alerta', 'alertas', 'chaves_api'];
+
+// Condição SQL: a empresa é monitorada pelo workspace (marcador:
+// "$3", "?"...). Só configurações ativas: o job da empresa é um só e
+// continua coletando para os outros workspaces, então quem parou de
+// monitorar deixa de ver a empresa (volta a ver ao monitorar de novo)
+function empresaNoWorkspace(marcador, coluna = 'empresa') {
+  return `${coluna} IN (SELECT empresa FROM configuracoes WHERE workspace_id = ${marcador} AND ativo = true)`;
+}
+
+// Condição SQL para webhooks, regras e relatórios: o workspace dono
+// da linha (`tabela`) ainda monitora a empresa dela. Sem isso, quem
+// parou de monitorar continuaria recebendo as reclamações novas
+function configuracaoAtiva(tabela) {
+  return `EXISTS (SELECT 1 FROM configuracoes c 
+    WHERE c.workspace_id = ${tabela}.workspace_id AND c.empresa = ${tabela}.empresa AND c.ativo = true)`;
+}
+
+// Mesma condição, acrescentando o id aos parâmetros da consulta.
+// Sem workspace (uso interno, ex: coleta) não filtra nada
+function filtroWorkspace(workspaceId, params, coluna = 'empresa') {
+  if (!workspaceId) return 'true';
+
+  params.push(workspaceId);
+  return empresaNoWorkspace(`$${params.length}`, coluna);
+}
+
 // ========================================
 // INICIALIZAR BANCO (Criar tabelas se não existirem)
 // ========================================
 async function inicializarBanco() {
   const client = await pool.connect();
   try {
-    console.log('📊 Inicializando banco de dados...');
+    console.log('📊 Inicializando banco de dados...');
+
+    // Cria a tabela de reclamações
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reclamacoes (
+        id SERIAL PRIMARY KEY,
+        id_externo VARCHAR(255),
+        empresa VARCHAR(255) NOT NULL,
+        titulo TEXT NOT NULL,
+        descricao TEXT,
+        status VARCHAR(100),
+        data VARCHAR(100),
+        local VARCHAR(255),
+        link TEXT,
+        coletado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(id_externo, empresa)
+      )
+    `);
+
+    // Cria a tabela de configurações de monitoramento
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS configuracoes (
+        id SERIAL PRIMARY KEY,
+        empresa VARCHAR(255) NOT NULL,
+        intervalo VARCHAR(50) NOT NULL,
+        ativo BOOLEAN DEFAULT true,
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Colunas adicionadas depois da primeira versão da tabela
+    await client.query(`
+      ALTER TABLE reclamacoes 
+      ADD COLUMN IF NOT EXISTS atualizado_em TIMESTAMP
+    `);
+
+    // Data real da reclamação, interpretada a partir do texto de `data`.
+    // data_interpretada_em marca as linhas antigas que já passaram
+    // pelo preenchimento (mesmo quando o texto não deu uma data)
+    await client.query(`
+      ALTER TABLE reclamacoes 
+      ADD COLUMN IF NOT EXISTS data_reclamacao TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS data_interpretada_em TIMESTAMP
+    `);
+
+    // Cards sem data eram gravados com o horário da coleta em ISO,
+    // que virava uma data de reclamação falsa: ficam sem data
+    await client.query(`
+      UPDATE reclamacoes 
+      SET data = NULL, data_reclamacao = NULL 
+      WHERE data ~ '^\\d{4}-\\d{2}-\\d{2}T'
+    `);
+
+    // Cidade e UF separadas a partir do texto de `local`.
+    // local_interpretado_em: como data_interpretada_em, para os locais
+    await client.query(`
+      ALTER TABLE reclamacoes 
+      ADD COLUMN IF NOT EXISTS cidade VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS uf CHAR(2),
+      ADD COLUMN IF NOT EXISTS local_interpretado_em TIMESTAMP
+    `);
+
+    // Categorias (entrega, reembolso...). categorias_manual marca as
+    // corrigidas por alguém: a coleta não sobrescreve e o modelo treina com elas
+    await client.query(`
+      ALTER TABLE reclamacoes 
+      ADD COLUMN IF NOT EXISTS categorias TEXT[],
+      ADD COLUMN IF NOT EXISTS categorias_manual BOOLEAN DEFAULT false
+    `);
+
+    // Sentimento (-1 a 1) e severidade (0 a 100) calculados do texto
+    await client.query(`
+      ALTER TABLE reclamacoes 
+      ADD COLUMN IF NOT EXISTS sentimento NUMERIC(4, 3),
+      ADD COLUMN IF NOT EXISTS severidade SMALLINT
+    `);
+
+    // Grupo de reclamações quase iguais (id da primeira do grupo).
+    // agrupado_em marca as que já foram comparadas com as demais
+    await client.query(`
+      ALTER TABLE reclamacoes 
+      ADD COLUMN IF NOT EXISTS cluster_id INTEGER,
+      ADD COLUMN IF NOT EXISTS agrupado_em TIMESTAMP
+    `);
+
+    // Coleta da página de detalhes: falhas seguidas e quando pode
+    // tentar de novo (páginas que sempre falham vão sendo espaçadas)
+    await client.query(`
+      ALTER TABLE reclamacoes 
+      ADD COLUMN IF NOT EXISTS detalhes_tentativas SMALLINT DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS detalhes_tentar_em TIMESTAMP
+    `);
+
+    await client.query(`
+      ALTER TABLE configuracoes 
+      ADD COLUMN IF NOT EXISTS slug VARCHAR(255)
+    `);
+
+    // Cria a tabela de correções de categoria (quem corrigiu e o que era antes)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS categorias_correcoes (
+        id SERIAL PRIMARY KEY,
+        reclamacao_id INTEGER NOT NULL REFERENCES reclamacoes(id) ON DELETE CASCADE,
+        categorias_anteriores TEXT[],
+        categorias_novas TEXT[] NOT NULL,
+        usuario VARCHAR(255),
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela do modelo de categorias (só a versão mais recente fica)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS modelo_categorias (
+        id SERIAL PRIMARY KEY,
+        modelo JSONB NOT NULL,
+        amostras INTEGER NOT NULL,
+        treinado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela de histórico (cada mudança de status/texto)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reclamacoes_historico (
+        id SERIAL PRIMARY KEY,
+        reclamacao_id INTEGER NOT NULL REFERENCES reclamacoes(id) ON DELETE CASCADE,
+        campo VARCHAR(50) NOT NULL,
+        valor_anterior TEXT,
+        valor_novo TEXT,
+        registrado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela de detalhes (texto completo e avaliação final)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reclamacoes_detalhes (
+        reclamacao_id INTEGER PRIMARY KEY REFERENCES reclamacoes(id) ON DELETE CASCADE,
+        texto_completo TEXT,
+        resolvido BOOLEAN,
+        voltaria_negocio BOOLEAN,
+        nota INTEGER,
+        avaliacao_comentario TEXT,
+        coletado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela da conversa (respostas da empresa e réplicas do consumidor)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reclamacoes_interacoes (
+        id SERIAL PRIMARY KEY,
+        reclamacao_id INTEGER NOT NULL REFERENCES reclamacoes(id) ON DELETE CASCADE,
+        ordem INTEGER NOT NULL,
+        autor VARCHAR(20) NOT NULL,
+        tipo VARCHAR(255),
+        texto TEXT NOT NULL,
+        data VARCHAR(100),
+        UNIQUE(reclamacao_id, ordem)
+      )
+    `);
+
+    // Cria a tabela de webhooks (assinaturas por empresa)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id SERIAL PRIMARY KEY,
+        empresa VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        segredo VARCHAR(255) NOT NULL,
+        eventos TEXT[] NOT NULL,
+        ativo BOOLEAN DEFAULT true,
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela de relatórios por e-mail (resumo diário/semanal por empresa)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS relatorios (
+        id SERIAL PRIMARY KEY,
+        empresa VARCHAR(255) NOT NULL,
+        frequencia VARCHAR(20) NOT NULL,
+        destinatarios TEXT[] NOT NULL,
+        ativo BOOLEAN DEFAULT true,
+        ultimo_envio_em TIMESTAMP,
+        ultimo_erro TEXT,
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela de regras de alerta (palavra-chave, regex, local, volume)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS regras_alerta (
+        id SERIAL PRIMARY KEY,
+        empresa VARCHAR(255) NOT NULL,
+        nome VARCHAR(255) NOT NULL,
+        tipo VARCHAR(30) NOT NULL,
+        parametros JSONB NOT NULL,
+        severidade VARCHAR(20) NOT NULL DEFAULT 'media',
+        ativo BOOLEAN DEFAULT true,
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela de alertas disparados (aberto -> reconhecido -> resolvido)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alertas (
+        id SERIAL PRIMARY KEY,
+        regra_id INTEGER REFERENCES regras_alerta(id) ON DELETE SET NULL,
+        empresa VARCHAR(255) NOT NULL,
+        reclamacao_id INTEGER REFERENCES reclamacoes(id) ON DELETE CASCADE,
+        severidade VARCHAR(20) NOT NULL,
+        mensagem TEXT NOT NULL,
+        dados JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'aberto',
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reconhecido_em TIMESTAMP,
+        reconhecido_por VARCHAR(255),
+        resolvido_em TIMESTAMP,
+        resolvido_por VARCHAR(255),
+        comentario TEXT
+      )
+    `);
+
+    // Cria a tabela de anomalias de volume (picos de reclamações).
+    // media/desvio são da linha de base usada na detecção
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS anomalias (
+        id SERIAL PRIMARY KEY,
+        empresa VARCHAR(255) NOT NULL,
+        granularidade VARCHAR(10) NOT NULL,
+        inicio TIMESTAMPTZ NOT NULL,
+        fim TIMESTAMPTZ NOT NULL,
+        total INTEGER NOT NULL,
+        media NUMERIC(10, 2) NOT NULL,
+        desvio NUMERIC(10, 2) NOT NULL,
+        z_score NUMERIC(6, 2) NOT NULL,
+        semanas_base INTEGER NOT NULL,
+        detectado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela de chaves de API. Só o hash SHA-256 fica gravado;
+    // o prefixo identifica a chave nas listagens
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chaves_api (
+        id SERIAL PRIMARY KEY,
+        nome VARCHAR(255) NOT NULL,
+        prefixo VARCHAR(20) NOT NULL,
+        hash CHAR(64) UNIQUE NOT NULL,
+        papel VARCHAR(20) NOT NULL,
+        ativo BOOLEAN DEFAULT true,
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ultimo_uso_em TIMESTAMP,
+        revogado_em TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela de workspaces (um por time que usa a instalação).
+    // O "padrao" recebe tudo o que existia antes dos workspaces
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        nome VARCHAR(255) NOT NULL,
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      INSERT INTO workspaces (slug, nome) 
+      VALUES ($1, 'Padrão') 
+      ON CONFLICT (slug) DO NOTHING
+    `, [WORKSPACE_PADRAO]);
+
+    // Configurações, webhooks, relatórios, alertas e chaves pertencem
+    // a um workspace. As reclamações não: são coletadas uma vez por
+    // empresa e cada workspace vê as das empresas que monitora
+    for (const tabela of TABELAS_DO_WORKSPACE) {
+      await client.query(`
+        ALTER TABLE ${tabela} 
+        ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE
+      `);
+
+      await client.query(`
+        UPDATE ${tabela} SET workspace_id = (SELECT id FROM workspaces WHERE slug = $1) 
+        WHERE workspace_id IS NULL
+      `, [WORKSPACE_PADRAO]);
+
+      await client.query(`ALTER TABLE ${tabela} ALTER COLUMN workspace_id SET NOT NULL`);
+    }
+
+    // Dois workspaces podem monitorar a mesma empresa (cada um com seu intervalo)
+    await client.query('ALTER TABLE configuracoes DROP CONSTRAINT IF EXISTS configuracoes_empresa_key');
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_configuracoes_workspace_empresa 
+      ON configuracoes(workspace_id, empresa)
+    `);
+
+    // Cria a tabela de entregas (log e fila de reenvio dos webhooks)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_entregas (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        evento VARCHAR(100) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+        tentativas INTEGER NOT NULL DEFAULT 0,
+        ultimo_status_http INTEGER,
+        ultimo_erro TEXT,
+        proxima_tentativa_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        entregue_em TIMESTAMP
+      )
+    `);
+
+    // Cria a tabela de execuções (cada rodada do monitoramento)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS execucoes (
+        id SERIAL PRIMARY KEY,
+        empresa VARCHAR(255) NOT NULL,
+        origem VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'executando',
+        iniciado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finalizado_em TIMESTAMP,
+        duracao_ms INTEGER,
+        status_http INTEGER,
+        paginas INTEGER,
+        encontradas INTEGER,
+        novas INTEGER,
+        atualizadas INTEGER,
+        erro TEXT
+      )
+    `);
+
+    // Cria a tabela de reputação (uma foto dos indicadores por execução)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reputacao_snapshots (
+        id SERIAL PRIMARY KEY,
+        empresa VARCHAR(255) NOT NULL,
+        classificacao VARCHAR(50),
+        nota_reputacao NUMERIC(4, 2),
+        taxa_resposta NUMERIC(5, 2),
+        taxa_solucao NUMERIC(5, 2),
+        voltaria_negocio NUMERIC(5, 2),
+        nota_consumidor NUMERIC(4, 2),
+        tempo_medio_resposta VARCHAR(100),
+        tempo_medio_resposta_segundos INTEGER,
+        coletado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Cria índices para melhorar performance
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_empresa 
+      ON reclamacoes(empresa)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_data 
+      ON reclamacoes(coletado_em DESC)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_data_reclamacao 
+      ON reclamacoes(empresa, data_reclamacao)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_regiao 
+      ON reclamacoes(empresa, uf, cidade)
+    `);
+
+    // Similaridade por trigramas (reclamações quase iguais)
+    await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_trigramas 
+      ON reclamacoes USING GIN((${textoSimilaridade('reclamacoes')}) gin_trgm_ops)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_cluster 
+      ON reclamacoes(cluster_id)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_categorias 
+      ON reclamacoes USING GIN(categorias)
+    `);
+
+    // Busca textual: configuração em português que ignora acentos
+    // ("reembolso" acha "Reembolsos", "cobranca" acha "cobrança")
+    await client.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'portugues_sem_acento') THEN
+          CREATE TEXT SEARCH CONFIGURATION portugues_sem_acento (COPY = portuguese);
+          ALTER TEXT SEARCH CONFIGURATION portugues_sem_acento
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, portuguese_stem;
+        END IF;
+      END
+      $$
+    `);
+
+    // Índice de expressão: as consultas precisam usar VETOR_BUSCA idêntico
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_busca 
+      ON reclamacoes USING GIN((${VETOR_BUSCA}))
+    `);
+
+    // Ordenação estável da listagem paginada (coletado_em, id)
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_coletado_id 
+      ON reclamacoes(coletado_em, id)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_data_reclamacao_id 
+      ON reclamacoes((${ORDENACOES.data.expressao}), id)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_severidade_id 
+      ON reclamacoes((${ORDENACOES.severidade.expressao}), id)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reclamacoes_sentimento_id 
+      ON reclamacoes((${ORDENACOES.sentimento.expressao}), id)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_historico_reclamacao 
+      ON reclamacoes_historico(reclamacao_id, registrado_em)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhooks_empresa 
+      ON webhooks(empresa)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_relatorios_frequencia 
+      ON relatorios(frequencia, ativo)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_regras_alerta_empresa 
+      ON regras_alerta(empresa, ativo)
+    `);
+
+    // A mesma regra não dispara duas vezes para a mesma reclamação
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_alertas_regra_reclamacao 
+      ON alertas(regra_id, reclamacao_id) WHERE reclamacao_id IS NOT NULL
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_alertas_status 
+      ON alertas(status, criado_em DESC)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_anomalias_empresa 
+      ON anomalias(empresa, detectado_em DESC)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_entregas_pendentes 
+      ON webhook_entregas(status, proxima_tentativa_em)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_execucoes_empresa 
+      ON execucoes(empresa, iniciado_em DESC)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reputacao_empresa 
+      ON reputacao_snapshots(empresa, coletado_em)
+    `);
+
+    console.log('✅ Banco de dados inicializado com sucesso');
+
+  } catch (erro) {
+    console.error('❌ Erro ao inicializar banco:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// SALVAR RECLAMAÇÕES
+// ========================================
+// Campos acompanhados no histórico quando a reclamação é coletada de novo
+const CAMPOS_HISTORICO = ['status', 'titulo', 'descricao'];
+
+// Retorna { inseridas, atualizadas, inalteradas, mudancas }:
+// as três primeiras são listas das reclamações recebidas (com
+// reclamacaoId quando gravadas) e `mudancas` tem cada campo alterado
+async function salvarReclamacoesDB(reclamacoes) {
+  // O ON CONFLICT não aceita a mesma linha duas vezes no mesmo comando,
+  // então fica só a última ocorrência de cada id_externo
+  const unicas = new Map();
+  reclamacoes.forEach((reclamacao, index) => {
+    const chave = reclamacao.id ? `${reclamacao.empresa}|${reclamacao.id}` : `sem-id|${index}`;
+    unicas.set(chave, reclamacao);
+  });
+  const lote = Array.from(unicas.values());
+
+  const inseridas = [];
+  const atualizadas = [];
+  const inalteradas = [];
+  const mudancas = [];
+
+  if (lote.length === 0) {
+    return { inseridas, atualizadas, inalteradas, mudancas };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const locais = lote.map(reclamacao => interpretarLocal(reclamacao.local));
+    const analises = lote.map(reclamacao => analisarSentimento(reclamacao));
+
+    // Um único INSERT para o lote inteiro. O CTE `anterior` guarda os valores
+    // de antes para o histórico, e o WHERE do DO UPDATE evita reescrever a
+    // linha quando nada mudou (essas não aparecem no RETURNING).
+    // O RETURNING não segue a ordem da entrada: cada linha volta com a
+    // posição (`ordem`) da reclamação no lote. As sem id_externo não têm
+    // chave para cruzar, então já recebem o id da sequência na entrada
+    const resultado = await client.query(
+      `WITH entrada AS (
+         SELECT t.*, 
+           CASE WHEN t.id_externo IS NULL 
+             THEN nextval(pg_get_serial_sequence('reclamacoes', 'id')) END AS novo_id
+         FROM unnest(
+           $1::text[], $2::text[], $3::text[], $4::text[], $5::text[],
+           $6::text[], $7::text[], $8::text[], $9::timestamp[], $10::timestamptz[],
+           $11::text[], $12::text[], $13::text[], $14::numeric[], $15::int[]
+         ) WITH ORDINALITY AS t(id_externo, empresa, titulo, descricao, status, data, local, link, coletado_em, data_reclamacao, cidade, uf,
+           categorias, sentimento, severidade, ordem)
+       ),
+       anterior AS (
+         SELECT r.id, r.status, r.titulo, r.descricao 
+         FROM reclamacoes r
+         JOIN entrada e ON e.id_externo = r.id_externo AND e.empresa = r.empresa
+       ),
+       gravadas AS (
+         INSERT INTO reclamacoes 
+         (id, id_externo, empresa, titulo, descricao, status, data, local, link, coletado_em, data_reclamacao, cidade, uf,
+           categorias, sentimento, severidade)
+         SELECT COALESCE(novo_id, nextval(pg_get_serial_sequence('reclamacoes', 'id'))), 
+           id_externo, empresa, titulo, descricao, status, data, local, link, coletado_em, data_reclamacao, cidade, uf,
+           string_to_array(categorias, ','), sentimento, severidade 
+         FROM entrada
+         ON CONFLICT (id_externo, empresa) 
+         DO UPDATE SET 
+           titulo = EXCLUDED.titulo,
+           descricao = EXCLUDED.descricao,
+           status = EXCLUDED.status,
+           data = COALESCE(EXCLUDED.data, reclamacoes.data),
+           local = EXCLUDED.local,
+           cidade = EXCLUDED.cidade,
+           uf = EXCLUDED.uf,
+           link = EXCLUDED.link,
+           data_reclamacao = COALESCE(reclamacoes.data_reclamacao, EXCLUDED.data_reclamacao),
+           categorias = CASE WHEN reclamacoes.categorias_manual 
+             THEN reclamacoes.categorias ELSE EXCLUDED.categorias END,
+           sentimento = EXCLUDED.sentimento,
+           severidade = EXCLUDED.severidade,
+           agrupado_em = CASE WHEN (reclamacoes.titulo, reclamacoes.descricao) 
+             IS DISTINCT FROM (EXCLUDED.titulo, EXCLUDED.descricao) 
+             THEN NULL ELSE reclamacoes.agrupado_em END,
+           atualizado_em = CURRENT_TIMESTAMP
+         WHERE (reclamacoes.status, reclamacoes.titulo, reclamacoes.descricao)
+           IS DISTINCT FROM (EXCLUDED.status, EXCLUDED.titulo, EXCLUDED.descricao)
+         RETURNING id, id_externo, empresa, (xmax = 0) AS inserido
+       )
+       SELECT g.*, 
+         e.ordem,
+         a.status AS status_anterior,
+         a.titulo AS titulo_anterior,
+         a.descricao AS descricao_anterior
+       FROM gravadas g
+       JOIN entrada e ON e.novo_id = g.id 
+         OR (e.id_externo = g.id_externo AND e.empresa = g.empresa)
+       LEFT JOIN anterior a ON a.id = g.id`,
+      [
+        lote.map(reclamacao => reclamacao.id),
+        lote.map(reclamacao => reclamacao.empresa),
+        lote.map(reclamacao => reclamacao.titulo),
+        lote.map(reclamacao => reclamacao.descricao),
+        lote.map(reclamacao => reclamacao.status),
+        lote.map(reclamacao => reclamacao.data),
+        lote.map(reclamacao => reclamacao.local),
+        lote.map(reclamacao => reclamacao.link),
+        lote.map(reclamacao => reclamacao.coletadoEm),
+        lote.map(reclamacao => interpretarDataReclamacao(reclamacao.data, reclamacao.coletadoEm || new Date())),
+        locais.map(local => local.cidade),
+        locais.map(local => local.uf),
+        // Ids de categoria não têm vírgula: vai como texto e vira array no SQL
+        lote.map(reclamacao => classificarReclamacao(reclamacao).join(',')),
+        analises.map(analise => analise.sentimento),
+        analises.map(analise => analise.severidade)
+      ]
+    );
+
+    // `ordem` começa em 1 (WITH ORDINALITY)
+    const gravadasPorOrdem = new Map(resultado.rows.map(linha => [Number(linha.ordem), linha]));
+
+    for (const [indice, reclamacao] of lote.entries()) {
+      const linha = gravadasPorOrdem.get(indice + 1);
+
+      if (!linha) {
+        inalteradas.push(reclamacao);
+        continue;
+      }
+
+      if (linha.inserido) {
+        inseridas.push({ ...reclamacao, reclamacaoId: linha.id });
+        continue;
+      }
+
+      atualizadas.push({ ...reclamacao, reclamacaoId: linha.id });
+
+      for (const campo of CAMPOS_HISTORICO) {
+        const anterior = linha[`${campo}_anterior`];
+        const novo = reclamacao[campo];
+
+        if (anterior === novo) continue;
+
+        mudancas.push({
+          reclamacaoId: linha.id,
+          idExterno: reclamacao.id,
+          empresa: reclamacao.empresa,
+          campo: campo,
+          anterior: anterior,
+          novo: novo
+        });
+      }
+    }
+
+    // Grava todo o histórico do lote de uma vez
+    if (mudancas.length > 0) {
+      await client.query(
+        `INSERT INTO reclamacoes_historico (reclamacao_id, campo, valor_anterior, valor_novo)
+         SELECT * FROM unnest($1::int[], $2::text[], $3::text[], $4::text[])`,
+        [
+          mudancas.map(mudanca => mudanca.reclamacaoId),
+          mudancas.map(mudanca => mudanca.campo),
+          mudancas.map(mudanca => mudanca.anterior),
+          mudancas.map(mudanca => mudanca.novo)
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`💾 Inseridas: ${inseridas.length} | Atualizadas: ${atualizadas.length} | Sem mudança: ${inalteradas.length}`);
+
+  } catch (erro) {
+    await client.query('ROLLBACK');
+    console.error('❌ Erro ao salvar reclamações:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+
+  // Novas e com texto alterado ficaram com agrupado_em NULL. O
+  // agrupamento roda só agora, com a coleta já gravada: se falhar,
+  // elas continuam pendentes e entram no próximo agrupamento
+  if (inseridas.length > 0 || mudancas.some(mudanca => mudanca.campo !== 'status')) {
+    const empresas = [...new Set(lote.map(reclamacao => reclamacao.empresa))];
+    await agruparPendentes({ empresas }).catch(() => {});
+  }
+
+  return { inseridas, atualizadas, inalteradas, mudancas };
+}
+
+// ========================================
+// RECLAMAÇÕES SIMILARES (TRIGRAMAS)
+// ========================================
+// Similaridade de trigramas (pg_trgm) entre título + descrição.
+// O índice só é usado com esta mesma expressão
+function textoSimilaridade(tabela) {
+  return `(${tabela}.titulo || ' ' || COALESCE(${tabela}.descricao, ''))`;
+}
+
+// A partir de quanto (0 a 1) duas reclamações são "quase iguais"
+const LIMIAR_SIMILARIDADE = parseFloat(process.env.LIMIAR_SIMILARIDADE) || 0.5;
+
+// Vizinhos considerados por reclamação ao agrupar
+const VIZINHOS_SIMILARES = 10;
+
+// O operador % usa o limiar da sessão. Com is_local = true vale
+// só até o fim da transação (precisa estar dentro de BEGIN)
+async function definirLimiarSimilaridade(client, limiar) {
+  await client.query(
+    `SELECT set_config('pg_trgm.similarity_threshold', $1, true)`,
+    [String(limiar)]
+  );
+}
+
+// Coloca cada reclamação de `ids` no grupo mais parecido (de qualquer
+// empresa). O grupo é a sua primeira reclamação (menor id, que é o
+// cluster_id) e só entra quem é parecido com ela, não com qualquer
+// membro: uma corrente de reclamações parecidas duas a duas não vira
+// um grupo enorme, e grupos nunca se juntam. A primeira de um grupo
+// com outros membros não muda; as demais saem se o texto mudou e
+// deixou de parecer.
+// Só mexe nas linhas que consegue travar na hora (SKIP LOCKED): nunca
+// espera por uma coleta gravando as mesmas linhas. As puladas ficam
+// com agrupado_em NULL para o próximo agrupamento.
+// Precisa de um client dentro de transação. Retorna quantas mudaram de grupo
+async function agruparSimilares(client, ids) {
+  if (ids.length === 0) return 0;
+
+  await definirLimiarSimilaridade(client, LIMIAR_SIMILARIDADE);
+
+  // Uma linha por vizinho: o grupo dele (a primeira reclamação, ou o
+  // próprio vizinho sem grupo) e a similaridade com esse grupo
+  const candidatos = await client.query(
+    `SELECT n.id, n.cluster_id, 
+       EXISTS (SELECT 1 FROM reclamacoes m WHERE m.cluster_id = n.id AND m.id <> n.id) AS lidera,
+       g.id AS grupo, g.cluster_id AS grupo_cluster, 
+       similarity(${textoSimilaridade('g')}, ${textoSimilaridade('n')}) AS similaridade 
+     FROM reclamacoes n 
+     LEFT JOIN LATERAL (
+       SELECT r.id, r.cluster_id FROM reclamacoes r 
+       WHERE ${textoSimilaridade('r')} % ${textoSimilaridade('n')} AND r.id <> n.id 
+       ORDER BY similarity(${textoSimilaridade('r')}, ${textoSimilaridade('n')}) DESC 
+       LIMIT $2
+     ) v ON true 
+     LEFT JOIN reclamacoes g ON g.id = COALESCE(v.cluster_id, v.id) AND g.id < n.id 
+     WHERE n.id = ANY($1) 
+     ORDER BY n.id`,
+    [ids, VIZINHOS_SIMILARES]
+  );
+
+  const reclamacoes = new Map();
+  for (const linha of candidatos.rows) {
+    if (!reclamacoes.has(linha.id)) {
+      reclamacoes.set(linha.id, { clusterId: linha.cluster_id, lidera: linha.lidera, opcoes: [] });
+    }
+    if (linha.grupo !== null && linha.similaridade >= LIMIAR_SIMILARIDADE) {
+      reclamacoes.get(linha.id).opcoes.push(linha);
+    }
+  }
+
+  // Grupo decidido neste lote para cada reclamação (e para as primeiras
+  // dos grupos escolhidos). Em ordem de id, então a primeira de um grupo
+  // já foi decidida quando alguém a escolhe
+  const grupos = new Map();
+  const ehPrimeira = (opcao) => {
+    const atual = grupos.has(opcao.grupo) ? grupos.get(opcao.grupo) : opcao.grupo_cluster;
+    return atual === null || atual === opcao.grupo;
+  };
+
+  for (const [id, reclamacao] of reclamacoes) {
+    if (reclamacao.lidera) continue;
+
+    const [escolhida] = reclamacao.opcoes
+      .filter(ehPrimeira)
+      .sort((a, b) => b.similaridade - a.similaridade || a.grupo - b.grupo);
+
+    grupos.set(id, escolhida ? escolhida.grupo : null);
+    if (escolhida) grupos.set(escolhida.grupo, escolhida.grupo);
+  }
+
+  const travadas = await client.query(
+    `SELECT id FROM reclamacoes WHERE id = ANY($1) ORDER BY id FOR UPDATE SKIP LOCKED`,
+    [[...new Set([...reclamacoes.keys(), ...grupos.keys()])]]
+  );
+  const livres = new Set(travadas.rows.map(linha => linha.id));
+
+  // Sem a linha (ou sem a primeira do grupo) fica para a próxima
+  for (const [id, grupo] of grupos) {
+    if (!livres.has(id) || (grupo !== null && !livres.has(grupo))) grupos.delete(id);
+  }
+
+  const resultado = await client.query(
+    `UPDATE reclamacoes r 
+     SET cluster_id = t.grupo 
+     FROM unnest($1::int[], $2::int[]) AS t(id, grupo) 
+     WHERE r.id = t.id AND r.cluster_id IS DISTINCT FROM t.grupo`,
+    [[...grupos.keys()], [...grupos.values()]]
+  );
+  const alteradas = resultado.rowCount;
+
+  const verificadas = [...reclamacoes.keys()].filter(id =>
+    grupos.has(id) || (reclamacoes.get(id).lidera && livres.has(id))
+  );
+  await client.query(
+    'UPDATE reclamacoes SET agrupado_em = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+    [verificadas]
+  );
+
+  if (alteradas > 0) {
+    console.log(`🔗 ${alteradas} reclamações agrupadas com similares`);
+  }
+
+  return alteradas;
+}
+
+// As reclamações mais parecidas com `id` (de qualquer empresa) e o
+// grupo dela. Retorna { reclamacao, grupo, similares } ou null
+// opcoes.workspaceId: só considera empresas do workspace
+async function buscarReclamacoesSimilares(id, { limite = 10, limiar = LIMIAR_SIMILARIDADE, workspaceId = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await definirLimiarSimilaridade(client, limiar);
+
+    const paramsBase = [id];
+    const base = await client.query(
+      `SELECT id, id_externo, empresa, titulo, status, link, data_reclamacao, cluster_id 
+       FROM reclamacoes WHERE id = $1 AND ${filtroWorkspace(workspaceId, paramsBase)}`,
+      paramsBase
+    );
+
+    if (base.rows.length === 0) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const reclamacao = base.rows[0];
+
+    const paramsSimilares = [id, limite];
+    const similares = await client.query(
+      `SELECT r.id, r.id_externo, r.empresa, r.titulo, r.status, r.link, r.data_reclamacao, r.cluster_id,
+         ROUND(similarity(${textoSimilaridade('r')}, ${textoSimilaridade('a')})::numeric, 3)::float AS similaridade 
+       FROM reclamacoes a 
+       JOIN reclamacoes r ON ${textoSimilaridade('r')} % ${textoSimilaridade('a')} AND r.id <> a.id 
+       WHERE a.id = $1 AND ${filtroWorkspace(workspaceId, paramsSimilares, 'r.empresa')} 
+       ORDER BY similaridade DESC, r.id 
+       LIMIT $2`,
+      paramsSimilares
+    );
+
+    let grupo = null;
+    if (reclamacao.cluster_id) {
+      const paramsGrupo = [reclamacao.cluster_id];
+      const resultado = await client.query(
+        `SELECT COUNT(*)::int AS total, 
+           array_agg(DISTINCT empresa ORDER BY empresa) AS empresas,
+           MIN(data_reclamacao) AS primeira_reclamacao,
+           MAX(data_reclamacao) AS ultima_reclamacao 
+         FROM reclamacoes WHERE cluster_id = $1 AND ${filtroWorkspace(workspaceId, paramsGrupo)}`,
+        paramsGrupo
+      );
+      grupo = { id: reclamacao.cluster_id, ...resultado.rows[0] };
+    }
+
+    await client.query('COMMIT');
+
+    return { reclamacao, grupo, similares: similares.rows };
+
+  } catch (erro) {
+    await client.query('ROLLBACK');
+    console.error('❌ Erro ao buscar reclamações similares:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// TENDÊNCIAS (GRUPOS EM ALTA)
+// ========================================
+// Grupos de reclamações quase iguais com mais reclamações entre de e
+// ate, comparados com o período anterior de mesma duração. O tema é o
+// título da reclamação mais antiga do grupo. Um grupo com várias
+// empresas costuma ser o mesmo problema (ex: Pix fora do ar)
+// opcoes: { de, ate, minReclamacoes, minEmpresas, limite, workspaceId }
+async function buscarTendencias({ de, ate, minReclamacoes = 2, minEmpresas = 1, limite = 20, workspaceId = null }) {
+  const client = await pool.connect();
+  try {
+    const inicioAnterior = new Date(de.getTime() - (ate.getTime() - de.getTime()));
+    const params = [inicioAnterior, de, ate, minReclamacoes, minEmpresas, limite];
+    const doWorkspace = filtroWorkspace(workspaceId, params);
+
+    const resultado = await client.query(
+      `WITH contagem AS (
+         SELECT cluster_id,
+           COUNT(*) FILTER (WHERE data_reclamacao >= $2)::int AS total,
+           COUNT(*) FILTER (WHERE data_reclamacao < $2)::int AS anterior,
+           COUNT(DISTINCT empresa) FILTER (WHERE data_reclamacao >= $2)::int AS total_empresas,
+           array_agg(DISTINCT empresa) FILTER (WHERE data_reclamacao >= $2) AS empresas,
+           MAX(data_reclamacao) AS ultima_reclamacao 
+         FROM reclamacoes 
+         WHERE cluster_id IS NOT NULL AND data_reclamacao >= $1 AND data_reclamacao <= $3 
+           AND ${doWorkspace} 
+         GROUP BY cluster_id
+       )
+       SELECT c.*, r.titulo AS tema 
+       FROM contagem c 
+       CROSS JOIN LATERAL (
+         SELECT titulo FROM reclamacoes 
+         WHERE cluster_id = c.cluster_id AND ${doWorkspace} 
+         ORDER BY id 
+         LIMIT 1
+       ) r 
+       WHERE c.total >= $4 AND c.total_empresas >= $5 
+       ORDER BY c.total DESC, c.total_empresas DESC, c.ultima_reclamacao DESC 
+       LIMIT $6`,
+      params
+    );
+
+    return resultado.rows.map(linha => ({
+      ...linha,
+      empresas: (linha.empresas || []).sort(),
+      crescimento: linha.anterior ? Math.round(((linha.total - linha.anterior) / linha.anterior) * 1000) / 10 : null
+    }));
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar tendências:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// BUSCAR RECLAMAÇÕES
+// ========================================
+async function buscarReclamacoesDB(empresa, limite = 50) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT * FROM reclamacoes 
+       WHERE empresa = $1 
+       ORDER BY coletado_em DESC 
+       LIMIT $2`,
+      [empresa, limite]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar reclamações:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// FILTRAR IDS JÁ EXISTENTES
+// ========================================
+// Recebe uma lista de id_externo e retorna um Set
+// com os que já estão salvos para a empresa
+async function filtrarIdsExistentes(empresa, ids) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT id_externo FROM reclamacoes 
+       WHERE empresa = $1 AND id_externo = ANY($2)`,
+      [empresa, ids]
+    );
+
+    return new Set(resultado.rows.map(linha => linha.id_externo));
+
+  } catch (erro) {
+    console.error('❌ Erro ao filtrar ids existentes:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// SALVAR DETALHES DE UMA RECLAMAÇÃO
+// ========================================
+// Grava o texto completo, a avaliação e a conversa.
+// A conversa é sempre substituída pela versão mais recente
+async function salvarDetalhesReclamacao(empresa, idExterno, detalhes) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const reclamacao = await client.query(
+      'SELECT id FROM reclamacoes WHERE empresa = $1 AND id_externo = $2',
+      [empresa, idExterno]
+    );
+
+    if (reclamacao.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const reclamacaoId = reclamacao.rows[0].id;
+
+    await client.query(
+      `INSERT INTO reclamacoes_detalhes 
+       (reclamacao_id, texto_completo, resolvido, voltaria_negocio, nota, avaliacao_comentario)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (reclamacao_id) 
+       DO UPDATE SET 
+         texto_completo = $2,
+         resolvido = $3,
+         voltaria_negocio = $4,
+         nota = $5,
+         avaliacao_comentario = $6,
+         coletado_em = CURRENT_TIMESTAMP`,
+      [
+        reclamacaoId,
+        detalhes.textoCompleto,
+        detalhes.resolvido,
+        detalhes.avaliacao.voltariaNegocio,
+        detalhes.avaliacao.nota,
+        detalhes.avaliacao.comentario
+      ]
+    );
+
+    await client.query(
+      `UPDATE reclamacoes 
+       SET detalhes_tentativas = 0, detalhes_tentar_em = NULL 
+       WHERE id = $1`,
+      [reclamacaoId]
+    );
+
+    await client.query(
+      'DELETE FROM reclamacoes_interacoes WHERE reclamacao_id = $1',
+      [reclamacaoId]
+    );
+
+    for (const interacao of detalhes.interacoes) {
+      await client.query(
+        `INSERT INTO reclamacoes_interacoes 
+         (reclamacao_id, ordem, autor, tipo, texto, data)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [reclamacaoId, interacao.ordem, interacao.autor, interacao.tipo, interacao.texto, interacao.data]
+      );
+    }
+
+    await client.query('COMMIT');
+    return true;
+
+  } catch (erro) {
+    await client.query('ROLLBACK');
+    console.error('❌ Erro ao salvar detalhes da reclamação:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// RECLAMAÇÕES PARA DETALHAR
+// ========================================
+// Retorna as reclamações cuja página de detalhes precisa ser
+// (re)coletada: as que ainda não têm detalhes e as que mudaram
+// (status, texto) depois da última coleta, onde costumam aparecer
+// a resposta da empresa e a avaliação final. As que falharam
+// recentemente esperam o backoff. Mudanças mais recentes primeiro
+async function buscarReclamacoesParaDetalhar(empresa, limite = 50) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT r.* FROM reclamacoes r
+       LEFT JOIN reclamacoes_detalhes d ON d.reclamacao_id = r.id
+       WHERE r.empresa = $1 AND r.link IS NOT NULL 
+         AND (d.reclamacao_id IS NULL OR r.atualizado_em > d.coletado_em)
+         AND (r.detalhes_tentar_em IS NULL OR r.detalhes_tentar_em <= CURRENT_TIMESTAMP)
+       ORDER BY COALESCE(r.atualizado_em, r.coletado_em) DESC 
+       LIMIT $2`,
+      [empresa, limite]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar reclamações para detalhar:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// RECLAMAÇÕES EM ABERTO PARA REVISITAR
+// ========================================
+// A paginação para nas já conhecidas, então as antigas só mudam de
+// status se alguém abrir a página delas de novo. Retorna as que
+// ainda não foram avaliadas pelo consumidor (Resolvido / Não
+// resolvido) e cujos detalhes têm mais de `horas`, das verificadas
+// há mais tempo para as mais recentes
+async function buscarReclamacoesAbertas(empresa, { limite = 20, horas = 24 } = {}) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT r.* FROM reclamacoes r
+       JOIN reclamacoes_detalhes d ON d.reclamacao_id = r.id
+       WHERE r.empresa = $1 AND r.link IS NOT NULL 
+         AND lower(COALESCE(r.status, '')) NOT IN ('resolvido', 'não resolvido', 'nao resolvido')
+         AND d.coletado_em < CURRENT_TIMESTAMP - $3 * INTERVAL '1 hour'
+         AND (r.detalhes_tentar_em IS NULL OR r.detalhes_tentar_em <= CURRENT_TIMESTAMP)
+       ORDER BY d.coletado_em ASC 
+       LIMIT $2`,
+      [empresa, limite, horas]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar reclamações em aberto:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// FALHA AO COLETAR DETALHES
+// ========================================
+// Espaça as próximas tentativas: 1h, 2h, 4h... até 1 semana
+const ESPERA_MAXIMA_DETALHES_HORAS = 7 * 24;
+
+async function registrarFalhaDetalhes(reclamacaoId) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `UPDATE reclamacoes 
+       SET detalhes_tentativas = COALESCE(detalhes_tentativas, 0) + 1,
+         detalhes_tentar_em = CURRENT_TIMESTAMP + 
+           LEAST(power(2, COALESCE(detalhes_tentativas, 0)), $2) * INTERVAL '1 hour' 
+       WHERE id = $1 
+       RETURNING detalhes_tentativas, detalhes_tentar_em`,
+      [reclamacaoId, ESPERA_MAXIMA_DETALHES_HORAS]
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao registrar falha de detalhes:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// BUSCAR RECLAMAÇÃO COMPLETA
+// ========================================
+// Retorna a reclamação com detalhes e conversa, ou null
+async function buscarReclamacaoCompleta(empresa, idExterno) {
+  const client = await pool.connect();
+  try {
+    const reclamacao = await client.query(
+      'SELECT * FROM reclamacoes WHERE empresa = $1 AND id_externo = $2',
+      [empresa, idExterno]
+    );
+
+    if (reclamacao.rows.length === 0) {
+      return null;
+    }
+
+    const linha = reclamacao.rows[0];
+
+    const detalhes = await client.query(
+      'SELECT * FROM reclamacoes_detalhes WHERE reclamacao_id = $1',
+      [linha.id]
+    );
+
+    const interacoes = await client.query(
+      `SELECT ordem, autor, tipo, texto, data FROM reclamacoes_interacoes 
+       WHERE reclamacao_id = $1 
+       ORDER BY ordem`,
+      [linha.id]
+    );
+
+    return {
+      ...linha,
+      detalhes: detalhes.rows[0] || null,
+      interacoes: interacoes.rows
+    };
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar reclamação completa:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// BUSCAR HISTÓRICO DE UMA RECLAMAÇÃO
+// ========================================
+// Retorna as mudanças em ordem cronológica e o tempo até a
+// primeira resposta (primeira saída de "Não respondida"), ou null
+async function buscarHistoricoReclamacao(empresa, idExterno) {
+  const client = await pool.connect();
+  try {
+    const reclamacao = await client.query(
+      `SELECT id, id_externo, empresa, titulo, status, data, data_reclamacao, coletado_em, atualizado_em 
+       FROM reclamacoes 
+       WHERE empresa = $1 AND id_externo = $2`,
+      [empresa, idExterno]
+    );
+
+    if (reclamacao.rows.length === 0) {
+      return null;
+    }
+
+    const linha = reclamacao.rows[0];
+
+    const historico = await client.query(
+      `SELECT campo, valor_anterior, valor_novo, registrado_em 
+       FROM reclamacoes_historico 
+       WHERE reclamacao_id = $1 
+       ORDER BY registrado_em, id`,
+      [linha.id]
+    );
+
+    const primeiraResposta = historico.rows.find(mudanca =>
+      mudanca.campo === 'status' && /n[ãa]o respondida/i.test(mudanca.valor_anterior || '')
+    );
+
+    return {
+      reclamacao: linha,
+      historico: historico.rows,
+      respondida_em: primeiraResposta ? primeiraResposta.registrado_em : null,
+      // Medido a partir da data da reclamação no site; sem ela, da
+      // primeira coleta (quando passamos a saber da reclamação)
+      segundos_ate_resposta: primeiraResposta
+        ? Math.round((primeiraResposta.registrado_em - (linha.data_reclamacao || linha.coletado_em)) / 1000)
+        : null
+    };
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar histórico da reclamação:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// FILTROS DE RECLAMAÇÕES
+// ========================================
+// Monta as condições (" AND ...") e os parâmetros a partir dos
+// filtros aceitos pela listagem. paramInicial: número do primeiro $N
+function montarFiltrosReclamacoes(filtros = {}, paramInicial = 1) {
+  let condicoes = '';
+  const params = [];
+  let paramCount = paramInicial;
+
+  const adicionar = (condicao, valor) => {
+    condicoes += ` AND ${condicao.replace('?', `$${paramCount}`)}`;
+    params.push(valor);
+    paramCount++;
+  };
+
+  // Só as empresas do workspace de quem consulta
+  if (filtros.workspaceId) adicionar(empresaNoWorkspace('?'), filtros.workspaceId);
+
+  // Filtro por empresa
+  if (filtros.empresa) adicionar('empresa = ?', filtros.empresa);
+
+  // Filtro por status
+  if (filtros.status) adicionar('status = ?', filtros.status);
+
+  // Filtro por UF (coluna normalizada a partir de `local`)
+  if (filtros.uf) adicionar('uf = ?', filtros.uf);
+
+  // Filtro por local (trecho do texto, sem diferenciar maiúsculas)
+  if (filtros.local) adicionar(`local ILIKE '%' || ? || '%'`, filtros.local);
+
+  // Filtro por categoria (usa o índice GIN de categorias)
+  if (filtros.categoria) adicionar('categorias @> ARRAY[?]::text[]', filtros.categoria);
+
+  // Filtro por data de coleta (dataInicio/dataFim mantidos por compatibilidade)
+  const coletadoDe = filtros.coletadoDe || filtros.dataInicio;
+  const coletadoAte = filtros.coletadoAte || filtros.dataFim;
+  if (coletadoDe) adicionar('coletado_em >= ?', coletadoDe);
+  if (coletadoAte) adicionar('coletado_em <= ?', coletadoAte);
+
+  // Filtro pela data da reclamação
+  if (filtros.dataDe) adicionar('data_reclamacao >= ?', filtros.dataDe);
+  if (filtros.dataAte) adicionar('data_reclamacao <= ?', filtros.dataAte);
+
+  return { condicoes, params };
+}
+
+// ========================================
+// BUSCAR TODAS AS RECLAMAÇÕES (COM FILTROS)
+// ========================================
+async function buscarTodasReclamacoes(filtros = {}) {
+  const client = await pool.connect();
+  try {
+    const { condicoes, params } = montarFiltrosReclamacoes(filtros);
+    let query = `SELECT * FROM reclamacoes WHERE 1=1${condicoes}`;
+
+    // Ordenação e limite
+    query += ' ORDER BY coletado_em DESC';
+    
+    if (filtros.limite) {
+      query += ` LIMIT $${params.length + 1}`;
+      params.push(filtros.limite);
+    }
+
+    const resultado = await client.query(query, params);
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar todas as reclamações:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// LISTAR RECLAMAÇÕES (PAGINAÇÃO POR CURSOR)
+// ========================================
+// Campos aceitos em `ordenar`. O id entra sempre como desempate,
+// então (valor, id) identifica a posição exata de cada linha
+const ORDENACOES = {
+  coletado_em: { expressao: 'coletado_em', tipo: 'timestamp' },
+  data: { expressao: `COALESCE(data_reclamacao, '-infinity'::timestamptz)`, tipo: 'timestamptz' },
+  empresa: { expressao: 'empresa', tipo: 'text' },
+  status: { expressao: `COALESCE(status, '')`, tipo: 'text' },
+  // Sem nota (ainda não analisada) conta como neutra
+  severidade: { expressao: 'COALESCE(severidade, 0)', tipo: 'int' },
+  sentimento: { expressao: 'COALESCE(sentimento, 0)', tipo: 'numeric' }
+};
+
+// O cursor é opaco para o cliente: base64url de { o, v, id }
+function gerarCursor(ordem, valor, id) {
+  return Buffer.from(JSON.stringify({ o: ordem, v: valor, id: id })).toString('base64url');
+}
+
+function lerCursor(cursor, ordem) {
+  try {
+    const dados = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (dados.o !== ordem || !Number.isInteger(dados.id)) return null;
+    return dados;
+  } catch (erro) {
+    return null;
+  }
+}
+
+// opcoes: { ordenar, direcao ('asc'|'desc'), limite, cursor }
+// Retorna { reclamacoes, total, proximoCursor }. Lança erro com
+// codigo CURSOR_INVALIDO se o cursor não for desta ordenação
+async function listarReclamacoes(filtros = {}, opcoes = {}) {
+  const ordenar = ORDENACOES[opcoes.ordenar] ? opcoes.ordenar : 'coletado_em';
+  const direcao = opcoes.direcao === 'asc' ? 'asc' : 'desc';
+  const limite = opcoes.limite || 50;
+  const { expressao, tipo } = ORDENACOES[ordenar];
+  const chaveOrdem = `${ordenar}:${direcao}`;
+
+  let posicao = null;
+  if (opcoes.cursor) {
+    posicao = lerCursor(opcoes.cursor, chaveOrdem);
+    if (!posicao) {
+      const erro = new Error('Cursor inválido para esta ordenação');
+      erro.codigo = 'CURSOR_INVALIDO';
+      throw erro;
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    const { condicoes, params } = montarFiltrosReclamacoes(filtros);
+
+    // Total com os filtros, sem considerar a página
+    const total = await client.query(
+      `SELECT COUNT(*)::int AS total FROM reclamacoes WHERE 1=1${condicoes}`,
+      params
+    );
+
+    let query = `SELECT *, (${expressao})::text AS cursor_valor 
+      FROM reclamacoes WHERE 1=1${condicoes}`;
+    const paramsPagina = [...params];
+
+    // Continua depois da última linha da página anterior
+    if (posicao) {
+      const comparacao = direcao === 'desc' ? '<' : '>';
+      query += ` AND ((${expressao}), id) ${comparacao} ($${paramsPagina.length + 1}::${tipo}, $${paramsPagina.length + 2})`;
+      paramsPagina.push(posicao.v, posicao.id);
+    }
+
+    // Busca uma linha a mais para saber se existe próxima página
+    query += ` ORDER BY ${expressao} ${direcao}, id ${direcao} LIMIT $${paramsPagina.length + 1}`;
+    paramsPagina.push(limite + 1);
+
+    const resultado = await client.query(query, paramsPagina);
+    const linhas = resultado.rows.slice(0, limite);
+    const ultima = linhas[linhas.length - 1];
+
+    const proximoCursor = resultado.rows.length > limite
+      ? gerarCursor(chaveOrdem, ultima.cursor_valor, ultima.id)
+      : null;
+
+    return {
+      reclamacoes: linhas.map(({ cursor_valor, ...reclamacao }) => reclamacao),
+      total: total.rows[0].total,
+      proximoCursor
+    };
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar reclamações:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// BUSCA TEXTUAL (FULL-TEXT)
+// ========================================
+// Título pesa mais que a descrição no ranking
+const VETOR_BUSCA = `setweight(to_tsvector('portugues_sem_acento', coalesce(titulo, '')), 'A') ||
+  setweight(to_tsvector('portugues_sem_acento', coalesce(descricao, '')), 'B')`;
+
+// O ts_headline marca os termos encontrados com caracteres de
+// controle (não com <mark>, porque o texto vem cru do site). Aqui o
+// texto é escapado para HTML e só então as marcas viram <mark>
+const INICIO_DESTAQUE = '\u0002';
+const FIM_DESTAQUE = '\u0003';
+const OPCOES_DESTAQUE = `'StartSel=' || chr(2) || ', StopSel=' || chr(3)`;
+
+function destacarHtml(texto) {
+  if (texto === null || texto === undefined) return texto;
+
+  return texto
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(INICIO_DESTAQUE).join('<mark>')
+    .split(FIM_DESTAQUE).join('</mark>');
+}
+
+// termo aceita a sintaxe de busca web: "entrega atrasada" (frase),
+// estorno OR reembolso, -cancelamento. Usa os mesmos filtros da
+// listagem. Retorna { reclamacoes, total } ordenado por relevância.
+// titulo_destacado e trecho são HTML seguro (texto escapado + <mark>)
+async function buscarReclamacoesTexto(termo, filtros = {}, opcoes = {}) {
+  const limite = opcoes.limite || 20;
+  const pagina = opcoes.pagina || 1;
+
+  const client = await pool.connect();
+  try {
+    // $1 é o termo; os filtros começam no $2
+    const { condicoes, params } = montarFiltrosReclamacoes(filtros, 2);
+    const consulta = `websearch_to_tsquery('portugues_sem_acento', $1)`;
+    const where = `WHERE (${VETOR_BUSCA}) @@ ${consulta}${condicoes}`;
+
+    const total = await client.query(
+      `SELECT COUNT(*)::int AS total FROM reclamacoes ${where}`,
+      [termo, ...params]
+    );
+
+    const resultado = await client.query(
+      `SELECT id, id_externo, empresa, titulo, descricao, status, data, data_reclamacao, local, cidade, uf, link, coletado_em,
+         ts_rank_cd(${VETOR_BUSCA}, ${consulta}) AS relevancia,
+         ts_headline('portugues_sem_acento', titulo, ${consulta},
+           ${OPCOES_DESTAQUE} || ', HighlightAll=true') AS titulo_destacado,
+         ts_headline('portugues_sem_acento', coalesce(descricao, ''), ${consulta},
+           ${OPCOES_DESTAQUE} || ', MaxWords=35, MinWords=15, MaxFragments=2') AS trecho
+       FROM reclamacoes ${where}
+       ORDER BY relevancia DESC, coletado_em DESC, id DESC
+       LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+      [termo, ...params, limite, (pagina - 1) * limite]
+    );
+
+    return {
+      reclamacoes: resultado.rows.map(linha => ({
+        ...linha,
+        titulo_destacado: destacarHtml(linha.titulo_destacado),
+        trecho: destacarHtml(linha.trecho)
+      })),
+      total: total.rows[0].total
+    };
+
+  } catch (erro) {
+    console.error('❌ Erro na busca textual:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// PERCORRER RECLAMAÇÕES (EXPORTAÇÃO)
+// ========================================
+// Lê as reclamações filtradas por um cursor do Postgres, sem carregar
+// tudo na memória, e chama processarLinha(linha) uma por vez (aguardando
+// a promise, se houver). opcoes: { incluirHistorico, incluirRespostas }
+// acrescentam `historico` e `interacoes`/avaliação a cada linha
+const LOTE_CURSOR_EXPORTACAO = 500;
+
+async function percorrerReclamacoes(filtros = {}, opcoes = {}, processarLinha) {
+  const client = await pool.connect();
+  try {
+    const { condicoes, params } = montarFiltrosReclamacoes(filtros);
+
+    let colunas = 'r.*';
+    let juncoes = '';
+
+    if (opcoes.incluirRespostas) {
+      colunas += `, d.resolvido, d.voltaria_negocio, d.nota, d.avaliacao_comentario, i.interacoes`;
+      juncoes += `
+        LEFT JOIN reclamacoes_detalhes d ON d.reclamacao_id = r.id
+        LEFT JOIN LATERAL (
+          SELECT json_agg(json_build_object(
+            'autor', autor, 'tipo', tipo, 'texto', texto, 'data', data
+          ) ORDER BY ordem) AS interacoes
+          FROM reclamacoes_interacoes 
+          WHERE reclamacao_id = r.id
+        ) i ON true`;
+    }
+
+    if (opcoes.incluirHistorico) {
+      colunas += ', h.historico';
+      juncoes += `
+        LEFT JOIN LATERAL (
+          SELECT json_agg(json_build_object(
+            'campo', campo, 'anterior', valor_anterior, 'novo', valor_novo, 'registrado_em', registrado_em
+          ) ORDER BY registrado_em, id) AS historico
+          FROM reclamacoes_historico 
+          WHERE reclamacao_id = r.id
+        ) h ON true`;
+    }
+
+    // Os filtros usam nomes de coluna sem prefixo; a subconsulta evita ambiguidade
+    const consulta = new QueryStream(
+      `SELECT ${colunas} 
+       FROM (SELECT * FROM reclamacoes WHERE 1=1${condicoes}) r ${juncoes}
+       ORDER BY r.coletado_em DESC, r.id DESC`,
+      params,
+      { batchSize: LOTE_CURSOR_EXPORTACAO }
+    );
+
+    let total = 0;
+    for await (const linha of client.query(consulta)) {
+      await processarLinha(linha);
+      total++;
+    }
+
+    return total;
+
+  } catch (erro) {
+    console.error('❌ Erro ao percorrer reclamações:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// SALVAR CONFIGURAÇÃO DE MONITORAMENTO
+// ========================================
+// slug: identificador da empresa no Reclame Aqui (pode diferir do nome)
+// Cada workspace tem a sua configuração para a mesma empresa
+async function salvarConfiguracao(workspaceId, empresa, intervalo, slug = null) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `INSERT INTO configuracoes (workspace_id, empresa, intervalo, slug, ativo)
+       VALUES ($1, $2, $3, $4, true)
+       ON CONFLICT (workspace_id, empresa) 
+       DO UPDATE SET 
+         intervalo = $3,
+         slug = $4,
+         ativo = true,
+         atualizado_em = CURRENT_TIMESTAMP`,
+      [workspaceId, empresa, intervalo, slug]
+    );
+
+    console.log(`💾 Configuração salva para ${empresa} (workspace ${workspaceId})`);
+
+  } catch (erro) {
+    console.error('❌ Erro ao salvar configuração:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// CONFLITO DE SLUG ENTRE CONFIGURAÇÕES
+// ========================================
+// O job e as reclamações são um só por empresa: o mesmo slug não
+// pode ser monitorado com dois nomes, nem o mesmo nome com dois
+// slugs. Retorna a configuração ativa (de qualquer outro workspace
+// ou nome) que conflita com { empresa, slug }, ou null
+async function buscarConflitoSlug(workspaceId, empresa, slug) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT empresa, slug FROM configuracoes
+       WHERE ativo = true
+         AND NOT (workspace_id = $1 AND empresa = $2)
+         AND ((slug = $3 AND empresa <> $2) OR (empresa = $2 AND slug IS NOT NULL AND slug <> $3))
+       ORDER BY criado_em
+       LIMIT 1`,
+      [workspaceId, empresa, slug]
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar conflito de slug:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// OBTER CONFIGURAÇÕES
+// ========================================
+// Sem workspaceId traz as de todos os workspaces (usado pelo agendador)
+async function obterConfiguracoes(apenasAtivos = true, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    let query = `SELECT c.*, w.slug AS workspace 
+      FROM configuracoes c 
+      JOIN workspaces w ON w.id = c.workspace_id 
+      WHERE true`;
+    const params = [];
+    
+    if (apenasAtivos) {
+      query += ' AND c.ativo = true';
+    }
+
+    if (workspaceId) {
+      params.push(workspaceId);
+      query += ` AND c.workspace_id = $${params.length}`;
+    }
+    
+    query += ' ORDER BY c.criado_em DESC';
+
+    const resultado = await client.query(query, params);
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao obter configurações:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// DESATIVAR MONITORAMENTO
+// ========================================
+// Só desativa a configuração do workspace; os outros continuam
+async function desativarMonitoramento(workspaceId, empresa) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `UPDATE configuracoes 
+       SET ativo = false, atualizado_em = CURRENT_TIMESTAMP
+       WHERE workspace_id = $1 AND empresa = $2`,
+      [workspaceId, empresa]
+    );
+
+    // false: o workspace nunca configurou a empresa
+    if (resultado.rowCount === 0) return false;
+
+    console.log(`🔴 Monitoramento desativado para ${empresa} (workspace ${workspaceId})`);
+    return true;
+
+  } catch (erro) {
+    console.error('❌ Erro ao desativar monitoramento:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// EMPRESA PERTENCE AO WORKSPACE?
+// ========================================
+// true se o workspace monitora a empresa (configuração ativa)
+async function empresaDoWorkspace(workspaceId, empresa) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      'SELECT 1 FROM configuracoes WHERE workspace_id = $1 AND empresa = $2 AND ativo = true',
+      [workspaceId, empresa]
+    );
+
+    return resultado.rows.length > 0;
+
+  } catch (erro) {
+    console.error('❌ Erro ao verificar empresa do workspace:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// EXECUÇÕES - REGISTRAR INÍCIO
+// ========================================
+// origem: 'agendada' (cron) ou 'manual'. Retorna o id da execução
+async function registrarInicioExecucao(empresa, origem) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `INSERT INTO execucoes (empresa, origem)
+       VALUES ($1, $2)
+       RETURNING id`,
+      [empresa, origem]
+    );
+
+    return resultado.rows[0].id;
+
+  } catch (erro) {
+    console.error('❌ Erro ao registrar início da execução:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// EXECUÇÕES - REGISTRAR FIM
+// ========================================
+// status: 'sucesso' ou 'falha'
+async function registrarFimExecucao(id, dados) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE execucoes SET 
+         status = $2,
+         finalizado_em = CURRENT_TIMESTAMP,
+         duracao_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - iniciado_em)) * 1000)::int,
+         status_http = $3,
+         paginas = $4,
+         encontradas = $5,
+         novas = $6,
+         atualizadas = $7,
+         erro = $8
+       WHERE id = $1`,
+      [
+        id,
+        dados.status,
+        dados.statusHttp || null,
+        dados.paginas ?? null,
+        dados.encontradas ?? null,
+        dados.novas ?? null,
+        dados.atualizadas ?? null,
+        dados.erro || null
+      ]
+    );
+
+  } catch (erro) {
+    console.error('❌ Erro ao registrar fim da execução:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// EXECUÇÕES - LISTAR
+// ========================================
+async function listarExecucoes(empresa, filtros = {}) {
+  const client = await pool.connect();
+  try {
+    let query = 'SELECT * FROM execucoes WHERE empresa = $1';
+    const params = [empresa];
+    let paramCount = 2;
+
+    // Filtro por status (executando, sucesso, falha)
+    if (filtros.status) {
+      query += ` AND status = $${paramCount}`;
+      params.push(filtros.status);
+      paramCount++;
+    }
+
+    query += ` ORDER BY iniciado_em DESC LIMIT $${paramCount}`;
+    params.push(filtros.limite || 50);
+
+    const resultado = await client.query(query, params);
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar execuções:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// EXECUÇÕES - RESUMO
+// ========================================
+// Último sucesso, última falha e falhas seguidas desde o último sucesso
+async function resumoExecucoes(empresa) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `WITH ultimo_sucesso AS (
+         SELECT MAX(iniciado_em) AS em FROM execucoes 
+         WHERE empresa = $1 AND status = 'sucesso'
+       )
+       SELECT 
+         COUNT(*)::int AS total,
+         MAX(e.finalizado_em) FILTER (WHERE e.status = 'sucesso') AS ultimo_sucesso,
+         MAX(e.finalizado_em) FILTER (WHERE e.status = 'falha') AS ultima_falha,
+         (COUNT(*) FILTER (
+           WHERE e.status = 'falha' AND e.iniciado_em > COALESCE(u.em, '-infinity')
+         ))::int AS falhas_consecutivas,
+         (SELECT erro FROM execucoes 
+          WHERE empresa = $1 AND status = 'falha' 
+          ORDER BY iniciado_em DESC LIMIT 1) AS ultimo_erro
+       FROM execucoes e, ultimo_sucesso u
+       WHERE e.empresa = $1
+       GROUP BY u.em`,
+      [empresa]
+    );
+
+    return resultado.rows[0] || {
+      total: 0,
+      ultimo_sucesso: null,
+      ultima_falha: null,
+      falhas_consecutivas: 0,
+      ultimo_erro: null
+    };
+
+  } catch (erro) {
+    console.error('❌ Erro ao obter resumo das execuções:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// REPUTAÇÃO - SALVAR SNAPSHOT
+// ========================================
+async function salvarSnapshotReputacao(reputacao) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `INSERT INTO reputacao_snapshots 
+       (empresa, classificacao, nota_reputacao, taxa_resposta, taxa_solucao,
+        voltaria_negocio, nota_consumidor, tempo_medio_resposta,
+        tempo_medio_resposta_segundos, coletado_em)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        reputacao.empresa,
+        reputacao.classificacao,
+        reputacao.notaReputacao,
+        reputacao.taxaResposta,
+        reputacao.taxaSolucao,
+        reputacao.voltariaNegocio,
+        reputacao.notaConsumidor,
+        reputacao.tempoMedioResposta,
+        reputacao.tempoMedioRespostaSegundos,
+        reputacao.coletadoEm
+      ]
+    );
+
+  } catch (erro) {
+    console.error('❌ Erro ao salvar snapshot de reputação:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// REPUTAÇÃO - SÉRIE HISTÓRICA
+// ========================================
+// Retorna os snapshots no período junto com o volume diário
+// de reclamações coletadas, para plotar as duas séries juntas
+async function buscarSerieReputacao(empresa, filtros = {}) {
+  const client = await pool.connect();
+  try {
+    const params = [empresa, filtros.de || null, filtros.ate || null];
+    const periodo = `($2::timestamp IS NULL OR coletado_em >= $2)
+       AND ($3::timestamp IS NULL OR coletado_em <= $3)`;
+
+    const snapshots = await client.query(
+      `SELECT classificacao,
+         nota_reputacao::float AS nota_reputacao,
+         taxa_resposta::float AS taxa_resposta,
+         taxa_solucao::float AS taxa_solucao,
+         voltaria_negocio::float AS voltaria_negocio,
+         nota_consumidor::float AS nota_consumidor,
+         tempo_medio_resposta, tempo_medio_resposta_segundos, coletado_em
+       FROM reputacao_snapshots 
+       WHERE empresa = $1 AND ${periodo}
+       ORDER BY coletado_em`,
+      params
+    );
+
+    const volume = await client.query(
+      `SELECT DATE(coletado_em) AS dia, COUNT(*)::int AS reclamacoes
+       FROM reclamacoes 
+       WHERE empresa = $1 AND ${periodo}
+       GROUP BY DATE(coletado_em)
+       ORDER BY dia`,
+      params
+    );
+
+    return {
+      snapshots: snapshots.rows,
+      volume: volume.rows
+    };
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar série de reputação:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WEBHOOKS - CRIAR
+// ========================================
+async function criarWebhook({ workspaceId, empresa, url, segredo, eventos }) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `INSERT INTO webhooks (workspace_id, empresa, url, segredo, eventos)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [workspaceId, empresa, url, segredo, eventos]
+    );
+
+    console.log(`🔗 Webhook criado para ${empresa}: ${url}`);
+    return resultado.rows[0];
+
+  } catch (erro) {
+    console.error('❌ Erro ao criar webhook:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WEBHOOKS - LISTAR / OBTER
+// ========================================
+// O segredo nunca sai nas listagens, só na criação.
+// workspaceId (quando vem) restringe ao workspace de quem pediu
+const COLUNAS_WEBHOOK = 'id, workspace_id, empresa, url, eventos, ativo, criado_em, atualizado_em';
+
+async function listarWebhooks(empresa = null, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    let query = `SELECT ${COLUNAS_WEBHOOK} FROM webhooks WHERE true`;
+    const params = [];
+
+    if (workspaceId) {
+      params.push(workspaceId);
+      query += ` AND workspace_id = $${params.length}`;
+    }
+
+    if (empresa) {
+      params.push(empresa);
+      query += ` AND empresa = $${params.length}`;
+    }
+
+    query += ' ORDER BY criado_em DESC';
+
+    const resultado = await client.query(query, params);
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar webhooks:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+async function obterWebhook(id, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT ${COLUNAS_WEBHOOK} FROM webhooks 
+       WHERE id = $1 AND ($2::int IS NULL OR workspace_id = $2)`,
+      [id, workspaceId]
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao obter webhook:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WEBHOOKS - ATUALIZAR
+// ========================================
+// Só altera os campos enviados (url, eventos, ativo)
+async function atualizarWebhook(id, campos, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const sets = [];
+    const params = [];
+    let paramCount = 1;
+
+    for (const campo of ['url', 'eventos', 'ativo']) {
+      if (campos[campo] !== undefined) {
+        sets.push(`${campo} = $${paramCount}`);
+        params.push(campos[campo]);
+        paramCount++;
+      }
+    }
+
+    sets.push('atualizado_em = CURRENT_TIMESTAMP');
+    params.push(id, workspaceId);
+
+    const resultado = await client.query(
+      `UPDATE webhooks SET ${sets.join(', ')} 
+       WHERE id = $${paramCount} AND ($${paramCount + 1}::int IS NULL OR workspace_id = $${paramCount + 1})
+       RETURNING ${COLUNAS_WEBHOOK}`,
+      params
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao atualizar webhook:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WEBHOOKS - REMOVER
+// ========================================
+async function removerWebhook(id, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      'DELETE FROM webhooks WHERE id = $1 AND ($2::int IS NULL OR workspace_id = $2)',
+      [id, workspaceId]
+    );
+
+    return resultado.rowCount > 0;
+
+  } catch (erro) {
+    console.error('❌ Erro ao remover webhook:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WEBHOOKS - ENFILEIRAR ENTREGAS
+// ========================================
+// Cria uma entrega pendente para cada webhook ativo da empresa
+// que assina o evento, se o workspace do webhook ainda monitora a
+// empresa. Retorna as entregas já com url e segredo
+async function enfileirarEntregas(empresa, evento, payload) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `WITH novas AS (
+         INSERT INTO webhook_entregas (webhook_id, evento, payload)
+         SELECT id, $2::text, $3 FROM webhooks
+         WHERE empresa = $1 AND ativo = true AND $2::text = ANY(eventos) 
+           AND ${configuracaoAtiva('webhooks')}
+         RETURNING *
+       )
+       SELECT novas.*, w.url, w.segredo 
+       FROM novas JOIN webhooks w ON w.id = novas.webhook_id`,
+      [empresa, evento, payload]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao enfileirar entregas:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WEBHOOKS - ENTREGAS PENDENTES
+// ========================================
+async function listarEntregasPendentes(limite = 50) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT e.*, w.url, w.segredo 
+       FROM webhook_entregas e
+       JOIN webhooks w ON w.id = e.webhook_id
+       WHERE e.status = 'pendente' AND e.proxima_tentativa_em <= CURRENT_TIMESTAMP
+       ORDER BY e.proxima_tentativa_em 
+       LIMIT $1`,
+      [limite]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar entregas pendentes:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WEBHOOKS - REGISTRAR TENTATIVA
+// ========================================
+// status: 'entregue', 'pendente' (vai tentar de novo) ou 'falhou'
+async function registrarTentativaEntrega(id, { status, statusHttp, erro, proximaTentativaEm }) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE webhook_entregas SET 
+         status = $2::text,
+         tentativas = tentativas + 1,
+         ultimo_status_http = $3,
+         ultimo_erro = $4,
+         proxima_tentativa_em = $5,
+         entregue_em = CASE WHEN $2::text = 'entregue' THEN CURRENT_TIMESTAMP ELSE NULL END
+       WHERE id = $1`,
+      [id, status, statusHttp || null, erro || null, proximaTentativaEm || null]
+    );
+
+  } catch (erro) {
+    console.error('❌ Erro ao registrar tentativa de entrega:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WEBHOOKS - LOG DE ENTREGAS
+// ========================================
+async function listarEntregas(webhookId, limite = 50) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT * FROM webhook_entregas 
+       WHERE webhook_id = $1 
+       ORDER BY criado_em DESC 
+       LIMIT $2`,
+      [webhookId, limite]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar entregas:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// RELATÓRIOS - CRIAR / LISTAR / OBTER
+// ========================================
+async function criarRelatorio({ workspaceId, empresa, frequencia, destinatarios }) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `INSERT INTO relatorios (workspace_id, empresa, frequencia, destinatarios)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [workspaceId, empresa, frequencia, destinatarios]
+    );
+
+    console.log(`📧 Relatório ${frequencia} criado para ${empresa}`);
+    return resultado.rows[0];
+
+  } catch (erro) {
+    console.error('❌ Erro ao criar relatório:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// filtros: { workspaceId, empresa, frequencia, ativo, monitorando }
+// monitorando: só os de workspaces que ainda monitoram a empresa
+async function listarRelatorios(filtros = {}) {
+  const client = await pool.connect();
+  try {
+    let query = 'SELECT * FROM relatorios WHERE 1=1';
+    const params = [];
+
+    if (filtros.workspaceId) {
+      params.push(filtros.workspaceId);
+      query += ` AND workspace_id = $${params.length}`;
+    }
+
+    for (const campo of ['empresa', 'frequencia', 'ativo']) {
+      if (filtros[campo] !== undefined && filtros[campo] !== null) {
+        params.push(filtros[campo]);
+        query += ` AND ${campo} = $${params.length}`;
+      }
+    }
+
+    if (filtros.monitorando) {
+      query += ` AND ${configuracaoAtiva('relatorios')}`;
+    }
+
+    query += ' ORDER BY empresa, frequencia, id';
+
+    const resultado = await client.query(query, params);
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar relatórios:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+async function obterRelatorio(id, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      'SELECT * FROM relatorios WHERE id = $1 AND ($2::int IS NULL OR workspace_id = $2)',
+      [id, workspaceId]
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao obter relatório:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// RELATÓRIOS - ATUALIZAR / REMOVER
+// ========================================
+// Só altera os campos enviados (frequencia, destinatarios, ativo)
+async function atualizarRelatorio(id, campos, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const sets = [];
+    const params = [];
+    let paramCount = 1;
+
+    for (const campo of ['frequencia', 'destinatarios', 'ativo']) {
+      if (campos[campo] !== undefined) {
+        sets.push(`${campo} = $${paramCount}`);
+        params.push(campos[campo]);
+        paramCount++;
+      }
+    }
+
+    sets.push('atualizado_em = CURRENT_TIMESTAMP');
+    params.push(id, workspaceId);
+
+    const resultado = await client.query(
+      `UPDATE relatorios SET ${sets.join(', ')} 
+       WHERE id = $${paramCount} AND ($${paramCount + 1}::int IS NULL OR workspace_id = $${paramCount + 1})
+       RETURNING *`,
+      params
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao atualizar relatório:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+async function removerRelatorio(id, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      'DELETE FROM relatorios WHERE id = $1 AND ($2::int IS NULL OR workspace_id = $2)',
+      [id, workspaceId]
+    );
+
+    return resultado.rowCount > 0;
+
+  } catch (erro) {
+    console.error('❌ Erro ao remover relatório:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Guarda o resultado do último envio (erro = null quando deu certo)
+async function registrarEnvioRelatorio(id, erro = null) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `UPDATE relatorios 
+       SET ultimo_envio_em = CASE WHEN $2::text IS NULL THEN CURRENT_TIMESTAMP ELSE ultimo_envio_em END,
+           ultimo_erro = $2::text
+       WHERE id = $1`,
+      [id, erro]
+    );
+
+  } catch (erroBanco) {
+    console.error('❌ Erro ao registrar envio do relatório:', erroBanco);
+    throw erroBanco;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// RELATÓRIOS - CONTEÚDO
+// ========================================
+// Reclamações coletadas e mudanças de status da empresa entre de e ate.
+// Traz no máximo `limite` itens de cada lista, mais os totais
+async function buscarNovidadesEmpresa(empresa, { de, ate, limite = 20 }) {
+  const client = await pool.connect();
+  try {
+    const novas = await client.query(
+      `SELECT id, id_externo, titulo, status, data, data_reclamacao, cidade, uf, link, coletado_em,
+         COUNT(*) OVER ()::int AS total
+       FROM reclamacoes 
+       WHERE empresa = $1 AND coletado_em >= $2 AND coletado_em < $3
+       ORDER BY coletado_em DESC, id DESC 
+       LIMIT $4`,
+      [empresa, de, ate, limite]
+    );
+
+    const mudancas = await client.query(
+      `SELECT r.id, r.id_externo, r.titulo, r.link, 
+         h.valor_anterior, h.valor_novo, h.registrado_em,
+         COUNT(*) OVER ()::int AS total
+       FROM reclamacoes_historico h
+       JOIN reclamacoes r ON r.id = h.reclamacao_id
+       WHERE r.empresa = $1 AND h.campo = 'status' 
+         AND h.registrado_em >= $2 AND h.registrado_em < $3
+       ORDER BY h.registrado_em DESC, h.id DESC 
+       LIMIT $4`,
+      [empresa, de, ate, limite]
+    );
+
+    const semTotal = ({ total, ...linha }) => linha;
+
+    return {
+      novas: novas.rows.map(semTotal),
+      totalNovas: novas.rows.length > 0 ? novas.rows[0].total : 0,
+      mudancas: mudancas.rows.map(semTotal),
+      totalMudancas: mudancas.rows.length > 0 ? mudancas.rows[0].total : 0
+    };
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar novidades da empresa:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// REGRAS DE ALERTA - CRUD
+// ========================================
+async function criarRegraAlerta({ workspaceId, empresa, nome, tipo, parametros, severidade }) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `INSERT INTO regras_alerta (workspace_id, empresa, nome, tipo, parametros, severidade)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [workspaceId, empresa, nome, tipo, parametros, severidade]
+    );
+
+    console.log(`🚨 Regra de alerta "${nome}" criada para ${empresa}`);
+    return resultado.rows[0];
+
+  } catch (erro) {
+    console.error('❌ Erro ao criar regra de alerta:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// filtros: { workspaceId, empresa, ativo, monitorando }
+// monitorando: só os de workspaces que ainda monitoram a empresa
+async function listarRegrasAlerta(filtros = {}) {
+  const client = await pool.connect();
+  try {
+    let query = 'SELECT * FROM regras_alerta WHERE 1=1';
+    const params = [];
+
+    if (filtros.workspaceId) {
+      params.push(filtros.workspaceId);
+      query += ` AND workspace_id = $${params.length}`;
+    }
+
+    for (const campo of ['empresa', 'ativo']) {
+      if (filtros[campo] !== undefined && filtros[campo] !== null) {
+        params.push(filtros[campo]);
+        query += ` AND ${campo} = $${params.length}`;
+      }
+    }
+
+    if (filtros.monitorando) {
+      query += ` AND ${configuracaoAtiva('regras_alerta')}`;
+    }
+
+    query += ' ORDER BY empresa, id';
+
+    const resultado = await client.query(query, params);
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar regras de alerta:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+async function obterRegraAlerta(id, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      'SELECT * FROM regras_alerta WHERE id = $1 AND ($2::int IS NULL OR workspace_id = $2)',
+      [id, workspaceId]
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao obter regra de alerta:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Só altera os campos enviados (nome, parametros, severidade, ativo)
+async function atualizarRegraAlerta(id, campos, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const sets = [];
+    const params = [];
+    let paramCount = 1;
+
+    for (const campo of ['nome', 'parametros', 'severidade', 'ativo']) {
+      if (campos[campo] !== undefined) {
+        sets.push(`${campo} = $${paramCount}`);
+        params.push(campos[campo]);
+        paramCount++;
+      }
+    }
+
+    sets.push('atualizado_em = CURRENT_TIMESTAMP');
+    params.push(id, workspaceId);
+
+    const resultado = await client.query(
+      `UPDATE regras_alerta SET ${sets.join(', ')} 
+       WHERE id = $${paramCount} AND ($${paramCount + 1}::int IS NULL OR workspace_id = $${paramCount + 1})
+       RETURNING *`,
+      params
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao atualizar regra de alerta:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+async function removerRegraAlerta(id, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      'DELETE FROM regras_alerta WHERE id = $1 AND ($2::int IS NULL OR workspace_id = $2)',
+      [id, workspaceId]
+    );
+
+    return resultado.rowCount > 0;
+
+  } catch (erro) {
+    console.error('❌ Erro ao remover regra de alerta:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// ALERTAS - REGISTRAR
+// ========================================
+// alertas: [{ regraId, workspaceId, empresa, reclamacaoId, severidade, mensagem, dados }]
+// Repetições (mesma regra e reclamação) são ignoradas.
+// Retorna só os alertas realmente criados
+async function registrarAlertas(alertas) {
+  if (alertas.length === 0) return [];
+
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `INSERT INTO alertas (regra_id, workspace_id, empresa, reclamacao_id, severidade, mensagem, dados)
+       SELECT regra_id, workspace_id, empresa, reclamacao_id, severidade, mensagem, dados::jsonb 
+       FROM unnest($1::int[], $2::int[], $3::text[], $4::int[], $5::text[], $6::text[], $7::text[]) 
+         AS t(regra_id, workspace_id, empresa, reclamacao_id, severidade, mensagem, dados)
+       ON CONFLICT (regra_id, reclamacao_id) WHERE reclamacao_id IS NOT NULL DO NOTHING
+       RETURNING *`,
+      [
+        alertas.map(alerta => alerta.regraId),
+        alertas.map(alerta => alerta.workspaceId),
+        alertas.map(alerta => alerta.empresa),
+        alertas.map(alerta => alerta.reclamacaoId || null),
+        alertas.map(alerta => alerta.severidade),
+        alertas.map(alerta => alerta.mensagem),
+        alertas.map(alerta => JSON.stringify(alerta.dados || {}))
+      ]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao registrar alertas:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Reclamações da empresa feitas nas últimas N horas (data real;
+// sem ela, a data de coleta)
+async function contarReclamacoesRecentes(empresa, horas) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT COUNT(*)::int AS total FROM reclamacoes 
+       WHERE empresa = $1 
+         AND COALESCE(data_reclamacao, coletado_em) >= NOW() - make_interval(hours => $2)`,
+      [empresa, horas]
+    );
+
+    return resultado.rows[0].total;
+
+  } catch (erro) {
+    console.error('❌ Erro ao contar reclamações recentes:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Evita repetir o alerta de volume a cada execução dentro da mesma janela
+async function existeAlertaRecente(regraId, horas) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT 1 FROM alertas 
+       WHERE regra_id = $1 AND criado_em >= NOW() - make_interval(hours => $2)
+       LIMIT 1`,
+      [regraId, horas]
+    );
+
+    return resultado.rows.length > 0;
+
+  } catch (erro) {
+    console.error('❌ Erro ao verificar alertas recentes:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// ALERTAS - LISTAR / RECONHECER / RESOLVER
+// ========================================
+// Os mais urgentes primeiro: abertos antes dos reconhecidos,
+// depois por severidade e pelos mais recentes
+// filtros: { workspaceId, empresa, status, severidade, limite }
+async function listarAlertas(filtros = {}) {
+  const client = await pool.connect();
+  try {
+    let query = `
+      SELECT a.*, r.nome AS regra, rec.id_externo, rec.titulo, rec.link 
+      FROM alertas a
+      LEFT JOIN regras_alerta r ON r.id = a.regra_id
+      LEFT JOIN reclamacoes rec ON rec.id = a.reclamacao_id
+      WHERE 1=1`;
+    const params = [];
+
+    if (filtros.workspaceId) {
+      params.push(filtros.workspaceId);
+      query += ` AND a.workspace_id = $${params.length}`;
+    }
+
+    for (const campo of ['empresa', 'status', 'severidade']) {
+      if (filtros[campo]) {
+        params.push(filtros[campo]);
+        query += ` AND a.${campo} = $${params.length}`;
+      }
+    }
+
+    params.push(filtros.limite || 50);
+    query += `
+      ORDER BY 
+        CASE a.status WHEN 'aberto' THEN 0 WHEN 'reconhecido' THEN 1 ELSE 2 END,
+        CASE a.severidade WHEN 'critica' THEN 0 WHEN 'alta' THEN 1 WHEN 'media' THEN 2 ELSE 3 END,
+        a.criado_em DESC, a.id DESC
+      LIMIT $${params.length}`;
+
+    const resultado = await client.query(query, params);
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar alertas:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Transições permitidas: aberto -> reconhecido, aberto/reconhecido -> resolvido.
+// Retorna { alerta } ou { erro: 'NAO_ENCONTRADO' | 'TRANSICAO_INVALIDA', status }
+const TRANSICOES_ALERTA = {
+  reconhecido: { de: ['aberto'], data: 'reconhecido_em', usuario: 'reconhecido_por' },
+  resolvido: { de: ['aberto', 'reconhecido'], data: 'resolvido_em', usuario: 'resolvido_por' }
+};
+
+async function alterarStatusAlerta(id, novoStatus, { usuario = null, comentario = null, workspaceId = null } = {}) {
+  const transicao = TRANSICOES_ALERTA[novoStatus];
+
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `UPDATE alertas 
+       SET status = $2, ${transicao.data} = CURRENT_TIMESTAMP, ${transicao.usuario} = $3,
+           comentario = COALESCE($4, comentario)
+       WHERE id = $1 AND status = ANY($5::text[]) AND ($6::int IS NULL OR workspace_id = $6)
+       RETURNING *`,
+      [id, novoStatus, usuario, comentario, transicao.de, workspaceId]
+    );
+
+    if (resultado.rows.length > 0) {
+      return { alerta: resultado.rows[0] };
+    }
+
+    const atual = await client.query(
+      'SELECT status FROM alertas WHERE id = $1 AND ($2::int IS NULL OR workspace_id = $2)',
+      [id, workspaceId]
+    );
+    if (atual.rows.length === 0) {
+      return { erro: 'NAO_ENCONTRADO' };
+    }
+
+    return { erro: 'TRANSICAO_INVALIDA', status: atual.rows[0].status };
+
+  } catch (erro) {
+    console.error('❌ Erro ao alterar status do alerta:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// WORKSPACES - CRIAR / LISTAR / OBTER
+// ========================================
+// Retorna o workspace criado ou null se o slug já existe
+async function criarWorkspace({ slug, nome }) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `INSERT INTO workspaces (slug, nome) 
+       VALUES ($1, $2) 
+       ON CONFLICT (slug) DO NOTHING 
+       RETURNING *`,
+      [slug, nome]
+    );
+
+    if (resultado.rows.length > 0) {
+      console.log(`🏢 Workspace criado: ${slug}`);
+    }
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao criar workspace:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Com quantas empresas cada workspace está monitorando agora
+async function listarWorkspaces() {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT w.*, COUNT(c.id) FILTER (WHERE c.ativo)::int AS monitoramentos_ativos 
+       FROM workspaces w 
+       LEFT JOIN configuracoes c ON c.workspace_id = w.id 
+       GROUP BY w.id 
+       ORDER BY w.id`
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar workspaces:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+async function obterWorkspace(slug) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      'SELECT * FROM workspaces WHERE slug = $1',
+      [slug]
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao obter workspace:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// CHAVES DE API
+// ========================================
+// Cada chave pertence a um workspace e só enxerga os dados dele
+const COLUNAS_CHAVE_API = 'id, workspace_id, nome, prefixo, papel, ativo, criado_em, ultimo_uso_em, revogado_em';
+
+async function criarChaveApi({ workspaceId, nome, prefixo, hash, papel }) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `INSERT INTO chaves_api (workspace_id, nome, prefixo, hash, papel) 
+       VALUES ($1, $2, $3, $4, $5) 
+       RETURNING ${COLUNAS_CHAVE_API}`,
+      [workspaceId, nome, prefixo, hash, papel]
+    );
+
+    return resultado.rows[0];
+
+  } catch (erro) {
+    console.error('❌ Erro ao criar chave de API:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+async function listarChavesApi(workspaceId) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT ${COLUNAS_CHAVE_API} FROM chaves_api WHERE workspace_id = $1 ORDER BY ativo DESC, id`,
+      [workspaceId]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar chaves de API:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Chave ativa com este id, ou null. Usada para conferir se a chave
+// que emitiu um JWT ainda vale
+async function buscarChaveApiAtiva(id) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT ${COLUNAS_CHAVE_API} FROM chaves_api WHERE id = $1 AND ativo = true`,
+      [id]
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar chave de API:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Chave ativa com este hash (e o slug do workspace), ou null.
+// Atualiza ultimo_uso_em no máximo a cada 5 minutos (não grava a
+// cada requisição)
+async function buscarChaveApiPorHash(hash) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT ${COLUNAS_CHAVE_API.split(', ').map(coluna => `c.${coluna}`).join(', ')}, w.slug AS workspace 
+       FROM chaves_api c JOIN workspaces w ON w.id = c.workspace_id 
+       WHERE c.hash = $1 AND c.ativo = true`,
+      [hash]
+    );
+
+    if (resultado.rows.length === 0) return null;
+
+    await client.query(
+      `UPDATE chaves_api SET ultimo_uso_em = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND (ultimo_uso_em IS NULL OR ultimo_uso_em < CURRENT_TIMESTAMP - INTERVAL '5 minutes')`,
+      [resultado.rows[0].id]
+    );
+
+    return resultado.rows[0];
+
+  } catch (erro) {
+    console.error('❌ Erro ao buscar chave de API:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Desativa a chave (o registro fica para auditoria). Retorna a chave ou null
+async function revogarChaveApi(id, workspaceId) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `UPDATE chaves_api SET ativo = false, revogado_em = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND workspace_id = $2 AND ativo = true 
+       RETURNING ${COLUNAS_CHAVE_API}`,
+      [id, workspaceId]
+    );
+
+    return resultado.rows[0] || null;
+
+  } catch (erro) {
+    console.error('❌ Erro ao revogar chave de API:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// ANOMALIAS DE VOLUME
+// ========================================
+// Reclamações (pela data da reclamação) entre inicio e fim e na mesma
+// janela de cada uma das `semanas` anteriores (mesmo dia da semana e
+// horário). Retorna { contagens: [atual, 1 semana antes, ...], primeiraReclamacao }
+async function contarJanelasSemanais(empresa, { inicio, fim, semanas }) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT k.semana, COUNT(r.id)::int AS total 
+       FROM generate_series(0, $4::int) AS k(semana) 
+       LEFT JOIN reclamacoes r 
+         ON r.empresa = $1 
+         AND r.data_reclamacao >= $2::timestamptz - k.semana * INTERVAL '7 days' 
+         AND r.data_reclamacao < $3::timestamptz - k.semana * INTERVAL '7 days' 
+       GROUP BY k.semana 
+       ORDER BY k.semana`,
+      [empresa, inicio, fim, semanas]
+    );
+
+    const primeira = await client.query(
+      'SELECT MIN(data_reclamacao) AS primeira FROM reclamacoes WHERE empresa = $1',
+      [empresa]
+    );
+
+    return {
+      contagens: resultado.rows.map(linha => linha.total),
+      primeiraReclamacao: primeira.rows[0].primeira
+    };
+
+  } catch (erro) {
+    console.error('❌ Erro ao contar janelas de reclamações:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+async function registrarAnomalia(anomalia) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `INSERT INTO anomalias 
+       (empresa, granularidade, inicio, fim, total, media, desvio, z_score, semanas_base) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+       RETURNING *`,
+      [
+        anomalia.empresa,
+        anomalia.granularidade,
+        anomalia.inicio,
+        anomalia.fim,
+        anomalia.total,
+        anomalia.media,
+        anomalia.desvio,
+        anomalia.zScore,
+        anomalia.semanasBase
+      ]
+    );
+
+    return resultado.rows[0];
+
+  } catch (erro) {
+    console.error('❌ Erro ao registrar anomalia:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Já existe anomalia desta granularidade cuja janela termina depois
+// de `desde`? (evita registrar o mesmo pico a cada execução)
+async function existeAnomaliaRecente(empresa, granularidade, desde) {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT 1 FROM anomalias 
+       WHERE empresa = $1 AND granularidade = $2 AND fim > $3 
+       LIMIT 1`,
+      [empresa, granularidade, desde]
+    );
+
+    return resultado.rows.length > 0;
+
+  } catch (erro) {
+    console.error('❌ Erro ao verificar anomalias recentes:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// filtros: { empresa, granularidade, de, ate, limite }. de/ate valem
+// para o fim da janela do pico
+async function listarAnomalias(filtros = {}) {
+  const client = await pool.connect();
+  try {
+    const params = [];
+    let query = `SELECT * FROM anomalias WHERE ${filtroWorkspace(filtros.workspaceId, params)}`;
+
+    if (filtros.empresa) {
+      params.push(filtros.empresa);
+      query += ` AND empresa = $${params.length}`;
+    }
+
+    if (filtros.granularidade) {
+      params.push(filtros.granularidade);
+      query += ` AND granularidade = $${params.length}`;
+    }
+
+    if (filtros.de) {
+      params.push(filtros.de);
+      query += ` AND fim >= $${params.length}`;
+    }
+
+    if (filtros.ate) {
+      params.push(filtros.ate);
+      query += ` AND fim <= $${params.length}`;
+    }
+
+    params.push(filtros.limite || 50);
+    query += ` ORDER BY detectado_em DESC, id DESC LIMIT $${params.length}`;
+
+    const resultado = await client.query(query, params);
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao listar anomalias:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// CORRIGIR CATEGORIAS
+// ========================================
+// Grava as categorias informadas por alguém e registra a correção.
+// Retorna a reclamação atualizada ou null se não existir
+async function corrigirCategorias(empresa, idExterno, categorias, usuario = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const atual = await client.query(
+      `SELECT id, categorias FROM reclamacoes 
+       WHERE empresa = $1 AND id_externo = $2 
+       FOR UPDATE`,
+      [empresa, idExterno]
+    );
+
+    if (atual.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { id, categorias: anteriores } = atual.rows[0];
+
+    const resultado = await client.query(
+      `UPDATE reclamacoes 
+       SET categorias = $1, categorias_manual = true 
+       WHERE id = $2 
+       RETURNING *`,
+      [categorias, id]
+    );
+
+    await client.query(
+      `INSERT INTO categorias_correcoes (reclamacao_id, categorias_anteriores, categorias_novas, usuario) 
+       VALUES ($1, $2, $3, $4)`,
+      [id, anteriores, categorias, usuario]
+    );
+
+    await client.query('COMMIT');
+    return resultado.rows[0];
+
+  } catch (erro) {
+    await client.query('ROLLBACK');
+    console.error('❌ Erro ao corrigir categorias:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// MODELO DE CATEGORIAS
+// ========================================
+// Treina com todas as reclamações corrigidas manualmente, grava o
+// modelo e passa a usá-lo nas próximas coletas.
+// Retorna { amostras, treinadoEm }
+async function treinarModeloCategorias() {
+  const client = await pool.connect();
+  try {
+    const amostras = await client.query(
+      `SELECT titulo, descricao, categorias FROM reclamacoes 
+       WHERE categorias_manual = true`
+    );
+
+    const modelo = treinarModelo(amostras.rows);
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM modelo_categorias');
+    const resultado = await client.query(
+      `INSERT INTO modelo_categorias (modelo, amostras) 
+       VALUES ($1, $2) 
+       RETURNING amostras, treinado_em`,
+      [modelo, amostras.rows.length]
+    );
+    await client.query('COMMIT');
+
+    definirModelo(modelo);
+    console.log(`🧠 Modelo de categorias treinado com ${amostras.rows.length} reclamações`);
+
+    return { amostras: resultado.rows[0].amostras, treinadoEm: resultado.rows[0].treinado_em };
+
+  } catch (erro) {
+    await client.query('ROLLBACK');
+    console.error('❌ Erro ao treinar modelo de categorias:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Carrega o último modelo treinado (chamado no boot).
+// Retorna { amostras, treinadoEm } ou null se nunca foi treinado
+async function carregarModeloCategorias() {
+  const client = await pool.connect();
+  try {
+    const resultado = await client.query(
+      `SELECT modelo, amostras, treinado_em FROM modelo_categorias 
+       ORDER BY treinado_em DESC 
+       LIMIT 1`
+    );
+
+    if (resultado.rows.length === 0) return null;
+
+    const { modelo, amostras, treinado_em } = resultado.rows[0];
+    definirModelo(modelo);
+
+    return { amostras, treinadoEm: treinado_em };
+
+  } catch (erro) {
+    console.error('❌ Erro ao carregar modelo de categorias:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// ESTATÍSTICAS
+// ========================================
+// Sem empresa, soma as empresas do workspace (ou todas, sem workspaceId)
+async function obterEstatisticas(empresa = null, workspaceId = null) {
+  const client = await pool.connect();
+  try {
+    let query, params;
+
+    if (empresa) {
+      query = `
+        SELECT 
+          COUNT(*) as total,
+          COUNT(DISTINCT status) as status_diferentes,
+          MIN(coletado_em) as primeira_coleta,
+          MAX(coletado_em) as ultima_coleta,
+          MIN(data_reclamacao) as primeira_reclamacao,
+          MAX(data_reclamacao) as ultima_reclamacao
+        FROM reclamacoes
+        WHERE empresa = $1
+      `;
+      params = [empresa];
+    } else {
+      params = [];
+      query = `
+        SELECT 
+          COUNT(*) as total,
+          COUNT(DISTINCT empresa) as empresas_diferentes,
+          COUNT(DISTINCT status) as status_diferentes,
+          MIN(coletado_em) as primeira_coleta,
+          MAX(coletado_em) as ultima_coleta,
+          MIN(data_reclamacao) as primeira_reclamacao,
+          MAX(data_reclamacao) as ultima_reclamacao
+        FROM reclamacoes
+        WHERE ${filtroWorkspace(workspaceId, params)}
+      `;
+    }
+
+    const resultado = await client.query(query, params);
+    return resultado.rows[0];
+
+  } catch (erro) {
+    console.error('❌ Erro ao obter estatísticas:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// ========================================
+// ESTATÍSTICAS POR PERÍODO
+// ========================================
+// Fuso usado para agrupar por dia/semana/mês (horário do site)
+const FUSO_SITE = 'America/Sao_Paulo';
+
+const AGRUPAMENTOS = {
+  dia: 'day',
+  semana: 'week',
+  mes: 'month'
+};
+
+// Status do site, sem acentos e em minúsculas. "Respondida",
+// "Em réplica" etc. contam como respondidas; solução considera só
+// as avaliadas pelo consumidor (Resolvido / Não resolvido)
+function classificarStatus(status) {
+  const normalizado = (status || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+  if (!normalizado) return null;
+  if (normalizado === 'nao respondida') return 'nao_respondida';
+  if (normalizado === 'resolvido') return 'resolvido';
+  if (normalizado === 'nao resolvido') return 'nao_resolvido';
+  return 'respondida';
+}
+
+// Percentual com uma casa decimal, ou null sem base de cálculo
+function percentual(parte, total) {
+  return total > 0 ? Math.round((parte / total) * 1000) / 10 : null;
+}
+
+// Resumo das reclamações feitas (data_reclamacao) entre de e ate:
+// total, quebra por status e taxas de resposta/solução.
+// Sem empresa, inclui também a quebra por empresa (só as do
+// workspace, quando workspaceId vem)
+async function obterResumoPeriodo(empresa = null, { de, ate, workspaceId = null } = {}) {
+  const client = await pool.connect();
+  try {
+    const { condicoes, params } = montarFiltrosReclamacoes({ workspaceId, empresa, dataDe: de, dataAte: ate });
 
-    // Cria a tabela de reclamações
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS reclamacoes (
-        id SERIAL PRIMARY KEY,
-        id_externo VARCHAR(255),
-        empresa VARCHAR(255) NOT NULL,
-        titulo TEXT NOT NULL,
-        descricao TEXT,
-        status VARCHAR(100),
-        data VARCHAR(100),
-        local VARCHAR(255),
-        link TEXT,
-        coletado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(id_externo, empresa)
-      )
-    `);
+    const porStatus = await client.query(
+      `SELECT status, COUNT(*)::int AS total 
+       FROM reclamacoes 
+       WHERE data_reclamacao IS NOT NULL${condicoes}
+       GROUP BY status 
+       ORDER BY total DESC`,
+      params
+    );
 
-    // Cria a tabela de configurações de monitoramento
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS configuracoes (
-        id SERIAL PRIMARY KEY,
-        empresa VARCHAR(255) UNIQUE NOT NULL,
-        intervalo VARCHAR(50) NOT NULL,
-        ativo BOOLEAN DEFAULT true,
-        criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        atualizado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    const contagem = { nao_respondida: 0, respondida: 0, resolvido: 0, nao_resolvido: 0 };
+    let total = 0;
 
-    // Cria índices para melhorar performance
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_reclamacoes_empresa 
-      ON reclamacoes(empresa)
-    `);
+    for (const linha of porStatus.rows) {
+      total += linha.total;
+      const tipo = classificarStatus(linha.status);
+      if (tipo) contagem[tipo] += linha.total;
+    }
 
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_reclamacoes_data 
-      ON reclamacoes(coletado_em DESC)
-    `);
+    const comStatus = contagem.nao_respondida + contagem.respondida + contagem.resolvido + contagem.nao_resolvido;
+    const respondidas = comStatus - contagem.nao_respondida;
+    const avaliadas = contagem.resolvido + contagem.nao_resolvido;
 
-    console.log('✅ Banco de dados inicializado com sucesso');
+    const resumo = {
+      total,
+      porStatus: porStatus.rows,
+      respondidas,
+      resolvidas: contagem.resolvido,
+      avaliadas,
+      taxaResposta: percentual(respondidas, comStatus),
+      taxaSolucao: percentual(contagem.resolvido, avaliadas)
+    };
+
+    // Uma reclamação com duas categorias conta nas duas
+    const porCategoria = await client.query(
+      `SELECT categoria, COUNT(*)::int AS total 
+       FROM reclamacoes, unnest(categorias) AS categoria 
+       WHERE data_reclamacao IS NOT NULL${condicoes}
+       GROUP BY categoria 
+       ORDER BY total DESC, categoria`,
+      params
+    );
+    const semCategoria = await client.query(
+      `SELECT COUNT(*)::int AS total 
+       FROM reclamacoes 
+       WHERE data_reclamacao IS NOT NULL AND COALESCE(cardinality(categorias), 0) = 0${condicoes}`,
+      params
+    );
+    resumo.porCategoria = porCategoria.rows;
+
+    const medias = await client.query(
+      `SELECT 
+         ROUND(AVG(sentimento), 3)::float AS sentimento_medio,
+         ROUND(AVG(severidade), 1)::float AS severidade_media 
+       FROM reclamacoes 
+       WHERE data_reclamacao IS NOT NULL${condicoes}`,
+      params
+    );
+    resumo.sentimentoMedio = medias.rows[0].sentimento_medio;
+    resumo.severidadeMedia = medias.rows[0].severidade_media;
+    resumo.semCategoria = semCategoria.rows[0].total;
+
+    if (!empresa) {
+      const porEmpresa = await client.query(
+        `SELECT empresa, COUNT(*)::int AS total 
+         FROM reclamacoes 
+         WHERE data_reclamacao IS NOT NULL${condicoes}
+         GROUP BY empresa 
+         ORDER BY total DESC, empresa`,
+        params
+      );
+      resumo.porEmpresa = porEmpresa.rows;
+    }
+
+    return resumo;
 
   } catch (erro) {
-    console.error('❌ Erro ao inicializar banco:', erro);
+    console.error('❌ Erro ao obter resumo do período:', erro);
+    throw erro;
+  } finally {
+    client.release();
+  }
+}
+
+// Volume de reclamações por dia/semana/mês entre de e ate (obrigatórios),
+// com sentimento e severidade médios. Períodos sem reclamações
+// aparecem com total 0 e médias null
+async function obterVolumeReclamacoes(empresa = null, { de, ate, agrupamento = 'dia', workspaceId = null } = {}) {
+  const unidade = AGRUPAMENTOS[agrupamento] || AGRUPAMENTOS.dia;
+
+  const client = await pool.connect();
+  try {
+    // $1 = unidade, $2 = fuso; os filtros começam no $3
+    const { condicoes, params } = montarFiltrosReclamacoes({ workspaceId, empresa, dataDe: de, dataAte: ate }, 3);
+    const inicio = `date_trunc($1, $${params.length + 3}::timestamptz AT TIME ZONE $2)`;
+    const fim = `date_trunc($1, $${params.length + 4}::timestamptz AT TIME ZONE $2)`;
+
+    const resultado = await client.query(
+      `WITH contagem AS (
+         SELECT date_trunc($1, data_reclamacao AT TIME ZONE $2) AS periodo, 
+           COUNT(*)::int AS total,
+           ROUND(AVG(sentimento), 3)::float AS sentimento_medio,
+           ROUND(AVG(severidade), 1)::float AS severidade_media 
+         FROM reclamacoes 
+         WHERE data_reclamacao IS NOT NULL${condicoes}
+         GROUP BY 1
+       ),
+       serie AS (
+         SELECT generate_series(${inicio}, ${fim}, ('1 ' || $1)::interval) AS periodo
+       )
+       SELECT to_char(s.periodo, 'YYYY-MM-DD') AS periodo, COALESCE(c.total, 0) AS total,
+         c.sentimento_medio, c.severidade_media 
+       FROM serie s 
+       LEFT JOIN contagem c ON c.periodo = s.periodo 
+       ORDER BY s.periodo`,
+      [unidade, FUSO_SITE, ...params, de, ate]
+    );
+
+    return resultado.rows;
+
+  } catch (erro) {
+    console.error('❌ Erro ao obter volume de reclamações:', erro);
     throw erro;
   } finally {
     client.release();
@@ -83,49 +3406,56 @@ async function inicializarBanco() {
 }
 
 // ========================================
-// SALVAR RECLAMAÇÕES
+// ESTATÍSTICAS POR REGIÃO
 // ========================================
-async function salvarReclamacoesDB(reclamacoes) {
+// Contagem por UF e, dentro de cada UF, por cidade. Aceita os mesmos
+// filtros da listagem (datas, status...). Reclamações sem UF
+// reconhecida entram em semLocalizacao
+async function obterEstatisticasRegioes(empresa, filtros = {}) {
   const client = await pool.connect();
   try {
-    let salvos = 0;
-    let duplicados = 0;
+    const { condicoes, params } = montarFiltrosReclamacoes({ ...filtros, empresa });
 
-    for (const reclamacao of reclamacoes) {
-      try {
-        await client.query(
-          `INSERT INTO reclamacoes 
-           (id_externo, empresa, titulo, descricao, status, data, local, link, coletado_em)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-           ON CONFLICT (id_externo, empresa) DO NOTHING`,
-          [
-            reclamacao.id,
-            reclamacao.empresa,
-            reclamacao.titulo,
-            reclamacao.descricao,
-            reclamacao.status,
-            reclamacao.data,
-            reclamacao.local,
-            reclamacao.link,
-            reclamacao.coletadoEm
-          ]
-        );
-        
-        salvos++;
-      } catch (erro) {
-        if (erro.code === '23505') { // Código de duplicata
-          duplicados++;
-        } else {
-          console.error('❌ Erro ao salvar reclamação:', erro.message);
-        }
+    const resultado = await client.query(
+      `SELECT uf, cidade, COUNT(*)::int AS total 
+       FROM reclamacoes 
+       WHERE 1=1${condicoes}
+       GROUP BY uf, cidade`,
+      params
+    );
+
+    const estados = new Map();
+    let total = 0;
+    let semLocalizacao = 0;
+
+    for (const linha of resultado.rows) {
+      total += linha.total;
+
+      if (!linha.uf) {
+        semLocalizacao += linha.total;
+        continue;
+      }
+
+      if (!estados.has(linha.uf)) {
+        estados.set(linha.uf, { uf: linha.uf, total: 0, cidades: [] });
       }
+
+      const estado = estados.get(linha.uf);
+      estado.total += linha.total;
+      estado.cidades.push({ cidade: linha.cidade, total: linha.total });
     }
 
-    console.log(`💾 Salvas: ${salvos} | Duplicadas: ${duplicados}`);
-    return { salvos, duplicados };
+    // Mais reclamações primeiro; cidade desconhecida (null) vai para o fim
+    const ordenarPorTotal = (a, b) => b.total - a.total;
+    const listaEstados = Array.from(estados.values()).sort(ordenarPorTotal);
+    listaEstados.forEach(estado => {
+      estado.cidades.sort((a, b) => (a.cidade === null) - (b.cidade === null) || ordenarPorTotal(a, b));
+    });
+
+    return { total, semLocalizacao, estados: listaEstados };
 
   } catch (erro) {
-    console.error('❌ Erro ao salvar reclamações:', erro);
+    console.error('❌ Erro ao obter estatísticas por região:', erro);
     throw erro;
   } finally {
     client.release();
@@ -133,23 +3463,24 @@ async function salvarReclamacoesDB(reclamacoes) {
 }
 
 // ========================================
-// BUSCAR RECLAMAÇÕES
+// LIMPAR RECLAMAÇÕES ANTIGAS
 // ========================================
-async function buscarReclamacoesDB(empresa, limite = 50) {
+async function limparReclamacoesAntigas(diasAtras = 30) {
   const client = await pool.connect();
   try {
     const resultado = await client.query(
-      `SELECT * FROM reclamacoes 
-       WHERE empresa = $1 
-       ORDER BY coletado_em DESC 
-       LIMIT $2`,
-      [empresa, limite]
+      `DELETE FROM reclamacoes 
+       WHERE coletado_em < NOW() - INTERVAL '${diasAtras} days'
+       RETURNING id`,
     );
 
-    return resultado.rows;
+    const removidos = resultado.rowCount;
+    console.log(`🗑️  ${removidos} reclamações antigas removidas (>${diasAtras} dias)`);
+    
+    return removidos;
 
   } catch (erro) {
-    console.error('❌ Erro ao buscar reclamações:', erro);
+    console.error('❌ Erro ao limpar reclamações antigas:', erro);
     throw erro;
   } finally {
     client.release();
@@ -157,55 +3488,41 @@ async function buscarReclamacoesDB(empresa, limite = 50) {
 }
 
 // ========================================
-// BUSCAR TODAS AS RECLAMAÇÕES (COM FILTROS)
+// PREENCHER EM LOTES (LINHAS ANTIGAS)
 // ========================================
-async function buscarTodasReclamacoes(filtros = {}) {
+// Base dos preenchimentos abaixo. `selecionar` é um SELECT com
+// `id > $1 ... ORDER BY id LIMIT $2`; cada lote vai para
+// atualizar(client, linhas) numa transação curta, com as linhas
+// travadas por SKIP LOCKED. Os preenchimentos rodam junto com as
+// coletas: nunca esperam por linhas que uma coleta está gravando
+// (as puladas ficam para o próximo boot), então não se travam
+const LOTE_PREENCHIMENTO = 1000;
+
+async function preencherEmLotes(selecionar, atualizar) {
   const client = await pool.connect();
   try {
-    let query = 'SELECT * FROM reclamacoes WHERE 1=1';
-    const params = [];
-    let paramCount = 1;
-
-    // Filtro por empresa
-    if (filtros.empresa) {
-      query += ` AND empresa = $${paramCount}`;
-      params.push(filtros.empresa);
-      paramCount++;
-    }
+    let ultimoId = 0;
 
-    // Filtro por status
-    if (filtros.status) {
-      query += ` AND status = $${paramCount}`;
-      params.push(filtros.status);
-      paramCount++;
-    }
+    while (true) {
+      await client.query('BEGIN');
 
-    // Filtro por data
-    if (filtros.dataInicio) {
-      query += ` AND coletado_em >= $${paramCount}`;
-      params.push(filtros.dataInicio);
-      paramCount++;
-    }
+      const resultado = await client.query(
+        `${selecionar} FOR UPDATE SKIP LOCKED`,
+        [ultimoId, LOTE_PREENCHIMENTO]
+      );
 
-    if (filtros.dataFim) {
-      query += ` AND coletado_em <= $${paramCount}`;
-      params.push(filtros.dataFim);
-      paramCount++;
-    }
+      if (resultado.rows.length === 0) {
+        await client.query('COMMIT');
+        break;
+      }
+      ultimoId = resultado.rows[resultado.rows.length - 1].id;
 
-    // Ordenação e limite
-    query += ' ORDER BY coletado_em DESC';
-    
-    if (filtros.limite) {
-      query += ` LIMIT $${paramCount}`;
-      params.push(filtros.limite);
+      await atualizar(client, resultado.rows);
+      await client.query('COMMIT');
     }
 
-    const resultado = await client.query(query, params);
-    return resultado.rows;
-
   } catch (erro) {
-    console.error('❌ Erro ao buscar todas as reclamações:', erro);
+    await client.query('ROLLBACK');
     throw erro;
   } finally {
     client.release();
@@ -213,142 +3530,233 @@ async function buscarTodasReclamacoes(filtros = {}) {
 }
 
 // ========================================
-// SALVAR CONFIGURAÇÃO DE MONITORAMENTO
+// PREENCHER DATA_RECLAMACAO (LINHAS ANTIGAS)
 // ========================================
-async function salvarConfiguracao(empresa, intervalo) {
-  const client = await pool.connect();
+// Linhas gravadas antes da coluna existir só têm o texto de `data`.
+// Interpreta usando coletado_em como referência. Textos que não dá
+// para interpretar ficam NULL, mas com data_interpretada_em
+// preenchido, para não serem lidos de novo a cada boot
+async function preencherDatasReclamacao() {
   try {
-    await client.query(
-      `INSERT INTO configuracoes (empresa, intervalo, ativo)
-       VALUES ($1, $2, true)
-       ON CONFLICT (empresa) 
-       DO UPDATE SET 
-         intervalo = $2,
-         ativo = true,
-         atualizado_em = CURRENT_TIMESTAMP`,
-      [empresa, intervalo]
+    let preenchidas = 0;
+
+    await preencherEmLotes(
+      `SELECT id, data, coletado_em FROM reclamacoes 
+       WHERE data_reclamacao IS NULL AND data IS NOT NULL AND data_interpretada_em IS NULL AND id > $1
+       ORDER BY id 
+       LIMIT $2`,
+      async (client, linhas) => {
+        const datas = linhas.map(linha => interpretarDataReclamacao(linha.data, linha.coletado_em));
+
+        await client.query(
+          `UPDATE reclamacoes r 
+           SET data_reclamacao = t.data_reclamacao, data_interpretada_em = CURRENT_TIMESTAMP 
+           FROM unnest($1::int[], $2::timestamptz[]) AS t(id, data_reclamacao)
+           WHERE r.id = t.id`,
+          [linhas.map(linha => linha.id), datas]
+        );
+        preenchidas += datas.filter(Boolean).length;
+      }
     );
 
-    console.log(`💾 Configuração salva para ${empresa}`);
+    if (preenchidas > 0) {
+      console.log(`📅 Data real preenchida em ${preenchidas} reclamações antigas`);
+    }
+
+    return preenchidas;
 
   } catch (erro) {
-    console.error('❌ Erro ao salvar configuração:', erro);
+    console.error('❌ Erro ao preencher datas das reclamações:', erro);
     throw erro;
-  } finally {
-    client.release();
   }
 }
 
 // ========================================
-// OBTER CONFIGURAÇÕES
+// PREENCHER CIDADE/UF (LINHAS ANTIGAS)
 // ========================================
-async function obterConfiguracoes(apenasAtivos = true) {
-  const client = await pool.connect();
+// Mesmo esquema das datas: interpreta `local`. Locais sem cidade nem
+// UF reconhecível ("Não informado") continuam NULL, com
+// local_interpretado_em preenchido
+async function preencherLocais() {
   try {
-    let query = 'SELECT * FROM configuracoes';
-    
-    if (apenasAtivos) {
-      query += ' WHERE ativo = true';
+    let preenchidas = 0;
+
+    await preencherEmLotes(
+      `SELECT id, local FROM reclamacoes 
+       WHERE uf IS NULL AND cidade IS NULL AND local IS NOT NULL AND local_interpretado_em IS NULL AND id > $1
+       ORDER BY id 
+       LIMIT $2`,
+      async (client, linhas) => {
+        const locais = linhas.map(linha => interpretarLocal(linha.local));
+
+        await client.query(
+          `UPDATE reclamacoes r 
+           SET cidade = t.cidade, uf = t.uf, local_interpretado_em = CURRENT_TIMESTAMP 
+           FROM unnest($1::int[], $2::text[], $3::text[]) AS t(id, cidade, uf)
+           WHERE r.id = t.id`,
+          [
+            linhas.map(linha => linha.id),
+            locais.map(local => local.cidade),
+            locais.map(local => local.uf)
+          ]
+        );
+        preenchidas += locais.filter(local => local.cidade || local.uf).length;
+      }
+    );
+
+    if (preenchidas > 0) {
+      console.log(`📍 Cidade/UF preenchidas em ${preenchidas} reclamações antigas`);
     }
-    
-    query += ' ORDER BY criado_em DESC';
 
-    const resultado = await client.query(query);
-    return resultado.rows;
+    return preenchidas;
 
   } catch (erro) {
-    console.error('❌ Erro ao obter configurações:', erro);
+    console.error('❌ Erro ao preencher cidade/UF das reclamações:', erro);
     throw erro;
-  } finally {
-    client.release();
   }
 }
 
 // ========================================
-// DESATIVAR MONITORAMENTO
+// PREENCHER CATEGORIAS (LINHAS ANTIGAS)
 // ========================================
-async function desativarMonitoramento(empresa) {
-  const client = await pool.connect();
+// Classifica as reclamações que ainda não passaram pelo
+// classificador. Sem nenhuma categoria fica '{}' (não NULL), para
+// não serem tentadas de novo a cada boot
+async function preencherCategorias() {
   try {
-    await client.query(
-      `UPDATE configuracoes 
-       SET ativo = false, atualizado_em = CURRENT_TIMESTAMP
-       WHERE empresa = $1`,
-      [empresa]
+    let preenchidas = 0;
+
+    await preencherEmLotes(
+      `SELECT id, titulo, descricao FROM reclamacoes 
+       WHERE categorias IS NULL AND id > $1
+       ORDER BY id 
+       LIMIT $2`,
+      async (client, linhas) => {
+        await client.query(
+          `UPDATE reclamacoes r 
+           SET categorias = string_to_array(t.categorias, ',') 
+           FROM unnest($1::int[], $2::text[]) AS t(id, categorias)
+           WHERE r.id = t.id`,
+          [
+            linhas.map(linha => linha.id),
+            linhas.map(linha => classificarReclamacao(linha).join(','))
+          ]
+        );
+        preenchidas += linhas.length;
+      }
     );
 
-    console.log(`🔴 Monitoramento desativado para ${empresa}`);
+    if (preenchidas > 0) {
+      console.log(`🏷️  Categorias preenchidas em ${preenchidas} reclamações antigas`);
+    }
+
+    return preenchidas;
 
   } catch (erro) {
-    console.error('❌ Erro ao desativar monitoramento:', erro);
+    console.error('❌ Erro ao preencher categorias das reclamações:', erro);
     throw erro;
-  } finally {
-    client.release();
   }
 }
 
 // ========================================
-// ESTATÍSTICAS
+// PREENCHER SENTIMENTO (LINHAS ANTIGAS)
 // ========================================
-async function obterEstatisticas(empresa = null) {
-  const client = await pool.connect();
+async function preencherSentimentos() {
   try {
-    let query, params;
+    let preenchidas = 0;
 
-    if (empresa) {
-      query = `
-        SELECT 
-          COUNT(*) as total,
-          COUNT(DISTINCT status) as status_diferentes,
-          MIN(coletado_em) as primeira_coleta,
-          MAX(coletado_em) as ultima_coleta
-        FROM reclamacoes
-        WHERE empresa = $1
-      `;
-      params = [empresa];
-    } else {
-      query = `
-        SELECT 
-          COUNT(*) as total,
-          COUNT(DISTINCT empresa) as empresas_diferentes,
-          COUNT(DISTINCT status) as status_diferentes,
-          MIN(coletado_em) as primeira_coleta,
-          MAX(coletado_em) as ultima_coleta
-        FROM reclamacoes
-      `;
-      params = [];
+    await preencherEmLotes(
+      `SELECT id, titulo, descricao FROM reclamacoes 
+       WHERE severidade IS NULL AND id > $1
+       ORDER BY id 
+       LIMIT $2`,
+      async (client, linhas) => {
+        const analises = linhas.map(linha => analisarSentimento(linha));
+
+        await client.query(
+          `UPDATE reclamacoes r 
+           SET sentimento = t.sentimento, severidade = t.severidade 
+           FROM unnest($1::int[], $2::numeric[], $3::int[]) AS t(id, sentimento, severidade)
+           WHERE r.id = t.id`,
+          [
+            linhas.map(linha => linha.id),
+            analises.map(analise => analise.sentimento),
+            analises.map(analise => analise.severidade)
+          ]
+        );
+        preenchidas += linhas.length;
+      }
+    );
+
+    if (preenchidas > 0) {
+      console.log(`🌡️  Sentimento calculado em ${preenchidas} reclamações antigas`);
     }
 
-    const resultado = await client.query(query, params);
-    return resultado.rows[0];
+    return preenchidas;
 
   } catch (erro) {
-    console.error('❌ Erro ao obter estatísticas:', erro);
+    console.error('❌ Erro ao preencher sentimento das reclamações:', erro);
     throw erro;
-  } finally {
-    client.release();
   }
 }
 
 // ========================================
-// LIMPAR RECLAMAÇÕES ANTIGAS
+// AGRUPAR SIMILARES (PENDENTES)
 // ========================================
-async function limparReclamacoesAntigas(diasAtras = 30) {
+// Compara com as similares as reclamações com agrupado_em NULL (novas,
+// com texto alterado, antigas de antes do agrupamento ou puladas numa
+// vez anterior). Em lotes menores (cada reclamação consulta o índice
+// de trigramas), cada um na sua transação curta. O lock consultivo faz
+// os agrupamentos de jobs diferentes rodarem um de cada vez.
+// opcoes.empresas: só as reclamações dessas empresas (depois de uma coleta)
+const LOTE_AGRUPAMENTO = 200;
+
+async function agruparPendentes({ empresas = null } = {}) {
   const client = await pool.connect();
   try {
-    const resultado = await client.query(
-      `DELETE FROM reclamacoes 
-       WHERE coletado_em < NOW() - INTERVAL '${diasAtras} days'
-       RETURNING id`,
-    );
+    let ultimoId = 0;
+    let verificadas = 0;
 
-    const removidos = resultado.rowCount;
-    console.log(`🗑️  ${removidos} reclamações antigas removidas (>${diasAtras} dias)`);
-    
-    return removidos;
+    while (true) {
+      const params = [ultimoId, LOTE_AGRUPAMENTO];
+      let filtroEmpresas = '';
+      if (empresas) {
+        params.push(empresas);
+        filtroEmpresas = ` AND empresa = ANY($${params.length})`;
+      }
+
+      const resultado = await client.query(
+        `SELECT id FROM reclamacoes 
+         WHERE agrupado_em IS NULL AND id > $1${filtroEmpresas}
+         ORDER BY id 
+         LIMIT $2`,
+        params
+      );
+
+      if (resultado.rows.length === 0) break;
+      ultimoId = resultado.rows[resultado.rows.length - 1].id;
+
+      try {
+        await client.query('BEGIN');
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('agrupar_similares'))`);
+        await agruparSimilares(client, resultado.rows.map(linha => linha.id));
+        await client.query('COMMIT');
+      } catch (erro) {
+        await client.query('ROLLBACK');
+        throw erro;
+      }
+
+      verificadas += resultado.rows.length;
+    }
+
+    if (verificadas > 0 && !empresas) {
+      console.log(`🔗 ${verificadas} reclamações pendentes comparadas com as similares`);
+    }
+
+    return verificadas;
 
   } catch (erro) {
-    console.error('❌ Erro ao limpar reclamações antigas:', erro);
+    console.error('❌ Erro ao agrupar reclamações similares:', erro);
     throw erro;
   } finally {
     client.release();
@@ -364,7 +3772,35 @@ async function fecharConexoes() {
 }
 
 // Inicializa o banco ao carregar o módulo
-inicializarBanco().catch(console.error);
+// A promise fica exportada para quem precisa esperar as tabelas
+// existirem antes de consultar (ex: restauração no boot). Se a
+// inicialização falhar ela rejeita: quem espera não segue com o
+// esquema quebrado
+const bancoPronto = inicializarBanco()
+  .then(carregarModeloCategorias);
+
+bancoPronto.catch((erro) => {
+  console.error('❌ Banco de dados não inicializado:', erro);
+});
+
+// Preenchimentos das linhas antigas: rodam depois, sem segurar quem
+// espera o bancoPronto. Um de cada vez, e a falha de um (já logada
+// por ele) não impede os seguintes
+const PREENCHIMENTOS = [
+  preencherDatasReclamacao,
+  preencherLocais,
+  preencherCategorias,
+  preencherSentimentos,
+  agruparPendentes
+];
+
+bancoPronto
+  .then(async () => {
+    for (const preencher of PREENCHIMENTOS) {
+      await preencher().catch(() => {});
+    }
+  })
+  .catch(() => {});
 
 // ========================================
 // EXPORTA AS FUNÇÕES
@@ -372,12 +3808,78 @@ inicializarBanco().catch(console.error);
 module.exports = {
   salvarReclamacoesDB,
   buscarReclamacoesDB,
+  filtrarIdsExistentes,
+  salvarDetalhesReclamacao,
+  buscarReclamacoesParaDetalhar,
+  buscarReclamacoesAbertas,
+  registrarFalhaDetalhes,
+  buscarReclamacaoCompleta,
+  buscarHistoricoReclamacao,
   buscarTodasReclamacoes,
+  listarReclamacoes,
+  buscarReclamacoesTexto,
+  percorrerReclamacoes,
+  buscarReclamacoesSimilares,
+  buscarTendencias,
   salvarConfiguracao,
+  buscarConflitoSlug,
   obterConfiguracoes,
   desativarMonitoramento,
+  empresaDoWorkspace,
+  registrarInicioExecucao,
+  registrarFimExecucao,
+  listarExecucoes,
+  resumoExecucoes,
+  salvarSnapshotReputacao,
+  buscarSerieReputacao,
+  criarWebhook,
+  listarWebhooks,
+  obterWebhook,
+  atualizarWebhook,
+  removerWebhook,
+  enfileirarEntregas,
+  listarEntregasPendentes,
+  registrarTentativaEntrega,
+  listarEntregas,
+  criarRelatorio,
+  listarRelatorios,
+  obterRelatorio,
+  atualizarRelatorio,
+  removerRelatorio,
+  registrarEnvioRelatorio,
+  buscarNovidadesEmpresa,
+  criarRegraAlerta,
+  listarRegrasAlerta,
+  obterRegraAlerta,
+  atualizarRegraAlerta,
+  removerRegraAlerta,
+  registrarAlertas,
+  contarReclamacoesRecentes,
+  existeAlertaRecente,
+  listarAlertas,
+  alterarStatusAlerta,
+  WORKSPACE_PADRAO,
+  criarWorkspace,
+  listarWorkspaces,
+  obterWorkspace,
+  criarChaveApi,
+  listarChavesApi,
+  buscarChaveApiPorHash,
+  buscarChaveApiAtiva,
+  revogarChaveApi,
+  contarJanelasSemanais,
+  registrarAnomalia,
+  existeAnomaliaRecente,
+  listarAnomalias,
+  corrigirCategorias,
+  treinarModeloCategorias,
+  carregarModeloCategorias,
   obterEstatisticas,
+  obterResumoPeriodo,
+  obterVolumeReclamacoes,
+  obterEstatisticasRegioes,
   limparReclamacoesAntigas,
   fecharConexoes,
+  bancoPronto,
   pool // Exporta o pool para uso direto se necessário
 };
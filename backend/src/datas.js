@@ -0,0 +1,147 @@
+// ========================================
+// DATAS - INTERPRETAÇÃO DAS DATAS DO SITE
+// ========================================
+// O Reclame Aqui mostra a data da reclamação como texto:
+// relativo ("Há 2 horas", "Ontem às 09:10") ou absoluto
+// ("12/03/2024 às 14:22"). Este arquivo converte esses textos
+// em uma data real, usando o momento da coleta como referência
+
+// Horário de Brasília (sem horário de verão desde 2019)
+const FUSO_SITE_HORAS = -3;
+
+const MS_POR_UNIDADE = {
+  segundo: 1000,
+  minuto: 60 * 1000,
+  hora: 60 * 60 * 1000,
+  dia: 24 * 60 * 60 * 1000,
+  semana: 7 * 24 * 60 * 60 * 1000
+};
+
+const MESES = [
+  'janeiro', 'fevereiro', 'marco', 'abril', 'maio', 'junho',
+  'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'
+];
+
+// Minúsculas e sem acentos: "Há 2 Horas" -> "ha 2 horas"
+function normalizar(texto) {
+  return texto
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Monta a data a partir de um horário de Brasília.
+// Retorna null se o dia não existir (ex: 31/02)
+function dataNoFusoDoSite(ano, mes, dia, hora = 0, minuto = 0) {
+  const data = new Date(Date.UTC(ano, mes - 1, dia, hora - FUSO_SITE_HORAS, minuto));
+  const local = new Date(data.getTime() + FUSO_SITE_HORAS * MS_POR_UNIDADE.hora);
+
+  if (local.getUTCFullYear() !== ano || local.getUTCMonth() !== mes - 1 || local.getUTCDate() !== dia) {
+    return null;
+  }
+  if (hora > 23 || minuto > 59) return null;
+
+  return data;
+}
+
+// Dia do calendário (em Brasília) da referência, deslocado em N dias
+function diaDoSite(referencia, deslocamentoDias = 0) {
+  const local = new Date(referencia.getTime() + FUSO_SITE_HORAS * MS_POR_UNIDADE.hora);
+  local.setUTCDate(local.getUTCDate() + deslocamentoDias);
+  return { ano: local.getUTCFullYear(), mes: local.getUTCMonth() + 1, dia: local.getUTCDate() };
+}
+
+// "ha 2 horas", "ha uma semana", "ha 3 meses"
+function interpretarRelativa(texto, referencia) {
+  if (/^(agora|ha (poucos|alguns) segundos)/.test(texto)) {
+    return new Date(referencia.getTime());
+  }
+
+  const partes = texto.match(/^ha (\d+|um|uma) (segundo|minuto|hora|dia|semana|mes|mese|ano)s?\b/);
+  if (!partes) return null;
+
+  const quantidade = /^\d+$/.test(partes[1]) ? parseInt(partes[1]) : 1;
+  const unidade = partes[2] === 'mese' ? 'mes' : partes[2];
+
+  // Mês e ano variam de tamanho: desloca pelo calendário
+  if (unidade === 'mes' || unidade === 'ano') {
+    const data = new Date(referencia.getTime());
+    if (unidade === 'mes') data.setUTCMonth(data.getUTCMonth() - quantidade);
+    else data.setUTCFullYear(data.getUTCFullYear() - quantidade);
+    return data;
+  }
+
+  return new Date(referencia.getTime() - quantidade * MS_POR_UNIDADE[unidade]);
+}
+
+// "hoje as 14:22", "ontem as 09:10", "anteontem"
+function interpretarDiaRelativo(texto, referencia) {
+  const partes = texto.match(/^(hoje|ontem|anteontem)(?:,? (?:as )?(\d{1,2})[:h](\d{2}))?/);
+  if (!partes) return null;
+
+  const deslocamento = { hoje: 0, ontem: -1, anteontem: -2 }[partes[1]];
+  const { ano, mes, dia } = diaDoSite(referencia, deslocamento);
+  return dataNoFusoDoSite(ano, mes, dia, parseInt(partes[2] || 0), parseInt(partes[3] || 0));
+}
+
+// "12/03/2024 as 14:22", "12/03/24 14:22", "12/03/2024", "12 de marco de 2024"
+function interpretarAbsoluta(texto) {
+  let partes = texto.match(/(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})(?:,? (?:as )?(\d{1,2})[:h](\d{2}))?/);
+  let dia, mes, ano;
+
+  if (partes) {
+    dia = parseInt(partes[1]);
+    mes = parseInt(partes[2]);
+    ano = parseInt(partes[3]);
+  } else {
+    partes = texto.match(/(\d{1,2}) de ([a-z]+)(?: de)? (\d{4})(?:,? (?:as )?(\d{1,2})[:h](\d{2}))?/);
+    if (!partes || !MESES.includes(partes[2])) return null;
+    dia = parseInt(partes[1]);
+    mes = MESES.indexOf(partes[2]) + 1;
+    ano = parseInt(partes[3]);
+  }
+
+  if (ano < 100) ano += 2000;
+
+  return dataNoFusoDoSite(ano, mes, dia, parseInt(partes[4] || 0), parseInt(partes[5] || 0));
+}
+
+// ========================================
+// INTERPRETAR DATA DA RECLAMAÇÃO
+// ========================================
+// texto: como aparece no site
+// referencia: momento da coleta (Date ou string). Retorna Date ou null
+function interpretarDataReclamacao(texto, referencia = new Date()) {
+  if (!texto || typeof texto !== 'string') return null;
+
+  const momento = referencia instanceof Date ? referencia : new Date(referencia);
+  if (Number.isNaN(momento.getTime())) return null;
+
+  const normalizado = normalizar(texto);
+
+  return interpretarRelativa(normalizado, momento) ||
+    interpretarDiaRelativo(normalizado, momento) ||
+    interpretarAbsoluta(normalizado);
+}
+
+// ========================================
+// LIMITES DE UM DIA NO HORÁRIO DO SITE
+// ========================================
+// "2024-03-01" -> início desse dia em Brasília (ou o último
+// milissegundo, com fim = true). Retorna null se o dia não existir
+function limiteDoDia(texto, fim = false) {
+  const partes = /^(\d{4})-(\d{2})-(\d{2})$/.exec(texto || '');
+  if (!partes) return null;
+
+  const inicio = dataNoFusoDoSite(parseInt(partes[1]), parseInt(partes[2]), parseInt(partes[3]));
+  if (!inicio) return null;
+
+  return fim ? new Date(inicio.getTime() + MS_POR_UNIDADE.dia - 1) : inicio;
+}
+
+module.exports = {
+  interpretarDataReclamacao,
+  limiteDoDia
+};
@@ -0,0 +1,182 @@
+// ========================================
+// ERROS - TIPOS DE ERRO DO SCRAPER E DA API
+// ========================================
+// Este arquivo define os erros que o scraper pode lançar,
+// para que o agendador saiba quando vale a pena tentar de
+// novo e quando a empresa deve ser pausada, e os erros que as
+// rotas devolvem ao cliente (com código e status HTTP)
+
+// ========================================
+// ERRO BASE
+// ========================================
+// codigo: identificador estável (ex: EMPRESA_NAO_ENCONTRADA)
+// statusHttp: status retornado pelo Reclame Aqui, se houve resposta
+// transitorio: true quando tentar de novo pode resolver
+class ErroScraper extends Error {
+  constructor(mensagem, { codigo, statusHttp = null, transitorio = false, retryAfterMs = null } = {}) {
+    super(mensagem);
+    this.name = this.constructor.name;
+    this.codigo = codigo;
+    this.statusHttp = statusHttp;
+    this.transitorio = transitorio;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// ========================================
+// ERROS PERMANENTES (não adianta repetir)
+// ========================================
+class ErroEmpresaNaoEncontrada extends ErroScraper {
+  constructor(mensagem = 'Empresa não encontrada no Reclame Aqui') {
+    super(mensagem, { codigo: 'EMPRESA_NAO_ENCONTRADA', statusHttp: 404 });
+  }
+}
+
+class ErroAcessoBloqueado extends ErroScraper {
+  constructor(mensagem = 'Acesso bloqueado pelo Reclame Aqui') {
+    super(mensagem, { codigo: 'ACESSO_BLOQUEADO', statusHttp: 403 });
+  }
+}
+
+// ========================================
+// ERROS TRANSITÓRIOS (tentar de novo)
+// ========================================
+class ErroLimiteRequisicoes extends ErroScraper {
+  constructor(retryAfterMs = null) {
+    super('Muitas requisições ao Reclame Aqui', {
+      codigo: 'LIMITE_REQUISICOES',
+      statusHttp: 429,
+      transitorio: true,
+      retryAfterMs
+    });
+  }
+}
+
+class ErroServidorRemoto extends ErroScraper {
+  constructor(statusHttp, retryAfterMs = null) {
+    super(`Reclame Aqui respondeu com erro ${statusHttp}`, {
+      codigo: 'ERRO_SERVIDOR_REMOTO',
+      statusHttp,
+      transitorio: true,
+      retryAfterMs
+    });
+  }
+}
+
+class ErroSemResposta extends ErroScraper {
+  constructor(mensagem = 'Sem resposta do servidor') {
+    super(mensagem, { codigo: 'SEM_RESPOSTA', transitorio: true });
+  }
+}
+
+// ========================================
+// ERROS DA API
+// ========================================
+// Viram a resposta { sucesso: false, erro: { codigo, mensagem, detalhes? } }
+// codigo: identificador estável para o cliente (ex: WEBHOOK_NAO_ENCONTRADO)
+// status: status HTTP da resposta
+class ErroApi extends Error {
+  constructor(mensagem, { codigo, status = 500, detalhes = null } = {}) {
+    super(mensagem);
+    this.name = this.constructor.name;
+    this.codigo = codigo;
+    this.status = status;
+    this.detalhes = detalhes;
+  }
+}
+
+// falhas: [{ campo, local, codigo, mensagem }]. A primeira dá o
+// código e a mensagem da resposta; a lista inteira vai em detalhes
+class ErroValidacao extends ErroApi {
+  constructor(falhas) {
+    super(falhas[0].mensagem, { codigo: falhas[0].codigo, status: 400, detalhes: falhas });
+  }
+}
+
+class ErroNaoAutenticado extends ErroApi {
+  constructor(codigo, mensagem) {
+    super(mensagem, { codigo, status: 401 });
+  }
+}
+
+class ErroPermissao extends ErroApi {
+  constructor(codigo, mensagem) {
+    super(mensagem, { codigo, status: 403 });
+  }
+}
+
+class ErroNaoEncontrado extends ErroApi {
+  constructor(codigo, mensagem) {
+    super(mensagem, { codigo, status: 404 });
+  }
+}
+
+class ErroConflito extends ErroApi {
+  constructor(codigo, mensagem) {
+    super(mensagem, { codigo, status: 409 });
+  }
+}
+
+// Status da API quando um erro do scraper chega até uma rota.
+// O que o Reclame Aqui recusou ou não respondeu é falha de um
+// serviço externo (502/503/504), não do nosso servidor
+const STATUS_API_SCRAPER = {
+  EMPRESA_NAO_ENCONTRADA: 404,
+  ACESSO_BLOQUEADO: 502,
+  LIMITE_REQUISICOES: 503,
+  ERRO_SERVIDOR_REMOTO: 502,
+  SEM_RESPOSTA: 504
+};
+
+function statusApiDoScraper(codigo) {
+  return STATUS_API_SCRAPER[codigo] || 502;
+}
+
+// ========================================
+// DESCREVER ERRO PARA A RESPOSTA
+// ========================================
+// Retorna { status, codigo, mensagem, detalhes, retryAfterMs } para
+// os erros conhecidos, ou null para os inesperados (viram 500)
+function descreverErro(erro) {
+  if (erro instanceof ErroApi) {
+    return {
+      status: erro.status,
+      codigo: erro.codigo,
+      mensagem: erro.message,
+      detalhes: erro.detalhes,
+      retryAfterMs: null
+    };
+  }
+
+  if (erro instanceof ErroScraper) {
+    return {
+      status: statusApiDoScraper(erro.codigo),
+      codigo: erro.codigo,
+      mensagem: erro.message,
+      detalhes: null,
+      retryAfterMs: erro.retryAfterMs
+    };
+  }
+
+  return null;
+}
+
+// ========================================
+// EXPORTA AS CLASSES
+// ========================================
+module.exports = {
+  ErroScraper,
+  ErroEmpresaNaoEncontrada,
+  ErroAcessoBloqueado,
+  ErroLimiteRequisicoes,
+  ErroServidorRemoto,
+  ErroSemResposta,
+  ErroApi,
+  ErroValidacao,
+  ErroNaoAutenticado,
+  ErroPermissao,
+  ErroNaoEncontrado,
+  ErroConflito,
+  statusApiDoScraper,
+  descreverErro
+};
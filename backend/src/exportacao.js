@@ -0,0 +1,231 @@
+// ========================================
+// EXPORTAÇÃO - CSV, XLSX E NDJSON
+// ========================================
+// Este arquivo transforma as reclamações lidas do banco
+// em arquivos para planilhas, escrevendo direto na resposta
+// HTTP conforme as linhas chegam (sem montar tudo na memória)
+
+const ExcelJS = require('exceljs');
+const { percorrerReclamacoes } = require('./database');
+
+const FORMATOS = {
+  csv: { tipo: 'text/csv; charset=utf-8', extensao: 'csv' },
+  xlsx: { tipo: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensao: 'xlsx' },
+  ndjson: { tipo: 'application/x-ndjson; charset=utf-8', extensao: 'ndjson' }
+};
+
+// ========================================
+// COLUNAS
+// ========================================
+// data: true marca as colunas de data (viram data de verdade no XLSX)
+const COLUNAS_BASE = [
+  { campo: 'id', titulo: 'ID', largura: 8 },
+  { campo: 'id_externo', titulo: 'ID no Reclame Aqui', largura: 18 },
+  { campo: 'empresa', titulo: 'Empresa', largura: 20 },
+  { campo: 'titulo', titulo: 'Título', largura: 40 },
+  { campo: 'descricao', titulo: 'Descrição', largura: 60 },
+  { campo: 'status', titulo: 'Status', largura: 16 },
+  { campo: 'data', titulo: 'Data (site)', largura: 20 },
+  { campo: 'data_reclamacao', titulo: 'Data da reclamação', largura: 20, data: true },
+  { campo: 'local', titulo: 'Local', largura: 24 },
+  { campo: 'cidade', titulo: 'Cidade', largura: 20 },
+  { campo: 'uf', titulo: 'UF', largura: 5 },
+  { campo: 'categorias', titulo: 'Categorias', largura: 30 },
+  { campo: 'sentimento', titulo: 'Sentimento', largura: 11 },
+  { campo: 'severidade', titulo: 'Severidade', largura: 11 },
+  { campo: 'link', titulo: 'Link', largura: 40 },
+  { campo: 'coletado_em', titulo: 'Coletado em', largura: 20, data: true },
+  { campo: 'atualizado_em', titulo: 'Atualizado em', largura: 20, data: true }
+];
+
+const COLUNAS_RESPOSTAS = [
+  { campo: 'resposta_empresa', titulo: 'Resposta da empresa', largura: 60 },
+  { campo: 'data_resposta', titulo: 'Data da resposta', largura: 20 },
+  { campo: 'total_interacoes', titulo: 'Interações', largura: 10 },
+  { campo: 'resolvido', titulo: 'Resolvido', largura: 10 },
+  { campo: 'voltaria_negocio', titulo: 'Voltaria a fazer negócio', largura: 12 },
+  { campo: 'nota', titulo: 'Nota', largura: 6 },
+  { campo: 'avaliacao_comentario', titulo: 'Comentário da avaliação', largura: 40 }
+];
+
+const COLUNAS_HISTORICO = [
+  { campo: 'total_mudancas', titulo: 'Mudanças', largura: 10 },
+  { campo: 'historico_resumo', titulo: 'Histórico', largura: 60 }
+];
+
+function montarColunas(opcoes) {
+  return [
+    ...COLUNAS_BASE,
+    ...(opcoes.incluirRespostas ? COLUNAS_RESPOSTAS : []),
+    ...(opcoes.incluirHistorico ? COLUNAS_HISTORICO : [])
+  ];
+}
+
+// ========================================
+// ACHATAR LINHA (CSV/XLSX)
+// ========================================
+// Planilha não tem lista: as categorias viram texto, a conversa vira
+// a primeira resposta da empresa e o histórico uma linha por mudança
+function achatarLinha(linha, opcoes) {
+  const plana = { ...linha };
+
+  plana.categorias = (linha.categorias || []).join(', ') || null;
+
+  if (opcoes.incluirRespostas) {
+    const interacoes = linha.interacoes || [];
+    const resposta = interacoes.find(interacao => interacao.autor === 'empresa');
+
+    plana.resposta_empresa = resposta ? resposta.texto : null;
+    plana.data_resposta = resposta ? resposta.data : null;
+    plana.total_interacoes = interacoes.length;
+  }
+
+  if (opcoes.incluirHistorico) {
+    const historico = linha.historico || [];
+
+    plana.total_mudancas = historico.length;
+    plana.historico_resumo = historico
+      .map(mudanca => `${mudanca.registrado_em} ${mudanca.campo}: ${mudanca.anterior ?? ''} -> ${mudanca.novo ?? ''}`)
+      .join('\n') || null;
+  }
+
+  return plana;
+}
+
+// ========================================
+// CSV
+// ========================================
+// RFC 4180: aspas quando há separador, aspas ou quebra de linha.
+// Textos começando com = + - @ ganham um apóstrofo para o Excel
+// não interpretar conteúdo do site como fórmula
+function escaparCsv(valor, separador) {
+  if (valor === null || valor === undefined) return '';
+
+  let texto = valor instanceof Date ? valor.toISOString() : String(valor);
+
+  if (/^[=+\-@\t\r]/.test(texto) && typeof valor === 'string') {
+    texto = `'${texto}`;
+  }
+
+  if (texto.includes(separador) || /["\r\n]/.test(texto)) {
+    return `"${texto.replace(/"/g, '""')}"`;
+  }
+
+  return texto;
+}
+
+// Espera o buffer da resposta esvaziar quando o cliente lê devagar.
+// Se a conexão caiu, interrompe a leitura do banco. Repete porque
+// quem mais escuta o drain (o pipe do XLSX) pode enchê-lo de novo
+async function aguardarDreno(res) {
+  while (!res.destroyed && res.writableNeedDrain) {
+    await new Promise((resolve, reject) => {
+      const aoDrenar = () => { res.off('close', aoFechar); resolve(); };
+      const aoFechar = () => { res.off('drain', aoDrenar); reject(new Error('Exportação cancelada pelo cliente')); };
+      res.once('drain', aoDrenar);
+      res.once('close', aoFechar);
+    });
+  }
+
+  if (res.destroyed) throw new Error('Exportação cancelada pelo cliente');
+}
+
+function escrever(res, pedaco) {
+  if (res.destroyed) {
+    return Promise.reject(new Error('Exportação cancelada pelo cliente'));
+  }
+
+  res.write(pedaco);
+  return aguardarDreno(res);
+}
+
+async function exportarCsv(res, filtros, opcoes) {
+  const colunas = montarColunas(opcoes);
+  const separador = opcoes.separador || ',';
+  const linhaCsv = (valores) => valores.map(valor => escaparCsv(valor, separador)).join(separador) + '\r\n';
+
+  // BOM para o Excel reconhecer UTF-8 (acentos)
+  await escrever(res, '\uFEFF' + linhaCsv(colunas.map(coluna => coluna.titulo)));
+
+  return percorrerReclamacoes(filtros, opcoes, (linha) => {
+    const plana = achatarLinha(linha, opcoes);
+    return escrever(res, linhaCsv(colunas.map(coluna => plana[coluna.campo])));
+  });
+}
+
+// ========================================
+// XLSX
+// ========================================
+async function exportarXlsx(res, filtros, opcoes) {
+  const colunas = montarColunas(opcoes);
+
+  const planilha = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const aba = planilha.addWorksheet('Reclamações', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  aba.columns = colunas.map(coluna => ({
+    header: coluna.titulo,
+    key: coluna.campo,
+    width: coluna.largura,
+    ...(coluna.data && { style: { numFmt: 'dd/mm/yyyy hh:mm' } })
+  }));
+  aba.getRow(1).font = { bold: true };
+  aba.getRow(1).commit();
+
+  // O ExcelJS escreve em res por conta própria e ignora o retorno do
+  // write: a leitura do banco espera a resposta drenar a cada linha
+  const total = await percorrerReclamacoes(filtros, opcoes, (linha) => {
+    if (res.destroyed) throw new Error('Exportação cancelada pelo cliente');
+    aba.addRow(achatarLinha(linha, opcoes)).commit();
+    return aguardarDreno(res);
+  });
+
+  aba.commit();
+  await planilha.commit();
+
+  return total;
+}
+
+// ========================================
+// NDJSON
+// ========================================
+// Uma reclamação por linha, com histórico e interações como listas
+async function exportarNdjson(res, filtros, opcoes) {
+  return percorrerReclamacoes(filtros, opcoes, (linha) => escrever(res, JSON.stringify(linha) + '\n'));
+}
+
+// ========================================
+// EXPORTAR RECLAMAÇÕES
+// ========================================
+// formato: csv | xlsx | ndjson
+// opcoes: { incluirHistorico, incluirRespostas, separador (só CSV) }
+// Define os cabeçalhos e escreve o arquivo em res. Retorna o total
+async function exportarReclamacoes(res, formato, filtros = {}, opcoes = {}) {
+  const { tipo, extensao } = FORMATOS[formato];
+  const nomeArquivo = `reclamacoes-${new Date().toISOString().slice(0, 10)}.${extensao}`;
+
+  res.setHeader('Content-Type', tipo);
+  res.setHeader('Content-Disposition', `attachment; filename="${nomeArquivo}"`);
+
+  let total;
+  if (formato === 'xlsx') {
+    total = await exportarXlsx(res, filtros, opcoes);
+  } else if (formato === 'ndjson') {
+    total = await exportarNdjson(res, filtros, opcoes);
+    res.end();
+  } else {
+    total = await exportarCsv(res, filtros, opcoes);
+    res.end();
+  }
+
+  console.log(`📤 Exportação ${formato}: ${total} reclamações`);
+  return total;
+}
+
+module.exports = {
+  FORMATOS,
+  exportarReclamacoes
+};
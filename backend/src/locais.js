@@ -0,0 +1,93 @@
+// ========================================
+// LOCAIS - CIDADE E UF DAS RECLAMAÇÕES
+// ========================================
+// O site mostra o local como texto livre ("São Paulo - SP",
+// "Curitiba/PR", "Não informado"). Este arquivo separa a cidade
+// e a UF, aceitando só as 27 unidades da federação
+
+const ESTADOS = {
+  AC: 'Acre',
+  AL: 'Alagoas',
+  AP: 'Amapá',
+  AM: 'Amazonas',
+  BA: 'Bahia',
+  CE: 'Ceará',
+  DF: 'Distrito Federal',
+  ES: 'Espírito Santo',
+  GO: 'Goiás',
+  MA: 'Maranhão',
+  MT: 'Mato Grosso',
+  MS: 'Mato Grosso do Sul',
+  MG: 'Minas Gerais',
+  PA: 'Pará',
+  PB: 'Paraíba',
+  PR: 'Paraná',
+  PE: 'Pernambuco',
+  PI: 'Piauí',
+  RJ: 'Rio de Janeiro',
+  RN: 'Rio Grande do Norte',
+  RS: 'Rio Grande do Sul',
+  RO: 'Rondônia',
+  RR: 'Roraima',
+  SC: 'Santa Catarina',
+  SP: 'São Paulo',
+  SE: 'Sergipe',
+  TO: 'Tocantins'
+};
+
+// Minúsculas e sem acentos, para comparar nomes de estados
+function normalizar(texto) {
+  return texto
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+const UF_POR_NOME = Object.fromEntries(
+  Object.entries(ESTADOS).map(([uf, nome]) => [normalizar(nome), uf])
+);
+
+// "SP", "sp" ou "São Paulo" -> "SP". Retorna null se não for um estado
+function validarUf(texto) {
+  if (!texto || typeof texto !== 'string') return null;
+
+  const sigla = texto.trim().toUpperCase();
+  if (ESTADOS[sigla]) return sigla;
+
+  return UF_POR_NOME[normalizar(texto)] || null;
+}
+
+// ========================================
+// INTERPRETAR LOCAL
+// ========================================
+// Retorna { cidade, uf }; cada um fica null quando não dá para
+// identificar (ex: "Não informado" -> { cidade: null, uf: null })
+function interpretarLocal(texto) {
+  const vazio = { cidade: null, uf: null };
+  if (!texto || typeof texto !== 'string') return vazio;
+
+  const limpo = texto.replace(/\s+/g, ' ').trim();
+  if (!limpo) return vazio;
+
+  // A UF vem depois do último separador: "Cidade - UF", "Cidade/UF", "Cidade, UF"
+  const partes = limpo.match(/^(.*?)\s*[-–/,]\s*([^-–/,]+)$/);
+  if (partes) {
+    const uf = validarUf(partes[2]);
+    if (uf) {
+      return { cidade: partes[1] || null, uf };
+    }
+  }
+
+  // Só a UF (ou o nome do estado), sem cidade
+  const uf = validarUf(limpo);
+  if (uf) return { cidade: null, uf };
+
+  return vazio;
+}
+
+module.exports = {
+  ESTADOS,
+  validarUf,
+  interpretarLocal
+};
@@ -0,0 +1,275 @@
+// ========================================
+// RELATÓRIOS - RESUMO POR E-MAIL
+// ========================================
+// Este arquivo monta o resumo diário ou semanal de uma
+// empresa (reclamações novas, mudanças de status e volume
+// comparado ao período anterior) e envia por SMTP
+
+const nodemailer = require('nodemailer');
+const {
+  listarRelatorios,
+  registrarEnvioRelatorio,
+  buscarNovidadesEmpresa,
+  obterResumoPeriodo
+} = require('./database');
+require('dotenv').config();
+
+// ========================================
+// CONFIGURAÇÕES
+// ========================================
+const CONFIG = {
+  // Servidor SMTP (em testes, um catcher local como o MailHog)
+  SMTP_HOST: process.env.SMTP_HOST || 'localhost',
+  SMTP_PORT: parseInt(process.env.SMTP_PORT) || 1025,
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USUARIO: process.env.SMTP_USUARIO || null,
+  SMTP_SENHA: process.env.SMTP_SENHA || null,
+
+  REMETENTE: process.env.RELATORIO_REMETENTE || 'Monitor Reclame Aqui <monitor@localhost>',
+
+  // Itens listados no e-mail em cada seção (o total aparece sempre)
+  MAX_ITENS: 20,
+
+  // Horários de envio (fuso de São Paulo)
+  CRON_DIARIO: process.env.RELATORIO_CRON_DIARIO || '0 8 * * *', // Todo dia às 8h
+  CRON_SEMANAL: process.env.RELATORIO_CRON_SEMANAL || '0 8 * * 1' // Segunda às 8h
+};
+
+const FREQUENCIAS = {
+  diario: { dias: 1, nome: 'diário', periodo: 'últimas 24 horas', anterior: 'dia anterior' },
+  semanal: { dias: 7, nome: 'semanal', periodo: 'últimos 7 dias', anterior: 'semana anterior' }
+};
+
+// ========================================
+// TRANSPORTE SMTP
+// ========================================
+// Criado na primeira vez que precisa enviar
+let transporte = null;
+
+function obterTransporte() {
+  if (!transporte) {
+    transporte = nodemailer.createTransport({
+      host: CONFIG.SMTP_HOST,
+      port: CONFIG.SMTP_PORT,
+      secure: CONFIG.SMTP_SECURE,
+      auth: CONFIG.SMTP_USUARIO ? { user: CONFIG.SMTP_USUARIO, pass: CONFIG.SMTP_SENHA } : undefined
+    });
+  }
+
+  return transporte;
+}
+
+// ========================================
+// MONTAR RELATÓRIO
+// ========================================
+// Período: as últimas 24h (ou 7 dias) até `referencia`; o anterior
+// tem a mesma duração. As reclamações novas contam pela coleta;
+// o volume compara pela data da reclamação, como em /api/estatisticas
+async function montarRelatorio(relatorio, referencia = new Date()) {
+  const frequencia = FREQUENCIAS[relatorio.frequencia];
+  const duracao = frequencia.dias * 24 * 60 * 60 * 1000;
+
+  const ate = new Date(referencia.getTime());
+  const de = new Date(ate.getTime() - duracao);
+  const deAnterior = new Date(de.getTime() - duracao);
+
+  const novidades = await buscarNovidadesEmpresa(relatorio.empresa, { de, ate, limite: CONFIG.MAX_ITENS });
+  const atual = await obterResumoPeriodo(relatorio.empresa, { de, ate });
+  const anterior = await obterResumoPeriodo(relatorio.empresa, { de: deAnterior, ate: new Date(de.getTime() - 1) });
+
+  return {
+    empresa: relatorio.empresa,
+    frequencia: relatorio.frequencia,
+    periodo: { de, ate },
+    ...novidades,
+    volume: {
+      atual: atual.total,
+      anterior: anterior.total,
+      variacao: anterior.total ? Math.round(((atual.total - anterior.total) / anterior.total) * 1000) / 10 : null,
+      taxaResposta: atual.taxaResposta,
+      taxaSolucao: atual.taxaSolucao
+    }
+  };
+}
+
+// ========================================
+// RENDERIZAR (TEXTO E HTML)
+// ========================================
+function formatarData(data) {
+  return new Date(data).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+}
+
+function formatarVariacao(volume) {
+  if (volume.variacao === null) return 'sem base de comparação';
+  const sinal = volume.variacao > 0 ? '+' : '';
+  return `${sinal}${volume.variacao}%`;
+}
+
+function formatarTaxa(taxa) {
+  return taxa === null ? '-' : `${taxa}%`;
+}
+
+function escaparHtml(texto) {
+  return String(texto ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function gerarAssunto(dados) {
+  const frequencia = FREQUENCIAS[dados.frequencia];
+  return `[Reclame Aqui] Resumo ${frequencia.nome} - ${dados.empresa}: ` +
+    `${dados.totalNovas} novas, ${dados.totalMudancas} mudanças de status`;
+}
+
+function renderizarTexto(dados) {
+  const frequencia = FREQUENCIAS[dados.frequencia];
+  const linhas = [];
+
+  linhas.push(`Resumo ${frequencia.nome} - ${dados.empresa}`);
+  linhas.push(`Período: ${formatarData(dados.periodo.de)} a ${formatarData(dados.periodo.ate)}`);
+  linhas.push('');
+
+  linhas.push('VOLUME');
+  linhas.push(`  Reclamações no período: ${dados.volume.atual} (${frequencia.anterior}: ${dados.volume.anterior}, ${formatarVariacao(dados.volume)})`);
+  linhas.push(`  Taxa de resposta: ${formatarTaxa(dados.volume.taxaResposta)}`);
+  linhas.push(`  Taxa de solução: ${formatarTaxa(dados.volume.taxaSolucao)}`);
+  linhas.push('');
+
+  linhas.push(`RECLAMAÇÕES NOVAS (${dados.totalNovas})`);
+  if (dados.novas.length === 0) linhas.push('  Nenhuma reclamação nova.');
+  dados.novas.forEach(reclamacao => {
+    const local = reclamacao.cidade ? ` - ${reclamacao.cidade}/${reclamacao.uf}` : '';
+    linhas.push(`  - ${reclamacao.titulo} [${reclamacao.status || 'sem status'}]${local}`);
+    if (reclamacao.link) linhas.push(`    ${reclamacao.link}`);
+  });
+  if (dados.totalNovas > dados.novas.length) {
+    linhas.push(`  ... e mais ${dados.totalNovas - dados.novas.length}`);
+  }
+  linhas.push('');
+
+  linhas.push(`MUDANÇAS DE STATUS (${dados.totalMudancas})`);
+  if (dados.mudancas.length === 0) linhas.push('  Nenhuma mudança de status.');
+  dados.mudancas.forEach(mudanca => {
+    linhas.push(`  - ${mudanca.titulo}: ${mudanca.valor_anterior || '-'} -> ${mudanca.valor_novo || '-'}`);
+    if (mudanca.link) linhas.push(`    ${mudanca.link}`);
+  });
+  if (dados.totalMudancas > dados.mudancas.length) {
+    linhas.push(`  ... e mais ${dados.totalMudancas - dados.mudancas.length}`);
+  }
+
+  return linhas.join('\n') + '\n';
+}
+
+function renderizarHtml(dados) {
+  const frequencia = FREQUENCIAS[dados.frequencia];
+
+  const titulo = (reclamacao) => reclamacao.link
+    ? `<a href="${escaparHtml(reclamacao.link)}">${escaparHtml(reclamacao.titulo)}</a>`
+    : escaparHtml(reclamacao.titulo);
+
+  const restantes = (total, listados) => total > listados
+    ? `<p style="color:#666">... e mais ${total - listados}</p>`
+    : '';
+
+  const novas = dados.novas.length === 0
+    ? '<p>Nenhuma reclamação nova.</p>'
+    : `<ul>${dados.novas.map(reclamacao => `
+        <li>${titulo(reclamacao)} <strong>[${escaparHtml(reclamacao.status || 'sem status')}]</strong>${
+          reclamacao.cidade ? ` - ${escaparHtml(reclamacao.cidade)}/${escaparHtml(reclamacao.uf)}` : ''}</li>`).join('')}
+      </ul>${restantes(dados.totalNovas, dados.novas.length)}`;
+
+  const mudancas = dados.mudancas.length === 0
+    ? '<p>Nenhuma mudança de status.</p>'
+    : `<ul>${dados.mudancas.map(mudanca => `
+        <li>${titulo(mudanca)}: ${escaparHtml(mudanca.valor_anterior || '-')} &rarr; <strong>${escaparHtml(mudanca.valor_novo || '-')}</strong></li>`).join('')}
+      </ul>${restantes(dados.totalMudancas, dados.mudancas.length)}`;
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head><meta charset="utf-8"><title>${escaparHtml(gerarAssunto(dados))}</title></head>
+<body style="font-family:Arial,sans-serif;color:#222;max-width:640px">
+  <h2>Resumo ${frequencia.nome} - ${escaparHtml(dados.empresa)}</h2>
+  <p style="color:#666">${formatarData(dados.periodo.de)} a ${formatarData(dados.periodo.ate)}</p>
+
+  <h3>Volume</h3>
+  <table cellpadding="4">
+    <tr><td>Reclamações no período</td><td><strong>${dados.volume.atual}</strong></td></tr>
+    <tr><td>${frequencia.anterior}</td><td>${dados.volume.anterior} (${formatarVariacao(dados.volume)})</td></tr>
+    <tr><td>Taxa de resposta</td><td>${formatarTaxa(dados.volume.taxaResposta)}</td></tr>
+    <tr><td>Taxa de solução</td><td>${formatarTaxa(dados.volume.taxaSolucao)}</td></tr>
+  </table>
+
+  <h3>Reclamações novas (${dados.totalNovas})</h3>
+  ${novas}
+
+  <h3>Mudanças de status (${dados.totalMudancas})</h3>
+  ${mudancas}
+</body>
+</html>
+`;
+}
+
+// ========================================
+// ENVIAR RELATÓRIO
+// ========================================
+// Monta, envia e registra o resultado. Erros de SMTP ficam em
+// ultimo_erro e são relançados para quem chamou
+async function enviarRelatorio(relatorio, referencia = new Date()) {
+  const dados = await montarRelatorio(relatorio, referencia);
+
+  try {
+    const info = await obterTransporte().sendMail({
+      from: CONFIG.REMETENTE,
+      to: relatorio.destinatarios.join(', '),
+      subject: gerarAssunto(dados),
+      text: renderizarTexto(dados),
+      html: renderizarHtml(dados)
+    });
+
+    await registrarEnvioRelatorio(relatorio.id);
+    console.log(`📧 Relatório ${relatorio.frequencia} de ${relatorio.empresa} enviado para ${relatorio.destinatarios.length} destinatário(s)`);
+
+    return { messageId: info.messageId, novas: dados.totalNovas, mudancas: dados.totalMudancas };
+
+  } catch (erro) {
+    await registrarEnvioRelatorio(relatorio.id, erro.message);
+    console.error(`❌ Erro ao enviar relatório de ${relatorio.empresa}:`, erro.message);
+    throw erro;
+  }
+}
+
+// ========================================
+// PROCESSAR RELATÓRIOS DE UMA FREQUÊNCIA
+// ========================================
+// Chamado pelo agendador. Uma falha não impede os demais envios
+async function processarRelatorios(frequencia) {
+  const relatorios = await listarRelatorios({ frequencia, ativo: true, monitorando: true });
+  let enviados = 0;
+
+  for (const relatorio of relatorios) {
+    try {
+      await enviarRelatorio(relatorio);
+      enviados++;
+    } catch (erro) {
+      // Já registrado em enviarRelatorio
+    }
+  }
+
+  if (relatorios.length > 0) {
+    console.log(`📬 Relatórios ${frequencia}: ${enviados}/${relatorios.length} enviados`);
+  }
+
+  return { total: relatorios.length, enviados };
+}
+
+module.exports = {
+  CONFIG,
+  FREQUENCIAS,
+  montarRelatorio,
+  renderizarTexto,
+  renderizarHtml,
+  enviarRelatorio,
+  processarRelatorios
+};
@@ -5,84 +5,526 @@
 // ser executadas automaticamente
 
 const cron = require('node-cron');
-const { buscarReclamacoes } = require('./scraper');
-const { salvarReclamacoesDB } = require('./database');
+const { buscarReclamacoes, buscarDetalhesEmLote, buscarReputacao, gerarSlug } = require('./scraper');
+const { notificarColeta } = require('./webhooks');
+const { avaliarReclamacoes } = require('./alertas');
+const { detectarAnomalias } = require('./anomalias');
+const { CONFIG: CONFIG_RELATORIOS, processarRelatorios } = require('./relatorios');
+const { ErroScraper, ErroValidacao } = require('./erros');
+const {
+  salvarReclamacoesDB,
+  filtrarIdsExistentes,
+  registrarInicioExecucao,
+  registrarFimExecucao,
+  resumoExecucoes,
+  salvarDetalhesReclamacao,
+  buscarReclamacoesParaDetalhar,
+  buscarReclamacoesAbertas,
+  registrarFalhaDetalhes,
+  salvarSnapshotReputacao,
+  obterConfiguracoes,
+  bancoPronto
+} = require('./database');
 
 // ========================================
 // ARMAZENA OS JOBS ATIVOS
 // ========================================
-// Cada empresa terá seu próprio job de monitoramento
+// Cada empresa terá seu próprio job de monitoramento, mesmo que
+// vários workspaces a acompanhem: a coleta é uma só e cada workspace
+// vê o resultado (webhooks, alertas e relatórios de cada um)
 const jobsAtivos = new Map();
 
 // ========================================
 // CONVERTE INTERVALO PARA CRON
 // ========================================
-// Transforma intervalos amigáveis em expressões cron
+// Intervalos aceitos: expressão cron e minutos aproximados
+// (os minutos só servem para comparar intervalos)
+const INTERVALOS = {
+  '10min': { cron: '*/10 * * * *', minutos: 10 },      // A cada 10 minutos
+  '30min': { cron: '*/30 * * * *', minutos: 30 },      // A cada 30 minutos
+  '1h': { cron: '0 * * * *', minutos: 60 },            // A cada 1 hora (no minuto 0)
+  '3h': { cron: '0 */3 * * *', minutos: 180 },         // A cada 3 horas
+  '6h': { cron: '0 */6 * * *', minutos: 360 },         // A cada 6 horas
+  '12h': { cron: '0 */12 * * *', minutos: 720 },       // A cada 12 horas
+  'diario': { cron: '0 9 * * *', minutos: 1440 },      // Diário às 9h da manhã
+  '1d': { cron: '0 9 * * *', minutos: 1440 },          // Mesmo que diário
+  'semanal': { cron: '0 9 * * 1', minutos: 10080 },    // Toda segunda-feira às 9h
+  '1w': { cron: '0 9 * * 1', minutos: 10080 }          // Mesmo que semanal
+};
+
+// Transforma intervalos amigáveis em expressões cron.
+// Intervalo desconhecido lança INTERVALO_INVALIDO (não vira 1h)
 function intervalParaCron(intervalo) {
-  const conversoes = {
-    '10min': '*/10 * * * *',     // A cada 10 minutos
-    '30min': '*/30 * * * *',     // A cada 30 minutos
-    '1h': '0 * * * *',           // A cada 1 hora (no minuto 0)
-    '3h': '0 */3 * * *',         // A cada 3 horas
-    '6h': '0 */6 * * *',         // A cada 6 horas
-    '12h': '0 */12 * * *',       // A cada 12 horas
-    'diario': '0 9 * * *',       // Diário às 9h da manhã
-    '1d': '0 9 * * *',           // Mesmo que diário
-    'semanal': '0 9 * * 1',      // Toda segunda-feira às 9h
-    '1w': '0 9 * * 1'            // Mesmo que semanal
+  const conversao = INTERVALOS[String(intervalo).toLowerCase()];
+
+  if (!conversao) {
+    throw new ErroValidacao([{
+      campo: 'intervalo',
+      local: 'body',
+      codigo: 'INTERVALO_INVALIDO',
+      mensagem: `intervalo deve ser um de: ${Object.keys(INTERVALOS).join(', ')}`
+    }]);
+  }
+
+  return conversao.cron;
+}
+
+// Desconhecido fica por último na comparação
+function minutosIntervalo(intervalo) {
+  const conversao = INTERVALOS[String(intervalo).toLowerCase()];
+  return conversao ? conversao.minutos : Infinity;
+}
+
+// ========================================
+// CONFIGURAÇÕES POR EMPRESA (TODOS OS WORKSPACES)
+// ========================================
+// Junta as configurações ativas pelo slug da empresa no site (sem
+// slug salvo, o gerado a partir do nome): o job usa o intervalo mais
+// frequente pedido. O nome do job e das reclamações é o da
+// configuração mais antiga; outros nomes com o mesmo slug viram
+// apelidos. Conflitos antigos (a rota de iniciar já recusa novos)
+// são avisados em vez de resolvidos em silêncio.
+// Retorna Map empresa -> { intervalo, slug, nomes, workspaces }
+function agruparPorEmpresa(configuracoes) {
+  const empresas = new Map();
+  const nomePorSlug = new Map();
+
+  const maisAntigasPrimeiro = [...configuracoes].sort(
+    (a, b) => new Date(a.criado_em || 0) - new Date(b.criado_em || 0)
+  );
+
+  for (const config of maisAntigasPrimeiro) {
+    // O mesmo nome com outro slug: fica no job já existente
+    const porNome = empresas.get(config.empresa);
+    if (porNome && config.slug && porNome.slug && config.slug !== porNome.slug) {
+      console.warn(
+        `⚠️  ${config.empresa} (workspace ${config.workspace}) pede o slug ${config.slug}, ` +
+        `mas o job usa ${porNome.slug}`
+      );
+    }
+
+    const slug = porNome ? porNome.slug : (config.slug || gerarSlug(config.empresa));
+    const nome = porNome ? config.empresa : nomePorSlug.get(slug);
+    const atual = nome ? empresas.get(nome) : null;
+
+    if (!atual) {
+      nomePorSlug.set(slug, config.empresa);
+      empresas.set(config.empresa, {
+        intervalo: config.intervalo,
+        slug: slug,
+        nomes: [config.empresa],
+        workspaces: [config.workspace]
+      });
+      continue;
+    }
+
+    if (!atual.nomes.includes(config.empresa)) {
+      console.warn(
+        `⚠️  ${config.empresa} (workspace ${config.workspace}) tem o mesmo slug ${slug} ` +
+        `de ${nome}: coletada uma vez só, como ${nome}`
+      );
+      atual.nomes.push(config.empresa);
+    }
+
+    if (minutosIntervalo(config.intervalo) < minutosIntervalo(atual.intervalo)) {
+      atual.intervalo = config.intervalo;
+    }
+    if (!atual.workspaces.includes(config.workspace)) {
+      atual.workspaces.push(config.workspace);
+    }
+  }
+
+  return empresas;
+}
+
+// ========================================
+// CIRCUIT BREAKER POR EMPRESA
+// ========================================
+// Depois de várias falhas permanentes seguidas (403/404) a empresa
+// fica pausada: os ticks do cron são pulados até a pausa acabar.
+// Aí uma execução de teste decide (sucesso fecha, falha dobra a pausa)
+const CIRCUITO = {
+  LIMITE_FALHAS: 3,
+  PAUSA_INICIAL: 6 * 60 * 60 * 1000,    // 6 horas
+  PAUSA_MAXIMA: 7 * 24 * 60 * 60 * 1000 // 7 dias
+};
+
+const ESTADOS_CIRCUITO = {
+  FECHADO: 'fechado',         // Normal
+  ABERTO: 'aberto',           // Pausado
+  MEIO_ABERTO: 'meio_aberto'  // Pausa acabou, próxima execução é o teste
+};
+
+const circuitos = new Map();
+
+function obterCircuito(empresa) {
+  const circuito = circuitos.get(empresa);
+
+  if (!circuito) {
+    return { estado: ESTADOS_CIRCUITO.FECHADO, falhas: 0 };
+  }
+
+  // A pausa acabou: libera uma execução de teste
+  if (circuito.estado === ESTADOS_CIRCUITO.ABERTO && Date.now() >= circuito.reabreEm) {
+    circuito.estado = ESTADOS_CIRCUITO.MEIO_ABERTO;
+  }
+
+  return {
+    estado: circuito.estado,
+    falhas: circuito.falhas,
+    ultimoErro: circuito.ultimoErro,
+    pausaMs: circuito.pausaMs,
+    reabreEm: circuito.reabreEm ? new Date(circuito.reabreEm).toISOString() : null
   };
+}
+
+function registrarSucessoCircuito(empresa) {
+  if (circuitos.has(empresa)) {
+    console.log(`🟢 Circuito fechado para ${empresa}`);
+    circuitos.delete(empresa);
+  }
+}
+
+function registrarFalhaCircuito(empresa, erro) {
+  // Falhas transitórias (429, 5xx, timeout) já tiveram retry no scraper
+  // e não indicam que a empresa está errada
+  if (!(erro instanceof ErroScraper) || erro.transitorio) return;
+
+  const circuito = circuitos.get(empresa) || { estado: ESTADOS_CIRCUITO.FECHADO, falhas: 0, pausaMs: 0 };
+  circuito.falhas++;
+  circuito.ultimoErro = erro.codigo;
+
+  const falhouNoTeste = circuito.estado === ESTADOS_CIRCUITO.MEIO_ABERTO;
+
+  if (falhouNoTeste || circuito.falhas >= CIRCUITO.LIMITE_FALHAS) {
+    circuito.pausaMs = falhouNoTeste
+      ? Math.min(circuito.pausaMs * 2, CIRCUITO.PAUSA_MAXIMA)
+      : CIRCUITO.PAUSA_INICIAL;
+    circuito.estado = ESTADOS_CIRCUITO.ABERTO;
+    circuito.reabreEm = Date.now() + circuito.pausaMs;
+
+    console.warn(`🔴 Circuito aberto para ${empresa} (${erro.codigo}): pausado por ${Math.round(circuito.pausaMs / 60000)} min`);
+  }
+
+  circuitos.set(empresa, circuito);
+}
+
+// ========================================
+// COLETAR DETALHES
+// ========================================
+// Número máximo de páginas de detalhe abertas por execução
+const MAX_DETALHES_POR_EXECUCAO = 50;
+
+async function coletarDetalhes(empresa) {
+  const pendentes = await buscarReclamacoesParaDetalhar(empresa, MAX_DETALHES_POR_EXECUCAO);
+
+  if (pendentes.length === 0) return 0;
 
-  return conversoes[intervalo.toLowerCase()] || conversoes['1h'];
+  console.log(`📖 Buscando detalhes de ${pendentes.length} reclamações de ${empresa}`);
+
+  const resultados = await buscarDetalhesEmLote(pendentes);
+  let salvos = 0;
+
+  for (const { reclamacao, detalhes } of resultados) {
+    // A falha espaça as próximas tentativas desta reclamação,
+    // para que páginas quebradas não gastem o limite de cada execução
+    if (!detalhes) {
+      await registrarFalhaDetalhes(reclamacao.id);
+      continue;
+    }
+
+    if (await salvarDetalhesReclamacao(empresa, reclamacao.id_externo, detalhes)) {
+      salvos++;
+    }
+  }
+
+  console.log(`📖 Detalhes salvos: ${salvos}/${pendentes.length}`);
+  return salvos;
+}
+
+// ========================================
+// REVISITAR RECLAMAÇÕES EM ABERTO
+// ========================================
+// A lista só é percorrida até as reclamações já conhecidas: as mais
+// antigas ainda sem avaliação são reabertas pelo link, em rodízio,
+// para que a mudança de status chegue ao histórico e aos webhooks
+const MAX_REVISITAS_POR_EXECUCAO = 20;
+const HORAS_ENTRE_REVISITAS = 24;
+
+// Retorna { revisitadas, resultado } (resultado de salvarReclamacoesDB
+// com as que mudaram de status, ou null se nenhuma mudou)
+async function revisitarAbertas(empresa) {
+  const abertas = await buscarReclamacoesAbertas(empresa, {
+    limite: MAX_REVISITAS_POR_EXECUCAO,
+    horas: HORAS_ENTRE_REVISITAS
+  });
+
+  if (abertas.length === 0) return { revisitadas: 0, resultado: null };
+
+  console.log(`🔄 Revisitando ${abertas.length} reclamações em aberto de ${empresa}`);
+
+  const resultados = await buscarDetalhesEmLote(abertas);
+  const mudaram = [];
+
+  for (const { reclamacao, detalhes } of resultados) {
+    if (!detalhes) {
+      await registrarFalhaDetalhes(reclamacao.id);
+      continue;
+    }
+
+    if (detalhes.status && detalhes.status !== reclamacao.status) {
+      mudaram.push({
+        id: reclamacao.id_externo,
+        empresa: empresa,
+        titulo: reclamacao.titulo,
+        descricao: reclamacao.descricao,
+        status: detalhes.status,
+        data: reclamacao.data,
+        local: reclamacao.local,
+        link: reclamacao.link,
+        coletadoEm: reclamacao.coletado_em
+      });
+    }
+  }
+
+  // O status vai antes dos detalhes: assim a reclamação não volta
+  // para a fila de coletarDetalhes (atualizado_em depois da coleta)
+  const resultado = mudaram.length > 0 ? await salvarReclamacoesDB(mudaram) : null;
+
+  for (const { reclamacao, detalhes } of resultados) {
+    if (detalhes) await salvarDetalhesReclamacao(empresa, reclamacao.id_externo, detalhes);
+  }
+
+  console.log(`🔄 ${mudaram.length} de ${abertas.length} revisitadas mudaram de status`);
+  return { revisitadas: abertas.length, resultado };
+}
+
+// ========================================
+// COLETAR REPUTAÇÃO
+// ========================================
+// Guarda uma foto dos indicadores da empresa. Não derruba a
+// execução: as reclamações já foram salvas nesse ponto
+async function coletarReputacao(empresa, slug) {
+  try {
+    const reputacao = await buscarReputacao(empresa, { slug });
+    await salvarSnapshotReputacao(reputacao);
+
+    console.log(`⭐ Reputação de ${empresa}: ${reputacao.classificacao || '?'} (${reputacao.notaReputacao ?? '-'})`);
+    return true;
+
+  } catch (erro) {
+    console.error(`⚠️  Falha ao coletar reputação de ${empresa}:`, erro.message);
+    return false;
+  }
 }
 
 // ========================================
 // EXECUTAR MONITORAMENTO
 // ========================================
-// Função que executa a busca e salva no banco
-async function executarMonitoramento(empresa) {
+// Origem de cada execução, gravada no histórico
+const ORIGENS = {
+  AGENDADA: 'agendada', // Disparada pelo cron
+  MANUAL: 'manual'      // Ao iniciar o monitoramento ou pela API
+};
+
+// Empresas com uma execução rodando agora. Com várias páginas,
+// detalhes e retries, uma execução pode durar mais que o intervalo
+// do cron: a seguinte é pulada em vez de rodar em paralelo
+const execucoesEmAndamento = new Set();
+
+// Função que executa a busca e salva no banco.
+// Registra a execução na tabela `execucoes` e retorna o resumo
+// (com `sucesso: false` e `erro` quando ela falha, ou
+// `emAndamento: true` quando foi pulada)
+// slug: se não vier, usa o do job ativo (ou o scraper deriva do nome)
+async function executarMonitoramento(empresa, origem = ORIGENS.AGENDADA, slug = null) {
+  let execucaoId = null;
+
+  if (execucoesEmAndamento.has(empresa)) {
+    console.log(`⏭️  ${empresa} ainda tem uma execução em andamento, pulando (${origem})`);
+
+    return {
+      execucaoId: null,
+      empresa: empresa,
+      sucesso: false,
+      emAndamento: true,
+      erro: 'Execução anterior ainda em andamento',
+      codigo: 'EXECUCAO_EM_ANDAMENTO'
+    };
+  }
+
+  if (!slug && jobsAtivos.has(empresa)) {
+    slug = jobsAtivos.get(empresa).slug;
+  }
+
+  execucoesEmAndamento.add(empresa);
+
   try {
     console.log(`\n⏰ [${new Date().toLocaleString('pt-BR')}] Executando monitoramento: ${empresa}`);
+
+    execucaoId = await registrarInicioExecucao(empresa, origem);
     
-    // Busca as reclamações
-    const reclamacoes = await buscarReclamacoes(empresa);
+    // Busca as reclamações, paginando até alcançar as que já estão no banco
+    const { reclamacoes, paginas, motivoParada, limiteAtingido } = await buscarReclamacoes(empresa, {
+      slug: slug,
+      verificarExistentes: (ids) => filtrarIdsExistentes(empresa, ids)
+    });
+
+    if (limiteAtingido) {
+      console.warn(`⚠️  Limite de busca atingido para ${empresa} após ${paginas} página(s): podem existir reclamações não coletadas`);
+    }
+
+    const resumo = {
+      execucaoId: execucaoId,
+      empresa: empresa,
+      sucesso: true,
+      paginas: paginas,
+      motivoParada: motivoParada,
+      encontradas: reclamacoes.length,
+      novas: 0,
+      atualizadas: 0,
+      inalteradas: 0,
+      alertas: 0,
+      anomalias: 0,
+      detalhes: 0,
+      revisitadas: 0,
+      reputacao: false
+    };
     
     if (reclamacoes.length === 0) {
-      console.log(`ℹ️  Nenhuma reclamação nova encontrada para ${empresa}`);
-      return;
+      console.log(`ℹ️  Nenhuma reclamação encontrada para ${empresa}`);
+    } else {
+      // Salva no banco de dados (as já conhecidas só atualizam se mudaram)
+      const resultado = await salvarReclamacoesDB(reclamacoes);
+
+      resumo.novas = resultado.inseridas.length;
+      resumo.atualizadas = resultado.atualizadas.length;
+      resumo.inalteradas = resultado.inalteradas.length;
+
+      // Avisa os webhooks sobre as novas e as mudanças de status.
+      // Uma falha aqui não deve derrubar o resto da execução
+      await notificarColeta(empresa, resultado).catch((erro) => {
+        console.error(`❌ Erro ao notificar webhooks de ${empresa}:`, erro.message);
+      });
+
+      // Confere as novas contra as regras de alerta da empresa
+      const alertas = await avaliarReclamacoes(empresa, resultado.inseridas).catch((erro) => {
+        console.error(`❌ Erro ao avaliar regras de alerta de ${empresa}:`, erro.message);
+        return [];
+      });
+      resumo.alertas = alertas.length;
     }
 
-    // Salva no banco de dados
-    await salvarReclamacoesDB(reclamacoes);
-    
-    console.log(`✅ ${reclamacoes.length} reclamações salvas para ${empresa}`);
+    // Compara o volume recente com a linha de base da empresa
+    const anomalias = await detectarAnomalias(empresa).catch((erro) => {
+      console.error(`❌ Erro ao detectar anomalias de ${empresa}:`, erro.message);
+      return [];
+    });
+    resumo.anomalias = anomalias.length;
+
+    // Abre a página das reclamações sem detalhes ou que mudaram
+    // desde a última coleta (ex: empresa respondeu, consumidor avaliou)
+    resumo.detalhes = await coletarDetalhes(empresa);
+
+    // Reabre as antigas ainda sem avaliação para pegar a mudança de status
+    const revisita = await revisitarAbertas(empresa);
+    resumo.revisitadas = revisita.revisitadas;
+
+    if (revisita.resultado) {
+      resumo.atualizadas += revisita.resultado.atualizadas.length;
+
+      await notificarColeta(empresa, revisita.resultado).catch((erro) => {
+        console.error(`❌ Erro ao notificar webhooks de ${empresa}:`, erro.message);
+      });
+    }
+
+    // Indicadores gerais da empresa (nota, taxa de resposta...)
+    resumo.reputacao = await coletarReputacao(empresa, slug);
+
+    await registrarFimExecucao(execucaoId, {
+      status: 'sucesso',
+      statusHttp: 200,
+      paginas: resumo.paginas,
+      encontradas: resumo.encontradas,
+      novas: resumo.novas,
+      atualizadas: resumo.atualizadas
+    });
+
+    registrarSucessoCircuito(empresa);
+
+    console.log(
+      `✅ ${empresa}: ${resumo.novas} novas, ${resumo.atualizadas} atualizadas, ` +
+      `${resumo.inalteradas} sem mudança (${resumo.encontradas} encontradas em ${resumo.paginas} página(s))`
+    );
+
+    return resumo;
     
   } catch (erro) {
     console.error(`❌ Erro no monitoramento de ${empresa}:`, erro.message);
+
+    registrarFalhaCircuito(empresa, erro);
+
+    // Sem id o próprio registro de início falhou (ex: banco fora do ar)
+    if (execucaoId) {
+      await registrarFimExecucao(execucaoId, {
+        status: 'falha',
+        statusHttp: erro.statusHttp,
+        erro: erro.codigo ? `${erro.codigo}: ${erro.message}` : erro.message
+      }).catch(() => {});
+    }
+
+    return {
+      execucaoId: execucaoId,
+      empresa: empresa,
+      sucesso: false,
+      erro: erro.message,
+      codigo: erro.codigo || null
+    };
+  } finally {
+    execucoesEmAndamento.delete(empresa);
   }
 }
 
 // ========================================
 // INICIAR MONITORAMENTO
 // ========================================
-function iniciarMonitoramento(empresa, intervalo) {
+// opcoes.executarAgora: faz a primeira busca imediatamente (padrão: true)
+// opcoes.slug: slug resolvido da empresa no Reclame Aqui
+// opcoes.workspaces: slugs dos workspaces que acompanham a empresa
+function iniciarMonitoramento(empresa, intervalo, opcoes = {}) {
+  const { executarAgora = true, slug = null, workspaces = [] } = opcoes;
+
   try {
+    // Converte antes de mexer no job atual: intervalo inválido
+    // não pode derrubar o monitoramento que já está rodando
+    const expressaoCron = intervalParaCron(intervalo);
+
     // Para o monitoramento anterior se existir
     pararMonitoramento(empresa);
 
-    // Converte o intervalo para expressão cron
-    const expressaoCron = intervalParaCron(intervalo);
-    
+    // Reiniciar é a forma de "destravar" uma empresa pausada
+    circuitos.delete(empresa);
+
     console.log(`\n🚀 Iniciando monitoramento:`);
     console.log(`   Empresa: ${empresa}`);
+    console.log(`   Slug: ${slug || '(derivado do nome)'}`);
     console.log(`   Intervalo: ${intervalo}`);
     console.log(`   Cron: ${expressaoCron}`);
 
     // Executa imediatamente (primeira vez)
-    executarMonitoramento(empresa);
+    if (executarAgora) {
+      executarMonitoramento(empresa, ORIGENS.MANUAL, slug);
+    }
 
     // Agenda as próximas execuções
     const job = cron.schedule(expressaoCron, () => {
-      executarMonitoramento(empresa);
+      // Empresa pausada pelo circuit breaker: pula este tick
+      if (obterCircuito(empresa).estado === ESTADOS_CIRCUITO.ABERTO) {
+        console.log(`⏸️  ${empresa} pausada pelo circuit breaker, pulando execução`);
+        return;
+      }
+
+      executarMonitoramento(empresa, ORIGENS.AGENDADA, slug);
     }, {
       scheduled: true,
       timezone: "America/Sao_Paulo" // Ajuste para seu fuso horário
@@ -91,7 +533,9 @@ function iniciarMonitoramento(empresa, intervalo) {
     // Salva o job na lista de jobs ativos
     jobsAtivos.set(empresa, {
       job: job,
+      slug: slug,
       intervalo: intervalo,
+      workspaces: workspaces,
       iniciado: new Date().toISOString()
     });
 
@@ -105,6 +549,66 @@ function iniciarMonitoramento(empresa, intervalo) {
   }
 }
 
+// ========================================
+// SINCRONIZAR MONITORAMENTO COM O BANCO
+// ========================================
+// Chamado quando um workspace inicia ou para de monitorar a empresa.
+// Recalcula o job a partir das configurações ativas de todos os
+// workspaces: para quando nenhum acompanha mais, reinicia quando o
+// intervalo mais frequente ou o slug mudaram.
+// opcoes.executarAgora: faz uma coleta imediata (padrão: false)
+// opcoes.reiniciar: recria o job mesmo sem mudança (destrava o circuito)
+// empresa pode ser um apelido (mesmo slug, outro nome): o job sincronizado
+// é o do nome principal. Se empresa deixou de ser o nome principal (a
+// configuração mais antiga saiu), o job passa para o novo nome
+// Retorna o job resultante ({ intervalo, slug, nomes, workspaces }) ou null
+async function sincronizarMonitoramento(empresa, opcoes = {}) {
+  const { executarAgora = false, reiniciar = false } = opcoes;
+
+  const empresas = agruparPorEmpresa(await obterConfiguracoes());
+  const jobAnterior = jobsAtivos.get(empresa);
+
+  let nome = empresa;
+  let desejado = empresas.get(empresa);
+
+  if (!desejado) {
+    for (const [principal, grupo] of empresas) {
+      if (grupo.nomes.includes(empresa) || (jobAnterior && grupo.slug === jobAnterior.slug)) {
+        nome = principal;
+        desejado = grupo;
+        break;
+      }
+    }
+  }
+
+  if (!desejado) {
+    pararMonitoramento(empresa);
+    return null;
+  }
+
+  if (nome !== empresa && jobAnterior) {
+    pararMonitoramento(empresa);
+  }
+
+  const atual = jobsAtivos.get(nome);
+
+  if (reiniciar || !atual || atual.intervalo !== desejado.intervalo || atual.slug !== desejado.slug) {
+    iniciarMonitoramento(nome, desejado.intervalo, {
+      executarAgora,
+      slug: desejado.slug,
+      workspaces: desejado.workspaces
+    });
+  } else {
+    atual.workspaces = desejado.workspaces;
+
+    if (executarAgora) {
+      executarMonitoramento(nome, ORIGENS.MANUAL, desejado.slug);
+    }
+  }
+
+  return desejado;
+}
+
 // ========================================
 // PARAR MONITORAMENTO
 // ========================================
@@ -144,6 +648,7 @@ function pararTodos() {
   });
   
   jobsAtivos.clear();
+  pararRelatorios();
   console.log(`✅ Todos os monitoramentos foram parados`);
 }
 
@@ -156,9 +661,11 @@ function listarMonitoramentos() {
   jobsAtivos.forEach((jobInfo, empresa) => {
     lista.push({
       empresa: empresa,
+      slug: jobInfo.slug,
       intervalo: jobInfo.intervalo,
       iniciado: jobInfo.iniciado,
-      ativo: true
+      ativo: true,
+      circuito: obterCircuito(empresa)
     });
   });
   
@@ -168,23 +675,179 @@ function listarMonitoramentos() {
 // ========================================
 // STATUS DO MONITORAMENTO
 // ========================================
-function statusMonitoramento(empresa) {
+// Inclui o resumo do histórico: último sucesso, última falha
+// e quantas falhas seguidas desde o último sucesso
+async function statusMonitoramento(empresa) {
+  const execucoes = await resumoExecucoes(empresa);
+
   if (jobsAtivos.has(empresa)) {
     const jobInfo = jobsAtivos.get(empresa);
     return {
       empresa: empresa,
       ativo: true,
+      slug: jobInfo.slug,
       intervalo: jobInfo.intervalo,
-      iniciado: jobInfo.iniciado
+      iniciado: jobInfo.iniciado,
+      circuito: obterCircuito(empresa),
+      execucoes: execucoes
     };
   }
   
   return {
     empresa: empresa,
-    ativo: false
+    ativo: false,
+    circuito: obterCircuito(empresa),
+    execucoes: execucoes
+  };
+}
+
+// ========================================
+// VERIFICAR CONSISTÊNCIA (BANCO x MEMÓRIA)
+// ========================================
+// Compara as configurações ativas salvas no banco com os
+// jobs que realmente estão rodando neste processo. O intervalo
+// esperado de cada empresa é o mais frequente entre os workspaces.
+// workspaceId: só mostra as empresas daquele workspace
+async function verificarConsistencia(workspaceId = null) {
+  const esperados = agruparPorEmpresa(await obterConfiguracoes());
+
+  const doWorkspace = workspaceId
+    ? new Set((await obterConfiguracoes(false, workspaceId)).map(config => config.empresa))
+    : null;
+  // O workspace também vê o job de um apelido seu (mesmo slug)
+  const visivel = (empresa) => !doWorkspace || doWorkspace.has(empresa) ||
+    (esperados.has(empresa) && esperados.get(empresa).nomes.some(nome => doWorkspace.has(nome)));
+
+  // Ativas no banco, mas sem job rodando
+  const semJob = [];
+  esperados.forEach((esperado, empresa) => {
+    if (!jobsAtivos.has(empresa) && visivel(empresa)) {
+      semJob.push({ empresa: empresa, intervalo: esperado.intervalo });
+    }
+  });
+
+  // Rodando em memória, mas desativadas (ou ausentes) no banco
+  const semConfiguracao = [];
+  jobsAtivos.forEach((jobInfo, empresa) => {
+    if (!esperados.has(empresa) && visivel(empresa)) {
+      semConfiguracao.push({ empresa: empresa, intervalo: jobInfo.intervalo });
+    }
+  });
+
+  // Presentes nos dois lados, mas com intervalos diferentes
+  const intervaloDivergente = [];
+  esperados.forEach((esperado, empresa) => {
+    const jobInfo = jobsAtivos.get(empresa);
+
+    if (jobInfo && jobInfo.intervalo !== esperado.intervalo && visivel(empresa)) {
+      intervaloDivergente.push({
+        empresa: empresa,
+        intervaloBanco: esperado.intervalo,
+        intervaloJob: jobInfo.intervalo
+      });
+    }
+  });
+
+  const consistente = semJob.length === 0 &&
+    semConfiguracao.length === 0 &&
+    intervaloDivergente.length === 0;
+
+  if (!consistente) {
+    console.warn(`⚠️  Divergência entre banco e jobs ativos:`);
+    semJob.forEach(item => console.warn(`   - ${item.empresa}: ativo no banco, sem job`));
+    semConfiguracao.forEach(item => console.warn(`   - ${item.empresa}: job rodando, inativo no banco`));
+    intervaloDivergente.forEach(item => console.warn(
+      `   - ${item.empresa}: intervalo ${item.intervaloBanco} no banco, ${item.intervaloJob} no job`
+    ));
+  }
+
+  return {
+    consistente,
+    semJob,
+    semConfiguracao,
+    intervaloDivergente
   };
 }
 
+// ========================================
+// RESTAURAR MONITORAMENTOS (BOOT)
+// ========================================
+// Recria os jobs de todas as configurações ativas no banco.
+// Usado ao iniciar o servidor, já que os jobs só existem em memória
+async function restaurarMonitoramentos() {
+  await bancoPronto;
+
+  console.log(`\n♻️  Restaurando monitoramentos salvos...`);
+
+  // Um job por empresa, mesmo com vários workspaces
+  const empresas = agruparPorEmpresa(await obterConfiguracoes());
+  const falhas = [];
+  let restaurados = 0;
+
+  for (const [empresa, config] of empresas) {
+    try {
+      // Não executa na hora para não disparar todas as buscas
+      // de uma vez a cada deploy; o cron cuida da próxima execução
+      iniciarMonitoramento(empresa, config.intervalo, {
+        executarAgora: false,
+        slug: config.slug,
+        workspaces: config.workspaces
+      });
+      restaurados++;
+    } catch (erro) {
+      console.error(`❌ Não foi possível restaurar ${empresa}:`, erro.message);
+      falhas.push({ empresa: empresa, erro: erro.message });
+    }
+  }
+
+  console.log(`✅ ${restaurados}/${empresas.size} monitoramentos restaurados`);
+
+  const consistencia = await verificarConsistencia();
+
+  return {
+    total: empresas.size,
+    restaurados,
+    falhas,
+    consistencia
+  };
+}
+
+// ========================================
+// RELATÓRIOS POR E-MAIL (DIÁRIO / SEMANAL)
+// ========================================
+// Um job por frequência; cada tick envia todos os relatórios
+// ativos daquela frequência
+const jobsRelatorios = new Map();
+
+function iniciarRelatorios() {
+  const agenda = {
+    diario: CONFIG_RELATORIOS.CRON_DIARIO,
+    semanal: CONFIG_RELATORIOS.CRON_SEMANAL
+  };
+
+  Object.entries(agenda).forEach(([frequencia, expressaoCron]) => {
+    if (jobsRelatorios.has(frequencia)) return;
+
+    const job = cron.schedule(expressaoCron, () => {
+      processarRelatorios(frequencia).catch(erro => {
+        console.error(`❌ Erro ao processar relatórios ${frequencia}:`, erro.message);
+      });
+    }, {
+      scheduled: true,
+      timezone: "America/Sao_Paulo"
+    });
+
+    jobsRelatorios.set(frequencia, job);
+  });
+
+  console.log(`📧 Relatórios agendados (diário: ${agenda.diario}, semanal: ${agenda.semanal})`);
+}
+
+function pararRelatorios() {
+  jobsRelatorios.forEach(job => job.stop());
+  jobsRelatorios.clear();
+}
+
 // ========================================
 // OBTER RECLAMAÇÕES (CACHE)
 // ========================================
@@ -238,12 +901,21 @@ process.on('SIGTERM', () => {
 // EXPORTA AS FUNÇÕES
 // ========================================
 module.exports = {
+  ORIGENS,
+  INTERVALOS,
+  executarMonitoramento,
   iniciarMonitoramento,
+  sincronizarMonitoramento,
   pararMonitoramento,
   pararTodos,
   listarMonitoramentos,
   statusMonitoramento,
+  verificarConsistencia,
+  restaurarMonitoramentos,
+  iniciarRelatorios,
+  pararRelatorios,
   obterReclamacoes,
   limparCache,
-  intervalParaCron
+  intervalParaCron,
+  agruparPorEmpresa
 };
@@ -6,6 +6,14 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
+const {
+  ErroScraper,
+  ErroEmpresaNaoEncontrada,
+  ErroAcessoBloqueado,
+  ErroLimiteRequisicoes,
+  ErroServidorRemoto,
+  ErroSemResposta
+} = require('./erros');
 
 // ========================================
 // CONFIGURAÇÕES DO SCRAPER
@@ -19,13 +27,37 @@ const CONFIG = {
   // Isso evita sobrecarregar o site
   DELAY: 2000, // 2 segundos
   
-  // Número máximo de reclamações por busca
-  MAX_RECLAMACOES: 20,
+  // Número máximo de reclamações por busca (somando todas as páginas)
+  MAX_RECLAMACOES: parseInt(process.env.SCRAPER_MAX_RECLAMACOES) || 100,
+
+  // Número máximo de páginas percorridas por busca
+  MAX_PAGINAS: parseInt(process.env.SCRAPER_MAX_PAGINAS) || 5,
+  
+  // Tentativas por página em falhas transitórias (429, 5xx, timeout)
+  MAX_TENTATIVAS: 3,
+
+  // Espera base do backoff exponencial (1s, 2s, 4s... + jitter)
+  BACKOFF_BASE: 1000,
+
+  // Retry-After maior que isso não é esperado: a falha sobe
+  // e a próxima execução agendada tenta de novo
+  RETRY_AFTER_MAXIMO: 60 * 1000, // 1 minuto
   
   // User Agent - finge que é um navegador
   USER_AGENT: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
 };
 
+// ========================================
+// MOTIVOS DE PARADA DA PAGINAÇÃO
+// ========================================
+const MOTIVOS_PARADA = {
+  ALCANCOU_CONHECIDAS: 'alcancou_conhecidas', // Chegou em uma reclamação já salva
+  FIM_DA_LISTA: 'fim_da_lista',               // Página sem reclamações
+  LIMITE_PAGINAS: 'limite_paginas',           // Orçamento de páginas esgotado
+  LIMITE_RECLAMACOES: 'limite_reclamacoes',   // Orçamento de itens esgotado
+  ERRO_PAGINACAO: 'erro_paginacao'            // Falha em uma página depois da primeira
+};
+
 // ========================================
 // FUNÇÃO PARA ESPERAR (DELAY)
 // ========================================
@@ -33,97 +65,282 @@ function esperar(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// ========================================
+// FUNÇÃO AUXILIAR - Lê o cabeçalho Retry-After
+// ========================================
+// Aceita segundos ("120") ou data HTTP. Retorna ms ou null
+function lerRetryAfter(valor) {
+  if (!valor) return null;
+
+  const segundos = Number(valor);
+  if (!Number.isNaN(segundos)) return Math.max(segundos, 0) * 1000;
+
+  const data = Date.parse(valor);
+  if (!Number.isNaN(data)) return Math.max(data - Date.now(), 0);
+
+  return null;
+}
+
+// ========================================
+// FUNÇÃO AUXILIAR - Converte erro do axios em erro tipado
+// ========================================
+function converterErroHttp(erro) {
+  if (erro instanceof ErroScraper) return erro;
+
+  if (erro.response) {
+    // O servidor respondeu com erro
+    const status = erro.response.status;
+    const retryAfterMs = lerRetryAfter(erro.response.headers && erro.response.headers['retry-after']);
+
+    if (status === 404) return new ErroEmpresaNaoEncontrada();
+    if (status === 403) return new ErroAcessoBloqueado();
+    if (status === 429) return new ErroLimiteRequisicoes(retryAfterMs);
+    if (status >= 500) return new ErroServidorRemoto(status, retryAfterMs);
+
+    return new ErroScraper(`Reclame Aqui respondeu com status ${status}`, {
+      codigo: 'RESPOSTA_INESPERADA',
+      statusHttp: status
+    });
+  }
+
+  if (erro.request) {
+    // A requisição foi feita mas não houve resposta (inclui timeout)
+    return new ErroSemResposta();
+  }
+
+  return erro;
+}
+
+// ========================================
+// FUNÇÃO AUXILIAR - Espera antes de tentar de novo
+// ========================================
+// Usa o Retry-After quando o site manda; senão, backoff
+// exponencial com jitter para não sincronizar as empresas
+function calcularEspera(erro, tentativa) {
+  if (erro.retryAfterMs !== null && erro.retryAfterMs !== undefined) {
+    return erro.retryAfterMs;
+  }
+
+  const exponencial = CONFIG.BACKOFF_BASE * Math.pow(2, tentativa - 1);
+  return exponencial + Math.floor(Math.random() * exponencial);
+}
+
+// ========================================
+// FUNÇÃO AUXILIAR - Baixa uma página HTML
+// ========================================
+// Repete em falhas transitórias; 403/404 sobem na hora
+async function baixarPagina(url) {
+  for (let tentativa = 1; ; tentativa++) {
+    try {
+      const resposta = await axios.get(url, {
+        headers: {
+          'User-Agent': CONFIG.USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml,application/xml',
+          'Accept-Language': 'pt-BR,pt;q=0.9',
+        },
+        timeout: 10000 // 10 segundos de timeout
+      });
+
+      // Carrega o HTML com cheerio (jQuery para Node.js)
+      return cheerio.load(resposta.data);
+
+    } catch (erroOriginal) {
+      const erro = converterErroHttp(erroOriginal);
+
+      if (!erro.transitorio || tentativa >= CONFIG.MAX_TENTATIVAS) throw erro;
+
+      const espera = calcularEspera(erro, tentativa);
+      if (espera > CONFIG.RETRY_AFTER_MAXIMO) throw erro;
+
+      console.warn(`🔁 ${erro.message} (tentativa ${tentativa}/${CONFIG.MAX_TENTATIVAS}), nova tentativa em ${Math.round(espera / 1000)}s`);
+      await esperar(espera);
+    }
+  }
+}
+
+// ========================================
+// FUNÇÃO AUXILIAR - Extrai os cards de uma página
+// ========================================
+// NOTA: Os seletores CSS abaixo podem mudar se o
+// Reclame Aqui alterar o layout do site!
+function extrairReclamacoes($, nomeEmpresa) {
+  const reclamacoes = [];
+
+  // Busca cada card de reclamação
+  $('.sc-1pe7b5t-0').each((index, elemento) => {
+    const item = $(elemento);
+
+    // Extrai os dados
+    const titulo = item.find('[data-testid="complaint-title"]').text().trim();
+    const descricao = item.find('[data-testid="complaint-description"]').text().trim();
+    const status = item.find('[data-testid="complaint-status"]').text().trim();
+    const data = item.find('[data-testid="complaint-creation-date"]').text().trim();
+    const local = item.find('[data-testid="complaint-location"]').text().trim();
+    const id = item.find('a').attr('href')?.split('/').pop() || null;
+
+    // Só adiciona se tiver título
+    if (titulo) {
+      reclamacoes.push({
+        id: id,
+        titulo: titulo,
+        descricao: descricao || 'Sem descrição',
+        status: status || 'Não informado',
+        // Sem data no card fica null: a data da coleta não é a da reclamação
+        data: data || null,
+        local: local || 'Não informado',
+        empresa: nomeEmpresa,
+        link: id ? `${CONFIG.BASE_URL}/reclamacao/${id}` : null,
+        coletadoEm: new Date().toISOString()
+      });
+    }
+  });
+
+  return reclamacoes;
+}
+
+// ========================================
+// FUNÇÃO AUXILIAR - Gera o slug a partir do nome
+// ========================================
+// Exemplo: "Banco do Brasil" -> "banco-do-brasil"
+// Nem sempre bate com o site (ex: "Magazine Luiza" é
+// "magazine-luiza-loja-online"), por isso existe buscarEmpresas
+function gerarSlug(nomeEmpresa) {
+  return nomeEmpresa
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove acentos
+    .replace(/[^\w\s]/g, '') // Remove caracteres especiais
+    .trim()
+    .replace(/\s+/g, '-'); // Substitui espaços por hífen
+}
+
 // ========================================
 // FUNÇÃO PRINCIPAL - BUSCAR RECLAMAÇÕES
 // ========================================
-async function buscarReclamacoes(nomeEmpresa) {
+// Percorre as páginas da lista (?pagina=N) até encontrar uma
+// reclamação já conhecida ou até esgotar o orçamento.
+// A página onde aparecem as conhecidas é devolvida inteira, com
+// `conhecida: true` nos itens que já estavam no banco.
+//
+// opcoes.maxPaginas / opcoes.maxReclamacoes: orçamento da busca
+// opcoes.verificarExistentes: async (ids) => Set com os ids já salvos
+// opcoes.slug: slug da empresa no site (ver buscarEmpresas)
+//
+// Retorna { reclamacoes, paginas, motivoParada, limiteAtingido }
+async function buscarReclamacoes(nomeEmpresa, opcoes = {}) {
+  const {
+    maxPaginas = CONFIG.MAX_PAGINAS,
+    maxReclamacoes = CONFIG.MAX_RECLAMACOES,
+    verificarExistentes = null,
+    slug = null
+  } = opcoes;
+
   try {
     console.log(`\n🔍 Iniciando busca para: ${nomeEmpresa}`);
     
-    // Formata o nome da empresa para URL
-    // Exemplo: "Banco do Brasil" -> "banco-do-brasil"
-    const empresaFormatada = nomeEmpresa
-      .toLowerCase()
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '') // Remove acentos
-      .replace(/[^\w\s]/g, '') // Remove caracteres especiais
-      .replace(/\s+/g, '-'); // Substitui espaços por hífen
+    // Usa o slug resolvido pela pesquisa; sem ele, deriva do nome
+    const empresaFormatada = slug || gerarSlug(nomeEmpresa);
 
     // Monta a URL de busca
     const urlBusca = `${CONFIG.BASE_URL}/empresa/${empresaFormatada}/lista-reclamacoes/`;
     
     console.log(`📡 URL de busca: ${urlBusca}`);
 
-    // Faz a requisição HTTP
-    const resposta = await axios.get(urlBusca, {
-      headers: {
-        'User-Agent': CONFIG.USER_AGENT,
-        'Accept': 'text/html,application/xhtml+xml,application/xml',
-        'Accept-Language': 'pt-BR,pt;q=0.9',
-      },
-      timeout: 10000 // 10 segundos de timeout
-    });
-
-    // Carrega o HTML com cheerio (jQuery para Node.js)
-    const $ = cheerio.load(resposta.data);
-    
     const reclamacoes = [];
+    const idsVistos = new Set(); // Evita repetidos quando a lista "anda" entre páginas
+    let pagina = 0;
+    let motivoParada = null;
 
-    // ========================================
-    // EXTRAI AS RECLAMAÇÕES
-    // ========================================
-    // NOTA: Os seletores CSS abaixo podem mudar se o
-    // Reclame Aqui alterar o layout do site!
-    
-    // Busca cada card de reclamação
-    $('.sc-1pe7b5t-0').each((index, elemento) => {
-      if (index >= CONFIG.MAX_RECLAMACOES) return false; // Limite atingido
-
-      const item = $(elemento);
-
-      // Extrai os dados
-      const titulo = item.find('[data-testid="complaint-title"]').text().trim();
-      const descricao = item.find('[data-testid="complaint-description"]').text().trim();
-      const status = item.find('[data-testid="complaint-status"]').text().trim();
-      const data = item.find('[data-testid="complaint-creation-date"]').text().trim();
-      const local = item.find('[data-testid="complaint-location"]').text().trim();
-      const id = item.find('a').attr('href')?.split('/').pop() || null;
-
-      // Só adiciona se tiver título
-      if (titulo) {
-        reclamacoes.push({
-          id: id,
-          titulo: titulo,
-          descricao: descricao || 'Sem descrição',
-          status: status || 'Não informado',
-          data: data || new Date().toISOString(),
-          local: local || 'Não informado',
-          empresa: nomeEmpresa,
-          link: id ? `${CONFIG.BASE_URL}/reclamacao/${id}` : null,
-          coletadoEm: new Date().toISOString()
-        });
+    while (!motivoParada) {
+      if (pagina >= maxPaginas) {
+        motivoParada = MOTIVOS_PARADA.LIMITE_PAGINAS;
+        break;
       }
-    });
 
-    console.log(`✅ Encontradas ${reclamacoes.length} reclamações`);
+      if (reclamacoes.length >= maxReclamacoes) {
+        motivoParada = MOTIVOS_PARADA.LIMITE_RECLAMACOES;
+        break;
+      }
+
+      pagina++;
+
+      // Espera entre as páginas para não sobrecarregar o site
+      if (pagina > 1) {
+        await esperar(CONFIG.DELAY);
+      }
+
+      const urlPagina = pagina === 1 ? urlBusca : `${urlBusca}?pagina=${pagina}`;
+
+      let $;
+      try {
+        $ = await baixarPagina(urlPagina);
+      } catch (erro) {
+        // A primeira página é obrigatória; nas seguintes, fica com o que já foi coletado
+        if (pagina === 1) throw erro;
+
+        console.error(`⚠️  Falha na página ${pagina}, interrompendo paginação:`, erro.message);
+        motivoParada = MOTIVOS_PARADA.ERRO_PAGINACAO;
+        break;
+      }
+
+      const daPagina = extrairReclamacoes($, nomeEmpresa);
+
+      if (daPagina.length === 0) {
+        motivoParada = MOTIVOS_PARADA.FIM_DA_LISTA;
+        break;
+      }
+
+      // Pergunta de uma vez quais ids desta página já estão no banco
+      const idsDaPagina = daPagina.map(reclamacao => reclamacao.id).filter(Boolean);
+      const existentes = verificarExistentes && idsDaPagina.length > 0
+        ? await verificarExistentes(idsDaPagina)
+        : new Set();
+
+      let alcancouConhecidas = false;
+
+      for (const reclamacao of daPagina) {
+        if (reclamacao.id && idsVistos.has(reclamacao.id)) continue;
+
+        if (reclamacoes.length >= maxReclamacoes) {
+          motivoParada = MOTIVOS_PARADA.LIMITE_RECLAMACOES;
+          break;
+        }
+
+        // As já conhecidas continuam no resultado para que o banco
+        // possa atualizar status/texto que mudaram desde a última coleta
+        reclamacao.conhecida = Boolean(reclamacao.id && existentes.has(reclamacao.id));
+        if (reclamacao.conhecida) alcancouConhecidas = true;
+
+        if (reclamacao.id) idsVistos.add(reclamacao.id);
+        reclamacoes.push(reclamacao);
+      }
+
+      // A lista vem da mais nova para a mais antiga: depois desta página já temos tudo
+      if (!motivoParada && alcancouConhecidas) {
+        motivoParada = MOTIVOS_PARADA.ALCANCOU_CONHECIDAS;
+      }
+
+      console.log(`📄 Página ${pagina}: ${daPagina.length} cards (${reclamacoes.length} acumuladas)`);
+    }
+
+    const limiteAtingido = motivoParada === MOTIVOS_PARADA.LIMITE_PAGINAS ||
+      motivoParada === MOTIVOS_PARADA.LIMITE_RECLAMACOES;
+
+    console.log(`✅ Encontradas ${reclamacoes.length} reclamações em ${pagina} página(s) (${motivoParada})`);
     
-    return reclamacoes;
+    return {
+      reclamacoes,
+      paginas: pagina,
+      motivoParada,
+      limiteAtingido
+    };
 
   } catch (erro) {
     console.error('❌ Erro ao buscar reclamações:', erro.message);
-    
-    // Trata erros específicos
-    if (erro.response) {
-      // O servidor respondeu com erro
-      console.error(`Status: ${erro.response.status}`);
-      if (erro.response.status === 404) {
-        throw new Error('Empresa não encontrada no Reclame Aqui');
-      } else if (erro.response.status === 403) {
-        throw new Error('Acesso bloqueado pelo Reclame Aqui');
-      }
-    } else if (erro.request) {
-      // A requisição foi feita mas não houve resposta
-      throw new Error('Sem resposta do servidor');
+
+    // baixarPagina já converte os erros HTTP em erros tipados (ver erros.js)
+    if (erro.statusHttp) {
+      console.error(`Status: ${erro.statusHttp}`);
     }
     
     throw erro;
@@ -131,73 +348,243 @@ async function buscarReclamacoes(nomeEmpresa) {
 }
 
 // ========================================
-// FUNÇÃO ALTERNATIVA - BUSCA POR PESQUISA
+// DETALHES DE UMA RECLAMAÇÃO
 // ========================================
-// Caso a URL direta não funcione, esta função
-// faz uma busca pelo nome da empresa primeiro
-async function buscarPorPesquisa(nomeEmpresa) {
-  try {
-    console.log(`\n🔎 Buscando empresa por pesquisa: ${nomeEmpresa}`);
-    
-    const urlPesquisa = `${CONFIG.BASE_URL}/busca/?q=${encodeURIComponent(nomeEmpresa)}`;
-    
-    const resposta = await axios.get(urlPesquisa, {
-      headers: {
-        'User-Agent': CONFIG.USER_AGENT
-      }
+// Abre a página /reclamacao/:id e extrai o texto completo,
+// a conversa entre empresa e consumidor e a avaliação final.
+// NOTA: assim como na lista, os seletores podem mudar
+// se o Reclame Aqui alterar o layout!
+async function buscarDetalhesReclamacao(link) {
+  const $ = await baixarPagina(link);
+
+  const textoCompleto = $('[data-testid="complaint-description"]').first().text().trim();
+
+  // Status atual: a lista só é percorrida até as já conhecidas, então
+  // é por aqui que as antigas chegam a "Respondida", "Resolvido"...
+  const status = $('[data-testid="complaint-status"]').first().text().trim();
+
+  // Resposta da empresa, réplicas e considerações do consumidor, em ordem
+  const interacoes = [];
+  $('[data-testid="complaint-interaction"]').each((index, elemento) => {
+    const item = $(elemento);
+    const tipo = item.find('[data-testid="complaint-interaction-title"]').text().trim();
+    const texto = item.find('[data-testid="complaint-interaction-text"]').text().trim();
+    const data = item.find('[data-testid="complaint-interaction-date"]').text().trim();
+
+    if (!texto) return;
+
+    interacoes.push({
+      ordem: interacoes.length + 1,
+      // Ex: "Resposta da empresa" x "Réplica do consumidor"
+      autor: /empresa/i.test(tipo) ? 'empresa' : 'consumidor',
+      tipo: tipo || null,
+      texto: texto,
+      data: data || null
     });
+  });
 
-    const $ = cheerio.load(resposta.data);
-    
-    // Busca o primeiro resultado (a empresa)
-    const primeiroResultado = $('.company-card').first();
-    const linkEmpresa = primeiroResultado.find('a').attr('href');
-    
-    if (!linkEmpresa) {
-      throw new Error('Empresa não encontrada');
+  // Avaliação final (só existe depois que o consumidor avalia)
+  const avaliacao = $('[data-testid="complaint-evaluation"]');
+  const textoVoltaria = avaliacao.find('[data-testid="complaint-deal-again"]').text().trim();
+  const textoNota = avaliacao.find('[data-testid="complaint-score"]').text().trim();
+  const textoResolvido = avaliacao.find('[data-testid="complaint-solved"]').text().trim() ||
+    $('[data-testid="complaint-status"]').first().text().trim();
+
+  let voltariaNegocio = null;
+  if (/^sim/i.test(textoVoltaria)) voltariaNegocio = true;
+  else if (/^n[ãa]o/i.test(textoVoltaria)) voltariaNegocio = false;
+
+  const nota = parseInt(textoNota);
+
+  // "Não resolvido" também contém "resolvido", por isso testa a negação primeiro
+  let resolvido = null;
+  if (/n[ãa]o\s+resolvid/i.test(textoResolvido)) resolvido = false;
+  else if (/resolvid/i.test(textoResolvido)) resolvido = true;
+
+  return {
+    textoCompleto: textoCompleto || null,
+    status: status || null,
+    interacoes,
+    avaliacao: {
+      voltariaNegocio,
+      nota: Number.isNaN(nota) ? null : nota,
+      comentario: avaliacao.find('[data-testid="complaint-evaluation-text"]').text().trim() || null
+    },
+    resolvido
+  };
+}
+
+// ========================================
+// DETALHES EM LOTE
+// ========================================
+// Busca os detalhes de várias reclamações respeitando o DELAY.
+// Uma falha não interrompe o lote: o item volta com `erro`
+async function buscarDetalhesEmLote(reclamacoes) {
+  const resultados = [];
+
+  for (let i = 0; i < reclamacoes.length; i++) {
+    const reclamacao = reclamacoes[i];
+
+    if (i > 0) {
+      await esperar(CONFIG.DELAY);
     }
 
-    console.log(`✅ Empresa encontrada: ${linkEmpresa}`);
-    
-    // Agora busca as reclamações da empresa
-    return await buscarReclamacoesDeURL(`${CONFIG.BASE_URL}${linkEmpresa}lista-reclamacoes/`);
-    
-  } catch (erro) {
-    console.error('❌ Erro na busca por pesquisa:', erro.message);
-    throw erro;
+    try {
+      const detalhes = await buscarDetalhesReclamacao(reclamacao.link);
+      resultados.push({ reclamacao, detalhes });
+    } catch (erro) {
+      console.error(`⚠️  Falha ao buscar detalhes de ${reclamacao.link}:`, erro.message);
+      resultados.push({ reclamacao, erro: erro.message });
+    }
   }
+
+  return resultados;
 }
 
 // ========================================
-// FUNÇÃO AUXILIAR - Busca de URL específica
+// FUNÇÕES AUXILIARES - Números da página da empresa
 // ========================================
-async function buscarReclamacoesDeURL(url) {
-  const resposta = await axios.get(url, {
-    headers: {
-      'User-Agent': CONFIG.USER_AGENT
+// "95,3%" -> 95.3 | "8.4" -> 8.4 | "" -> null
+function lerNumero(texto) {
+  const numero = parseFloat((texto || '').replace('%', '').replace(',', '.').trim());
+  return Number.isNaN(numero) ? null : numero;
+}
+
+// "1 dia e 5 horas" / "13 horas" / "2h 10min" -> segundos (ou null)
+function lerDuracao(texto) {
+  const unidades = [
+    { regex: /(\d+)\s*(dias?|d)\b/i, segundos: 24 * 60 * 60 },
+    { regex: /(\d+)\s*(horas?|h)\b/i, segundos: 60 * 60 },
+    { regex: /(\d+)\s*(minutos?|min)\b/i, segundos: 60 }
+  ];
+
+  let total = null;
+  for (const unidade of unidades) {
+    const encontrado = (texto || '').match(unidade.regex);
+    if (encontrado) {
+      total = (total || 0) + parseInt(encontrado[1]) * unidade.segundos;
     }
-  });
+  }
 
-  const $ = cheerio.load(resposta.data);
-  const reclamacoes = [];
+  return total;
+}
 
-  $('.sc-1pe7b5t-0').each((index, elemento) => {
-    if (index >= CONFIG.MAX_RECLAMACOES) return false;
+// ========================================
+// REPUTAÇÃO DA EMPRESA
+// ========================================
+// Lê os indicadores exibidos na página da empresa
+// (/empresa/:slug/). NOTA: seletores sujeitos a mudança!
+async function buscarReputacao(nomeEmpresa, opcoes = {}) {
+  const slug = opcoes.slug || gerarSlug(nomeEmpresa);
+  const $ = await baixarPagina(`${CONFIG.BASE_URL}/empresa/${slug}/`);
+
+  const texto = (testId) => $(`[data-testid="${testId}"]`).first().text().trim();
+  const tempoMedio = texto('reputation-response-time');
+
+  return {
+    empresa: nomeEmpresa,
+    classificacao: texto('reputation-label') || null,      // Ex: "ÓTIMO"
+    notaReputacao: lerNumero(texto('reputation-score')),
+    taxaResposta: lerNumero(texto('reputation-response-rate')),
+    taxaSolucao: lerNumero(texto('reputation-solution-rate')),
+    voltariaNegocio: lerNumero(texto('reputation-deal-again')),
+    notaConsumidor: lerNumero(texto('reputation-consumer-score')),
+    tempoMedioResposta: tempoMedio || null,
+    tempoMedioRespostaSegundos: lerDuracao(tempoMedio),
+    coletadoEm: new Date().toISOString()
+  };
+}
+
+// ========================================
+// PESQUISAR EMPRESAS
+// ========================================
+// Usa a página de busca do site para descobrir o slug real
+// de uma empresa. Retorna a lista de candidatas:
+// [{ nome, slug, url, reputacao, nota }]
+async function buscarEmpresas(termo) {
+  console.log(`\n🔎 Pesquisando empresas: ${termo}`);
+
+  const urlPesquisa = `${CONFIG.BASE_URL}/busca/?q=${encodeURIComponent(termo)}`;
+  const $ = await baixarPagina(urlPesquisa);
+
+  const candidatas = [];
+  const slugsVistos = new Set();
 
+  // NOTA: seletores sujeitos a mudança no layout do site!
+  $('.company-card').each((index, elemento) => {
     const item = $(elemento);
-    const titulo = item.find('[data-testid="complaint-title"]').text().trim();
-    const descricao = item.find('[data-testid="complaint-description"]').text().trim();
+    const href = item.find('a').attr('href') || '';
 
-    if (titulo) {
-      reclamacoes.push({
-        titulo,
-        descricao,
-        coletadoEm: new Date().toISOString()
-      });
-    }
+    // Ex: "/empresa/magazine-luiza-loja-online/"
+    const slug = (href.match(/\/empresa\/([^/?#]+)/) || [])[1];
+    if (!slug || slugsVistos.has(slug)) return;
+    slugsVistos.add(slug);
+
+    const nome = item.find('[data-testid="company-name"]').text().trim() || slug;
+    const reputacao = item.find('[data-testid="company-reputation"]').text().trim();
+    const nota = parseFloat(item.find('[data-testid="company-score"]').text().trim().replace(',', '.'));
+
+    candidatas.push({
+      nome: nome,
+      slug: slug,
+      url: `${CONFIG.BASE_URL}/empresa/${slug}/`,
+      reputacao: reputacao || null,
+      nota: Number.isNaN(nota) ? null : nota
+    });
   });
 
-  return reclamacoes;
+  console.log(`✅ ${candidatas.length} empresas encontradas`);
+  return candidatas;
+}
+
+// ========================================
+// RESOLVER SLUG
+// ========================================
+// Procura uma única candidata com o mesmo nome (sem acentos/caixa).
+// Não adivinha: sem correspondência exata (ou com mais de uma)
+// retorna slug null e quem chamou escolhe entre as candidatas.
+// Falhas da pesquisa sobem para quem chamou.
+// Retorna { slug, candidatas }
+async function resolverSlug(nomeEmpresa) {
+  const candidatas = await buscarEmpresas(nomeEmpresa);
+  const encontradas = escolherCandidata(nomeEmpresa, candidatas);
+
+  return {
+    slug: encontradas.length === 1 ? encontradas[0].slug : null,
+    candidatas: candidatas
+  };
+}
+
+// Candidatas cujo nome bate com o pesquisado
+function escolherCandidata(nomeEmpresa, candidatas) {
+  const alvo = gerarSlug(nomeEmpresa);
+  return candidatas.filter(candidata => gerarSlug(candidata.nome) === alvo);
+}
+
+// ========================================
+// FUNÇÃO ALTERNATIVA - BUSCA POR PESQUISA
+// ========================================
+// Caso a URL direta não funcione, esta função
+// faz uma busca pelo nome da empresa primeiro.
+// Usa o resolverSlug: sem uma candidata com exatamente esse nome,
+// não busca nada e lança ErroEmpresaNaoEncontrada
+async function buscarPorPesquisa(nomeEmpresa, opcoes = {}) {
+  try {
+    const { slug } = await resolverSlug(nomeEmpresa);
+
+    if (!slug) {
+      throw new ErroEmpresaNaoEncontrada();
+    }
+
+    console.log(`✅ Empresa encontrada: ${nomeEmpresa} (${slug})`);
+    
+    // Agora busca as reclamações da empresa pelo fluxo normal
+    return await buscarReclamacoes(nomeEmpresa, { ...opcoes, slug: slug });
+    
+  } catch (erro) {
+    console.error('❌ Erro na busca por pesquisa:', erro.message);
+    throw erro;
+  }
 }
 
 // ========================================
@@ -205,5 +592,18 @@ async function buscarReclamacoesDeURL(url) {
 // ========================================
 module.exports = {
   buscarReclamacoes,
-  buscarPorPesquisa
+  buscarDetalhesReclamacao,
+  buscarDetalhesEmLote,
+  buscarReputacao,
+  buscarEmpresas,
+  resolverSlug,
+  gerarSlug,
+  buscarPorPesquisa,
+  MOTIVOS_PARADA,
+  // Auxiliares exportados para os testes
+  lerRetryAfter,
+  converterErroHttp,
+  calcularEspera,
+  escolherCandidata,
+  extrairReclamacoes
 };
@@ -0,0 +1,167 @@
+// ========================================
+// SENTIMENTO - TOM E GRAVIDADE DAS RECLAMAÇÕES
+// ========================================
+// Este arquivo dá a cada reclamação uma nota de sentimento
+// (-1 muito negativo, 0 neutro, 1 positivo) e uma severidade de
+// 0 a 100, com um léxico em português que roda localmente.
+// Trata negação ("não resolveram"), intensificadores ("muito
+// ruim") e sobe a severidade com termos jurídicos (Procon, advogado)
+
+// ========================================
+// LÉXICO
+// ========================================
+// Palavras sem acento e em minúsculas, com peso de -4 a 4.
+// Entradas com 5 letras ou mais valem como radical:
+// "enganad" pega "enganado", "enganada", "enganados"
+const LEXICO = {
+  // Negativas
+  pessim: -4, horrivel: -4, terrivel: -4, golpe: -4, fraude: -4, roubo: -4,
+  roubad: -4, ladrao: -4, ladroes: -4, criminos: -4,
+  absurd: -3, ridicul: -3, lamentavel: -3, vergonh: -3, descaso: -3,
+  desrespeit: -3, palhacada: -3, enganad: -3, enganacao: -3, mentira: -3,
+  mentiram: -3, raiva: -3, indignad: -3, revoltad: -3, furios: -3, abusiv: -3,
+  lixo: -3, porcaria: -3, humilhad: -3, inadmissivel: -3, inaceitavel: -3,
+  incompetent: -3, irresponsav: -3, pior: -3,
+  ruim: -2, decepcionad: -2, decepcao: -2, insatisfeit: -2, frustrad: -2,
+  defeito: -2, quebrad: -2, indevid: -2, prejuizo: -2, descumpr: -2,
+  ignorad: -2, desaparec: -2, perdid: -2, cansad: -2, chatead: -2,
+  problema: -1, atraso: -1, atrasad: -1, demora: -1, demorad: -1,
+  mal: -1, dificil: -1, esperando: -1,
+  // Positivas
+  excelente: 4, perfeit: 3, otimo: 3, otima: 3, parabens: 3,
+  bom: 2, boa: 2, resolvid: 2, resolveram: 2, resolveu: 2, solucionad: 2,
+  atencios: 2, educad: 2, satisfeit: 2, agradec: 2, eficient: 2,
+  gostei: 2, recomendo: 2,
+  rapid: 1, obrigad: 1, funciona: 1, ajudou: 1, cordial: 1
+};
+
+const RADICAIS = Object.keys(LEXICO)
+  .filter(palavra => palavra.length >= 5)
+  .sort((a, b) => b.length - a.length);
+
+// Invertem (e atenuam) o sentimento das próximas palavras
+const NEGACOES = new Set(['nao', 'nunca', 'jamais', 'nem', 'nenhum', 'nenhuma', 'sem']);
+const JANELA_NEGACAO = 3;
+const FATOR_NEGACAO = -0.75;
+
+// Multiplicam o peso da próxima palavra com sentimento
+const INTENSIFICADORES = {
+  muito: 1.5, muita: 1.5, super: 1.5, bem: 1.3, tao: 1.5, mais: 1.2,
+  totalmente: 1.6, completamente: 1.6, extremamente: 2, absurdamente: 2,
+  pouco: 0.5, meio: 0.7, quase: 0.7
+};
+const JANELA_INTENSIFICADOR = 2;
+
+// Menção a órgãos, processo ou advogado indica reclamação prestes
+// a escalar. Casam no início de palavra, como os termos das categorias
+const TERMOS_JURIDICOS = [
+  'procon', 'advogad', 'processo', 'processar', 'justica', 'juizado', 'judicia',
+  'pequenas causas', 'danos morais', 'dano moral', 'indenizacao', 'boletim de ocorrencia',
+  'delegacia', 'policia', 'ministerio publico', 'consumidor.gov', 'anatel', 'bacen',
+  'banco central', 'codigo de defesa do consumidor', 'cdc'
+];
+
+const EXPRESSAO_JURIDICA = new RegExp(
+  `(^|[^a-z0-9])(${TERMOS_JURIDICOS.map(termo => termo.replace(/\./g, '\\.')).join('|')})`,
+  'g'
+);
+
+// Quanto a soma bruta precisa crescer para o sentimento se aproximar de -1/1
+const NORMALIZACAO = 15;
+
+function normalizar(texto) {
+  return (texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function pesoDaPalavra(palavra) {
+  if (Object.prototype.hasOwnProperty.call(LEXICO, palavra)) return LEXICO[palavra];
+
+  const radical = RADICAIS.find(inicio => palavra.startsWith(inicio));
+  return radical ? LEXICO[radical] : 0;
+}
+
+// ========================================
+// SOMA DO SENTIMENTO
+// ========================================
+// Recebe as palavras de um trecho. Negação e intensificador não
+// atravessam pontuação: em "nunca mais compro, absurdo" o
+// "absurdo" continua negativo
+function somarSentimento(palavras) {
+  let soma = 0;
+  let ultimaNegacao = -Infinity;
+  let ultimoIntensificador = -Infinity;
+  let fator = 1;
+
+  palavras.forEach((palavra, indice) => {
+    if (NEGACOES.has(palavra)) {
+      ultimaNegacao = indice;
+      return;
+    }
+
+    if (INTENSIFICADORES[palavra]) {
+      ultimoIntensificador = indice;
+      fator = INTENSIFICADORES[palavra];
+      return;
+    }
+
+    let peso = pesoDaPalavra(palavra);
+    if (peso === 0) return;
+
+    if (indice - ultimoIntensificador <= JANELA_INTENSIFICADOR) {
+      peso *= fator;
+      ultimoIntensificador = -Infinity;
+    }
+
+    if (indice - ultimaNegacao <= JANELA_NEGACAO) {
+      peso *= FATOR_NEGACAO;
+    }
+
+    soma += peso;
+  });
+
+  return soma;
+}
+
+// ========================================
+// ANALISAR RECLAMAÇÃO
+// ========================================
+// Retorna { sentimento, severidade, termosJuridicos }
+//   sentimento: -1 a 1 (3 casas)
+//   severidade: 0 a 100. Soma o quanto é negativa (até 60), os
+//   termos jurídicos (20 cada, até 40) e a ênfase do texto
+//   (exclamações e palavras em caixa alta, até 10)
+function analisarSentimento(reclamacao) {
+  const original = `${reclamacao.titulo || ''}\n${reclamacao.descricao || ''}`;
+  const texto = normalizar(original);
+  const soma = texto
+    .split(/[.,;:!?\n]+/)
+    .reduce((total, trecho) => total + somarSentimento(trecho.split(/[^a-z0-9]+/).filter(Boolean)), 0);
+  const sentimento = Math.round((soma / Math.sqrt(soma * soma + NORMALIZACAO)) * 1000) / 1000;
+
+  const termosJuridicos = new Set();
+  for (const encontrado of texto.matchAll(EXPRESSAO_JURIDICA)) {
+    termosJuridicos.add(encontrado[2]);
+  }
+
+  const exclamacoes = (original.match(/!/g) || []).length;
+  const caixaAlta = original
+    .split(/[\s.,;:!?()"'/-]+/)
+    .filter(palavra => palavra.length >= 4 && palavra === palavra.toUpperCase() && palavra !== palavra.toLowerCase())
+    .length;
+  const enfase = Math.min(exclamacoes, 5) + Math.min(caixaAlta, 5);
+
+  const severidade = Math.min(100, Math.round(
+    Math.max(0, -sentimento) * 60 +
+    Math.min(termosJuridicos.size, 2) * 20 +
+    Math.min(enfase, 5) * 2
+  ));
+
+  return { sentimento, severidade, termosJuridicos: Array.from(termosJuridicos) };
+}
+
+module.exports = {
+  analisarSentimento
+};
@@ -8,8 +8,106 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
-const { iniciarMonitoramento, pararMonitoramento, obterReclamacoes } = require('./scheduler');
-const { buscarReclamacoesDB, salvarConfiguracao, obterConfiguracoes } = require('./database');
+const {
+  ORIGENS,
+  INTERVALOS,
+  executarMonitoramento,
+  sincronizarMonitoramento,
+  statusMonitoramento,
+  listarMonitoramentos,
+  verificarConsistencia,
+  restaurarMonitoramentos,
+  iniciarRelatorios,
+  obterReclamacoes
+} = require('./scheduler');
+const {
+  buscarReclamacoesDB,
+  listarReclamacoes,
+  buscarReclamacoesTexto,
+  buscarReclamacaoCompleta,
+  buscarHistoricoReclamacao,
+  salvarConfiguracao,
+  buscarConflitoSlug,
+  obterConfiguracoes,
+  desativarMonitoramento,
+  empresaDoWorkspace,
+  listarExecucoes,
+  buscarSerieReputacao,
+  obterEstatisticas,
+  obterResumoPeriodo,
+  obterVolumeReclamacoes,
+  obterEstatisticasRegioes,
+  criarWebhook,
+  listarWebhooks,
+  obterWebhook,
+  atualizarWebhook,
+  removerWebhook,
+  listarEntregas,
+  criarRelatorio,
+  listarRelatorios,
+  obterRelatorio,
+  atualizarRelatorio,
+  removerRelatorio,
+  criarRegraAlerta,
+  listarRegrasAlerta,
+  obterRegraAlerta,
+  atualizarRegraAlerta,
+  removerRegraAlerta,
+  listarAlertas,
+  alterarStatusAlerta,
+  corrigirCategorias,
+  treinarModeloCategorias,
+  buscarReclamacoesSimilares,
+  buscarTendencias,
+  listarAnomalias,
+  criarWorkspace,
+  listarWorkspaces,
+  criarChaveApi,
+  listarChavesApi,
+  revogarChaveApi
+} = require('./database');
+const { EVENTOS, gerarSegredo, iniciarReenvios } = require('./webhooks');
+const { buscarEmpresas, resolverSlug } = require('./scraper');
+const { validarUf } = require('./locais');
+const { limiteDoDia } = require('./datas');
+const { FORMATOS, exportarReclamacoes } = require('./exportacao');
+const { FREQUENCIAS, montarRelatorio, renderizarTexto, renderizarHtml, enviarRelatorio } = require('./relatorios');
+const { SEVERIDADES, TIPOS_REGRA, validarParametros } = require('./alertas');
+const { GRANULARIDADES } = require('./anomalias');
+const { CONFIG: CONFIG_CATEGORIAS, listarCategorias, modeloAtivo } = require('./categorias');
+const {
+  CONFIG: CONFIG_AUTH,
+  PAPEIS,
+  gerarChaveApi,
+  emitirToken,
+  autenticar,
+  exigirPapel,
+  exigirChaveMestra,
+  resolverWorkspace,
+  autorizarPorMetodo,
+  opcoesCors
+} = require('./auth');
+const {
+  ErroApi,
+  ErroNaoEncontrado,
+  ErroConflito,
+  statusApiDoScraper,
+  descreverErro
+} = require('./erros');
+const {
+  validar,
+  texto,
+  opcao,
+  inteiro,
+  numero,
+  booleano,
+  data,
+  email,
+  urlHttp,
+  objeto,
+  lista,
+  erroDeCampo
+} = require('./validacao');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,11 +117,73 @@ const PORT = process.env.PORT || 3000;
 // ========================================
 
 // Permite que o frontend se comunique com o backend
-app.use(cors());
+// (só as origens de CORS_ORIGENS; sem ela, só a mesma origem)
+app.use(cors(opcoesCors()));
 
 // Permite receber dados em JSON
 app.use(express.json());
 
+// ========================================
+// RESPOSTAS DE ERRO
+// ========================================
+// Todo erro sai no mesmo formato:
+//   { sucesso: false, erro: { codigo, mensagem, detalhes? } }
+// Erros conhecidos (validação, não encontrado, scraper...) usam o
+// status e o código deles; o resto vira 500 ERRO_INTERNO, com o
+// detalhe só no log
+function responderErro(res, erro, contexto = 'Erro ao processar requisição') {
+  const conhecido = descreverErro(erro);
+
+  if (!conhecido || conhecido.status >= 500) {
+    console.error(`${contexto}:`, erro);
+  }
+
+  // Com a resposta já começada (ex: exportação) não dá para trocar por JSON
+  if (res.headersSent) {
+    return res.destroy(erro);
+  }
+
+  if (!conhecido) {
+    return res.status(500).json({
+      sucesso: false,
+      erro: { codigo: 'ERRO_INTERNO', mensagem: contexto }
+    });
+  }
+
+  if (conhecido.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(conhecido.retryAfterMs / 1000)));
+  }
+
+  res.status(conhecido.status).json({
+    sucesso: false,
+    erro: {
+      codigo: conhecido.codigo,
+      mensagem: conhecido.mensagem,
+      ...(conhecido.detalhes && { detalhes: conhecido.detalhes })
+    }
+  });
+}
+
+// ========================================
+// ESQUEMAS COMUNS
+// ========================================
+// Limites de tamanho e valores aceitos das entradas que se repetem
+// entre as rotas (ver validacao.js)
+const ID = inteiro({ obrigatorio: true, min: 1, max: 2147483647 });
+const EMPRESA = texto({ max: 200 });
+const SLUG_EMPRESA = texto({
+  max: 200,
+  minusculas: true,
+  formato: /^[a-z0-9][a-z0-9-]*$/,
+  descricao: 'deve ter só letras minúsculas, números e hífen'
+});
+const PARAMS_ID = { id: ID };
+const PARAMS_EMPRESA = { empresa: EMPRESA };
+
+function campoLimite(padrao, max) {
+  return inteiro({ min: 1, max, padrao });
+}
+
 // ========================================
 // ROTAS DA API
 // ========================================
@@ -36,39 +196,257 @@ app.get('/', (req, res) => {
   });
 });
 
+// ========================================
+// AUTENTICAÇÃO
+// ========================================
+// POST /api/auth/token
+// Troca uma chave de API (de qualquer papel) por um JWT de curta
+// duração. Fica antes do middleware geral porque viewer também usa
+app.post('/api/auth/token', autenticar, (req, res, next) => {
+  if (!CONFIG_AUTH.JWT_SEGREDO) {
+    return next(new ErroApi('JWT desativado: defina JWT_SEGREDO', { codigo: 'JWT_DESATIVADO', status: 503 }));
+  }
+
+  if (req.usuario.tipo !== 'chave' || req.usuario.global) {
+    return next(new ErroApi('Use uma chave de API de um workspace para obter um token', {
+      codigo: 'CREDENCIAL_NAO_PERMITIDA',
+      status: 400
+    }));
+  }
+
+  res.json({
+    sucesso: true,
+    token: emitirToken(req.usuario),
+    expiraEm: CONFIG_AUTH.JWT_EXPIRACAO,
+    papel: req.usuario.papel
+  });
+});
+
+// Tudo em /api exige chave ou token e age sobre um workspace
+// (req.workspace); escrita exige papel admin
+app.use('/api', autenticar, resolverWorkspace, autorizarPorMetodo);
+
+// GET /api/auth/eu - Quem está autenticado e em qual workspace
+app.get('/api/auth/eu', (req, res) => {
+  res.json({ sucesso: true, usuario: req.usuario, workspace: req.workspace });
+});
+
+// ========================================
+// WORKSPACES
+// ========================================
+// Cada time tem o seu workspace: configurações, webhooks, relatórios,
+// alertas e chaves próprios. Uma empresa monitorada por vários
+// workspaces é coletada uma vez só
+
+// POST /api/workspaces (só a chave mestra)
+// Body: { "slug": "time-cobranca", "nome": "Time de Cobrança" }
+// Depois, crie as chaves dele com X-Workspace: time-cobranca
+const ESQUEMA_WORKSPACE = {
+  body: {
+    slug: texto({
+      obrigatorio: true,
+      formato: /^[a-z0-9][a-z0-9-]{1,98}$/,
+      descricao: 'deve ter de 2 a 99 letras minúsculas, números e hífen'
+    }),
+    nome: texto({ max: 200 })
+  }
+};
+
+app.post('/api/workspaces', exigirChaveMestra, validar(ESQUEMA_WORKSPACE), async (req, res) => {
+  try {
+    const { slug, nome } = req.body;
+
+    const workspace = await criarWorkspace({ slug, nome: nome || slug });
+    if (!workspace) {
+      throw new ErroConflito('WORKSPACE_JA_EXISTE', `Workspace ${slug} já existe`);
+    }
+
+    res.status(201).json({ 
+      sucesso: true,
+      workspace: workspace 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao criar workspace');
+  }
+});
+
+// GET /api/workspaces
+// A chave mestra vê todos; as demais, só o próprio
+app.get('/api/workspaces', async (req, res) => {
+  try {
+    const workspaces = (await listarWorkspaces())
+      .filter(workspace => req.usuario.global || workspace.id === req.workspace.id);
+
+    res.json({ 
+      sucesso: true,
+      total: workspaces.length,
+      workspaces: workspaces 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar workspaces');
+  }
+});
+
+// Rotas com :empresa só valem para empresas que o workspace
+// monitora (ou já monitorou)
+function erroEmpresaNaoMonitorada(empresa) {
+  return new ErroNaoEncontrado(
+    'EMPRESA_NAO_MONITORADA',
+    `A empresa ${empresa} não está cadastrada no monitoramento`
+  );
+}
+
+async function exigirEmpresaDoWorkspace(req, res, next) {
+  try {
+    if (!(await empresaDoWorkspace(req.workspace.id, req.params.empresa))) {
+      throw erroEmpresaNaoMonitorada(req.params.empresa);
+    }
+
+    next();
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao verificar empresa do workspace');
+  }
+}
+
+// ========================================
+// CHAVES DE API
+// ========================================
+// POST /api/auth/keys
+// Body: { "nome": "Painel BI", "papel": "viewer" }
+// A chave fica no workspace da requisição e em texto só aparece
+// nesta resposta
+const ESQUEMA_CHAVE_API = {
+  body: {
+    nome: texto({ obrigatorio: true, max: 100 }),
+    papel: opcao(Object.values(PAPEIS), { padrao: PAPEIS.VIEWER })
+  }
+};
+
+app.post('/api/auth/keys', validar(ESQUEMA_CHAVE_API), async (req, res) => {
+  try {
+    const { nome, papel } = req.body;
+
+    const { chave, prefixo, hash } = gerarChaveApi();
+    const registro = await criarChaveApi({ workspaceId: req.workspace.id, nome, prefixo, hash, papel });
+
+    console.log(`🔑 Chave de API criada: ${registro.nome} (${registro.papel}, ${req.workspace.slug}) por ${req.usuario.nome}`);
+
+    res.status(201).json({
+      sucesso: true,
+      mensagem: 'Guarde a chave agora: ela não será mostrada novamente',
+      chave,
+      dados: registro
+    });
+
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao criar chave de API');
+  }
+});
+
+// GET /api/auth/keys - Lista as chaves (sem o segredo)
+app.get('/api/auth/keys', exigirPapel(PAPEIS.ADMIN), async (req, res) => {
+  try {
+    const chaves = await listarChavesApi(req.workspace.id);
+
+    res.json({
+      sucesso: true,
+      total: chaves.length,
+      dados: chaves
+    });
+
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar chaves de API');
+  }
+});
+
+// DELETE /api/auth/keys/:id - Revoga a chave
+app.delete('/api/auth/keys/:id', validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const chave = await revogarChaveApi(req.params.id, req.workspace.id);
+    if (!chave) {
+      throw new ErroNaoEncontrado('CHAVE_NAO_ENCONTRADA', 'Chave não encontrada ou já revogada');
+    }
+
+    console.log(`🔒 Chave de API revogada: ${chave.nome} por ${req.usuario.nome}`);
+
+    res.json({
+      sucesso: true,
+      mensagem: 'Chave revogada',
+      dados: chave
+    });
+
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao revogar chave de API');
+  }
+});
+
 // ========================================
 // INICIAR MONITORAMENTO
 // ========================================
 // POST /api/monitoramento/iniciar
-// Body: { empresa: "Nome da Empresa", intervalo: "1h" }
-app.post('/api/monitoramento/iniciar', async (req, res) => {
+// Body: { empresa: "Nome da Empresa", intervalo: "1h", slug?: "slug-no-site" }
+// Sem slug, resolve pela pesquisa do site (ver /api/empresas/buscar).
+// Se nenhuma candidata tiver exatamente esse nome, responde 404
+// EMPRESA_NAO_ENCONTRADA com as candidatas em detalhes para o
+// cliente escolher e mandar o slug.
+// O job e as reclamações são compartilhados por slug: se o slug já é
+// monitorado com outro nome (ou o nome com outro slug), responde 409
+// SLUG_EM_CONFLITO dizendo o nome ou o slug já em uso
+const ESQUEMA_INICIAR = {
+  body: {
+    empresa: texto({ obrigatorio: true, max: 200 }),
+    intervalo: opcao(Object.keys(INTERVALOS), { obrigatorio: true, minusculas: true }),
+    slug: SLUG_EMPRESA
+  }
+};
+
+async function resolverSlugOuFalhar(empresa) {
+  const { slug, candidatas } = await resolverSlug(empresa);
+
+  if (!slug) {
+    throw new ErroApi(
+      candidatas.length > 0
+        ? `Não foi possível identificar "${empresa}" com segurança no Reclame Aqui: informe o slug de uma das candidatas`
+        : `Empresa "${empresa}" não encontrada no Reclame Aqui`,
+      { codigo: 'EMPRESA_NAO_ENCONTRADA', status: 404, detalhes: { candidatas } }
+    );
+  }
+
+  return slug;
+}
+
+app.post('/api/monitoramento/iniciar', validar(ESQUEMA_INICIAR), async (req, res) => {
   try {
     const { empresa, intervalo } = req.body;
 
-    // Validação simples
-    if (!empresa || !intervalo) {
-      return res.status(400).json({ 
-        erro: 'Empresa e intervalo são obrigatórios' 
-      });
+    const slug = req.body.slug || await resolverSlugOuFalhar(empresa);
+
+    const conflito = await buscarConflitoSlug(req.workspace.id, empresa, slug);
+    if (conflito) {
+      throw new ErroConflito(
+        'SLUG_EM_CONFLITO',
+        conflito.empresa === empresa
+          ? `"${empresa}" já é monitorada com o slug ${conflito.slug}`
+          : `O slug ${slug} já é monitorado como "${conflito.empresa}": use esse nome`
+      );
     }
 
-    // Salva a configuração no banco de dados
-    await salvarConfiguracao(empresa, intervalo);
+    // Salva a configuração do workspace no banco de dados
+    await salvarConfiguracao(req.workspace.id, empresa, intervalo, slug);
 
-    // Inicia o monitoramento automático
-    iniciarMonitoramento(empresa, intervalo);
+    // Inicia (ou ajusta) o job da empresa, que é um só para todos os
+    // workspaces: roda no intervalo mais frequente entre eles
+    const job = await sincronizarMonitoramento(empresa, { executarAgora: true, reiniciar: true });
 
     res.json({ 
       sucesso: true, 
       mensagem: `Monitoramento iniciado para ${empresa}`,
-      intervalo: intervalo
+      slug: slug,
+      intervalo: intervalo,
+      intervaloColeta: job.intervalo
     });
   } catch (erro) {
-    console.error('Erro ao iniciar monitoramento:', erro);
-    res.status(500).json({ 
-      erro: 'Erro ao iniciar monitoramento',
-      detalhes: erro.message 
-    });
+    responderErro(res, erro, 'Erro ao iniciar monitoramento');
   }
 });
 
@@ -77,28 +455,186 @@ app.post('/api/monitoramento/iniciar', async (req, res) => {
 // ========================================
 // POST /api/monitoramento/parar
 // Body: { empresa: "Nome da Empresa" }
-app.post('/api/monitoramento/parar', (req, res) => {
+app.post('/api/monitoramento/parar', validar({ body: { empresa: texto({ obrigatorio: true, max: 200 }) } }), async (req, res) => {
   try {
     const { empresa } = req.body;
 
-    if (!empresa) {
-      return res.status(400).json({ 
-        erro: 'Nome da empresa é obrigatório' 
-      });
+    // Desativa no banco, para que a configuração não volte a ser
+    // restaurada no próximo boot. O job só para se nenhum outro
+    // workspace acompanha a empresa
+    if (!(await desativarMonitoramento(req.workspace.id, empresa))) {
+      throw erroEmpresaNaoMonitorada(empresa);
     }
-
-    pararMonitoramento(empresa);
+    await sincronizarMonitoramento(empresa);
 
     res.json({ 
       sucesso: true, 
       mensagem: `Monitoramento parado para ${empresa}` 
     });
   } catch (erro) {
-    console.error('Erro ao parar monitoramento:', erro);
-    res.status(500).json({ 
-      erro: 'Erro ao parar monitoramento',
-      detalhes: erro.message 
+    responderErro(res, erro, 'Erro ao parar monitoramento');
+  }
+});
+
+// ========================================
+// DATAS EM QUERY STRING
+// ========================================
+// Limite final só com a data ("2024-03-31") inclui o dia inteiro
+function fimDoDia(valor) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(valor || '') ? `${valor}T23:59:59.999` : valor;
+}
+
+// ========================================
+// FILTROS COMUNS DE RECLAMAÇÕES
+// ========================================
+// Usados pela listagem, pela busca textual e pelas estatísticas,
+// sempre restritos às empresas do workspace. A query já passou
+// por FILTROS_RECLAMACOES (UF normalizada, datas e categoria válidas)
+const CATEGORIA = opcao(listarCategorias().map(categoria => categoria.id));
+
+const FILTROS_RECLAMACOES = {
+  empresa: EMPRESA,
+  status: texto({ max: 100 }),
+  uf: texto({ ajustar: validarUf, descricao: 'deve ser uma UF válida (ex: SP ou São Paulo)' }),
+  local: texto({ max: 200 }),
+  categoria: CATEGORIA,
+  coletado_de: data(),
+  coletado_ate: data(),
+  data_de: data(),
+  data_ate: data()
+};
+
+function lerFiltrosReclamacoes(query, workspaceId) {
+  const {
+    empresa, status, uf, local, categoria,
+    coletado_de, coletado_ate, data_de, data_ate
+  } = query;
+
+  return {
+    workspaceId,
+    empresa,
+    status,
+    uf,
+    local,
+    categoria,
+    coletadoDe: coletado_de,
+    coletadoAte: fimDoDia(coletado_ate),
+    dataDe: limiteDoDia(data_de) || data_de,
+    dataAte: limiteDoDia(data_ate, true) || data_ate
+  };
+}
+
+// ========================================
+// LISTAR RECLAMAÇÕES (FILTROS + CURSOR)
+// ========================================
+// GET /api/reclamacoes?empresa=&status=&uf=SP&local=&categoria=entrega&
+//     coletado_de=&coletado_ate=&data_de=&data_ate=&
+//     ordenar=coletado_em|data|empresa|status|severidade|sentimento&direcao=desc&limite=50&cursor=
+// Para a próxima página, repita a busca com cursor=proximo_cursor.
+// Mais graves primeiro: ordenar=severidade (desc) ou ordenar=sentimento&direcao=asc
+const ORDENACOES_RECLAMACOES = ['coletado_em', 'data', 'empresa', 'status', 'severidade', 'sentimento'];
+const DIRECOES = ['asc', 'desc'];
+
+const ESQUEMA_LISTAGEM = {
+  query: {
+    ...FILTROS_RECLAMACOES,
+    ordenar: opcao(ORDENACOES_RECLAMACOES, { padrao: 'coletado_em' }),
+    direcao: opcao(DIRECOES, { padrao: 'desc' }),
+    limite: campoLimite(50, 500),
+    cursor: texto({ max: 1000 })
+  }
+};
+
+app.get('/api/reclamacoes', validar(ESQUEMA_LISTAGEM), async (req, res) => {
+  try {
+    const { ordenar, direcao, limite, cursor } = req.query;
+    const filtros = lerFiltrosReclamacoes(req.query, req.workspace.id);
+
+    const resultado = await listarReclamacoes(filtros, { ordenar, direcao, limite, cursor });
+
+    res.json({ 
+      sucesso: true,
+      total: resultado.total,
+      limite: limite,
+      proximo_cursor: resultado.proximoCursor,
+      reclamacoes: resultado.reclamacoes 
+    });
+  } catch (erro) {
+    if (erro.codigo === 'CURSOR_INVALIDO') {
+      erro = erroDeCampo('cursor', erro.message, 'query', 'CURSOR_INVALIDO');
+    }
+
+    responderErro(res, erro, 'Erro ao listar reclamações');
+  }
+});
+
+// ========================================
+// EXPORTAR RECLAMAÇÕES
+// ========================================
+// GET /api/reclamacoes/export?formato=csv|xlsx|ndjson&incluir=historico,respostas&
+//     separador=,|;&empresa=&status=&uf=&data_de=&...
+// Aceita os mesmos filtros da listagem, sem limite: o arquivo é
+// escrito conforme as linhas saem do cursor do banco
+const INCLUSOES_EXPORTACAO = ['historico', 'respostas'];
+
+const ESQUEMA_EXPORTACAO = {
+  query: {
+    ...FILTROS_RECLAMACOES,
+    formato: opcao(Object.keys(FORMATOS), { padrao: 'csv' }),
+    incluir: lista(opcao(INCLUSOES_EXPORTACAO), { separador: ',', unicos: true, padrao: [] }),
+    separador: opcao([',', ';'], { padrao: ',' })
+  }
+};
+
+app.get('/api/reclamacoes/export', validar(ESQUEMA_EXPORTACAO), async (req, res) => {
+  try {
+    const { formato, incluir, separador } = req.query;
+    const filtros = lerFiltrosReclamacoes(req.query, req.workspace.id);
+
+    await exportarReclamacoes(res, formato, filtros, {
+      incluirHistorico: incluir.includes('historico'),
+      incluirRespostas: incluir.includes('respostas'),
+      separador
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao exportar reclamações');
+  }
+});
+
+// ========================================
+// BUSCA TEXTUAL EM RECLAMAÇÕES
+// ========================================
+// GET /api/reclamacoes/busca?q=estorno&empresa=&uf=&data_de=&...&limite=20&pagina=1
+// q aceita "frase exata", OR e -termo; ignora acentos e flexões
+// (reembolso/reembolsado). Aceita os mesmos filtros da listagem
+// e retorna os resultados por relevância, com trechos destacados
+// (titulo_destacado e trecho: HTML escapado, termos em <mark>)
+const ESQUEMA_BUSCA = {
+  query: {
+    ...FILTROS_RECLAMACOES,
+    q: texto({ obrigatorio: true }),
+    limite: campoLimite(20, 100),
+    pagina: inteiro({ min: 1, max: 10000, padrao: 1 })
+  }
+};
+
+app.get('/api/reclamacoes/busca', validar(ESQUEMA_BUSCA), async (req, res) => {
+  try {
+    const { q, limite, pagina } = req.query;
+    const filtros = lerFiltrosReclamacoes(req.query, req.workspace.id);
+
+    const resultado = await buscarReclamacoesTexto(q, filtros, { limite, pagina });
+
+    res.json({ 
+      sucesso: true,
+      termo: q,
+      total: resultado.total,
+      pagina: pagina,
+      limite: limite,
+      reclamacoes: resultado.reclamacoes 
     });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro na busca textual');
   }
 });
 
@@ -107,10 +643,15 @@ app.post('/api/monitoramento/parar', (req, res) => {
 // ========================================
 // GET /api/reclamacoes/:empresa
 // Retorna todas as reclamações de uma empresa
-app.get('/api/reclamacoes/:empresa', async (req, res) => {
+const ESQUEMA_RECLAMACOES_EMPRESA = {
+  params: PARAMS_EMPRESA,
+  query: { limite: campoLimite(50, 500) }
+};
+
+app.get('/api/reclamacoes/:empresa', validar(ESQUEMA_RECLAMACOES_EMPRESA), exigirEmpresaDoWorkspace, async (req, res) => {
   try {
     const { empresa } = req.params;
-    const limite = parseInt(req.query.limite) || 50;
+    const { limite } = req.query;
 
     const reclamacoes = await buscarReclamacoesDB(empresa, limite);
 
@@ -121,11 +662,170 @@ app.get('/api/reclamacoes/:empresa', async (req, res) => {
       reclamacoes: reclamacoes 
     });
   } catch (erro) {
-    console.error('Erro ao buscar reclamações:', erro);
-    res.status(500).json({ 
-      erro: 'Erro ao buscar reclamações',
-      detalhes: erro.message 
+    responderErro(res, erro, 'Erro ao buscar reclamações');
+  }
+});
+
+// ========================================
+// RECLAMAÇÕES SIMILARES
+// ========================================
+// GET /api/reclamacoes/:id/similares?limite=10&limiar=0.5
+// :id é o id interno (campo id da listagem). Retorna as mais
+// parecidas, de qualquer empresa do workspace, e o grupo de quase
+// iguais dela.
+// Registrada antes de /:empresa/:idExterno para não ser confundida
+const ESQUEMA_SIMILARES = {
+  params: PARAMS_ID,
+  query: {
+    limite: campoLimite(10, 50),
+    limiar: numero({ min: 0.1, max: 1 })
+  }
+};
+
+app.get('/api/reclamacoes/:id/similares', validar(ESQUEMA_SIMILARES), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limite, limiar } = req.query;
+
+    const resultado = await buscarReclamacoesSimilares(id, { limite, limiar, workspaceId: req.workspace.id });
+
+    if (!resultado) {
+      throw new ErroNaoEncontrado('RECLAMACAO_NAO_ENCONTRADA', 'Reclamação não encontrada');
+    }
+
+    res.json({ 
+      sucesso: true,
+      reclamacao: resultado.reclamacao,
+      grupo: resultado.grupo,
+      total: resultado.similares.length,
+      similares: resultado.similares 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao buscar reclamações similares');
+  }
+});
+
+// ========================================
+// BUSCAR RECLAMAÇÃO COMPLETA
+// ========================================
+// GET /api/reclamacoes/:empresa/:idExterno
+// Retorna a reclamação com texto completo, conversa e avaliação
+const ID_EXTERNO = texto({ max: 100 });
+const PARAMS_RECLAMACAO = { empresa: EMPRESA, idExterno: ID_EXTERNO };
+
+app.get('/api/reclamacoes/:empresa/:idExterno', validar({ params: PARAMS_RECLAMACAO }), exigirEmpresaDoWorkspace, async (req, res) => {
+  try {
+    const { empresa, idExterno } = req.params;
+
+    const reclamacao = await buscarReclamacaoCompleta(empresa, idExterno);
+
+    if (!reclamacao) {
+      throw new ErroNaoEncontrado('RECLAMACAO_NAO_ENCONTRADA', 'Reclamação não encontrada');
+    }
+
+    res.json({ 
+      sucesso: true,
+      reclamacao: reclamacao 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao buscar reclamação completa');
+  }
+});
+
+// ========================================
+// HISTÓRICO DE UMA RECLAMAÇÃO
+// ========================================
+// GET /api/reclamacoes/:empresa/:id/historico
+// Retorna cada mudança de status/texto e o tempo até a primeira resposta
+const ESQUEMA_HISTORICO = {
+  params: { empresa: EMPRESA, id: ID_EXTERNO }
+};
+
+app.get('/api/reclamacoes/:empresa/:id/historico', validar(ESQUEMA_HISTORICO), exigirEmpresaDoWorkspace, async (req, res) => {
+  try {
+    const { empresa, id } = req.params;
+
+    const resultado = await buscarHistoricoReclamacao(empresa, id);
+
+    if (!resultado) {
+      throw new ErroNaoEncontrado('RECLAMACAO_NAO_ENCONTRADA', 'Reclamação não encontrada');
+    }
+
+    res.json({ 
+      sucesso: true,
+      ...resultado
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao buscar histórico');
+  }
+});
+
+// ========================================
+// CORRIGIR CATEGORIAS DE UMA RECLAMAÇÃO
+// ========================================
+// PUT /api/reclamacoes/:empresa/:idExterno/categorias
+// Body: { categorias: ['entrega', 'reembolso'], usuario? }
+// A correção vale daqui em diante (a coleta não sobrescreve)
+// e entra no treino do modelo de categorias
+const ESQUEMA_CORRECAO_CATEGORIAS = {
+  params: PARAMS_RECLAMACAO,
+  body: {
+    categorias: lista(CATEGORIA, { obrigatorio: true, unicos: true }),
+    usuario: texto({ max: 100 })
+  }
+};
+
+app.put('/api/reclamacoes/:empresa/:idExterno/categorias', validar(ESQUEMA_CORRECAO_CATEGORIAS), exigirEmpresaDoWorkspace, async (req, res) => {
+  try {
+    const { empresa, idExterno } = req.params;
+    const { categorias, usuario } = req.body;
+
+    const reclamacao = await corrigirCategorias(empresa, idExterno, categorias, usuario || null);
+
+    if (!reclamacao) {
+      throw new ErroNaoEncontrado('RECLAMACAO_NAO_ENCONTRADA', 'Reclamação não encontrada');
+    }
+
+    const modelo = await treinarModeloCategorias();
+
+    res.json({ 
+      sucesso: true,
+      reclamacao: reclamacao,
+      modelo: { ...modelo, ativo: modeloAtivo() } 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao corrigir categorias');
+  }
+});
+
+// ========================================
+// CATEGORIAS
+// ========================================
+// GET /api/categorias
+// Categorias disponíveis, com os termos do dicionário
+app.get('/api/categorias', (req, res) => {
+  res.json({ 
+    sucesso: true,
+    categorias: listarCategorias(),
+    modelo: {
+      ativo: modeloAtivo(),
+      min_amostras: CONFIG_CATEGORIAS.MIN_AMOSTRAS
+    }
+  });
+});
+
+// POST /api/categorias/treinar
+// Treina de novo o modelo com as correções já feitas
+app.post('/api/categorias/treinar', async (req, res) => {
+  try {
+    const modelo = await treinarModeloCategorias();
+
+    res.json({ 
+      sucesso: true,
+      modelo: { ...modelo, ativo: modeloAtivo(), min_amostras: CONFIG_CATEGORIAS.MIN_AMOSTRAS } 
     });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao treinar modelo de categorias');
   }
 });
 
@@ -133,71 +833,1043 @@ app.get('/api/reclamacoes/:empresa', async (req, res) => {
 // LISTAR MONITORAMENTOS ATIVOS
 // ========================================
 // GET /api/monitoramento/lista
-// Retorna todas as empresas sendo monitoradas
+// Retorna todas as empresas sendo monitoradas pelo workspace
 app.get('/api/monitoramento/lista', async (req, res) => {
   try {
-    const configuracoes = await obterConfiguracoes();
+    const configuracoes = await obterConfiguracoes(true, req.workspace.id);
+
+    // Indica se cada configuração ativa tem de fato um job rodando
+    // e se ele está pausado pelo circuit breaker. intervalo_coleta
+    // pode ser menor que o pedido quando outro workspace acompanha
+    // a mesma empresa com mais frequência
+    const jobs = new Map(listarMonitoramentos().map(item => [item.empresa, item]));
+    const monitoramentos = configuracoes.map(config => ({
+      ...config,
+      job_ativo: jobs.has(config.empresa),
+      intervalo_coleta: jobs.has(config.empresa) ? jobs.get(config.empresa).intervalo : null,
+      circuito: jobs.has(config.empresa) ? jobs.get(config.empresa).circuito : null
+    }));
 
     res.json({ 
       sucesso: true,
-      total: configuracoes.length,
-      monitoramentos: configuracoes 
+      total: monitoramentos.length,
+      monitoramentos: monitoramentos 
     });
   } catch (erro) {
-    console.error('Erro ao listar monitoramentos:', erro);
-    res.status(500).json({ 
-      erro: 'Erro ao listar monitoramentos',
-      detalhes: erro.message 
-    });
+    responderErro(res, erro, 'Erro ao listar monitoramentos');
   }
 });
 
 // ========================================
-// BUSCAR RECLAMAÇÕES MANUALMENTE (SEM SALVAR)
+// STATUS DE UM MONITORAMENTO
 // ========================================
-// GET /api/buscar/:empresa
-// Faz uma busca imediata e retorna as reclamações
-app.get('/api/buscar/:empresa', async (req, res) => {
+// GET /api/monitoramento/:empresa/status
+// Job em memória + último sucesso, última falha e falhas seguidas
+app.get('/api/monitoramento/:empresa/status', validar({ params: PARAMS_EMPRESA }), exigirEmpresaDoWorkspace, async (req, res) => {
   try {
-    const { empresa } = req.params;
-    
-    // Importa a função de scraping
-    const { buscarReclamacoes } = require('./scraper');
-    
-    const reclamacoes = await buscarReclamacoes(empresa);
+    const status = await statusMonitoramento(req.params.empresa);
 
     res.json({ 
       sucesso: true,
-      empresa: empresa,
-      total: reclamacoes.length,
-      reclamacoes: reclamacoes,
-      mensagem: 'Busca realizada com sucesso (não salvo no banco)'
+      ...status
     });
   } catch (erro) {
-    console.error('Erro na busca manual:', erro);
-    res.status(500).json({ 
-      erro: 'Erro na busca manual',
-      detalhes: erro.message 
-    });
+    responderErro(res, erro, 'Erro ao obter status do monitoramento');
   }
 });
 
 // ========================================
-// INICIAR O SERVIDOR
+// HISTÓRICO DE EXECUÇÕES
 // ========================================
-app.listen(PORT, () => {
-  console.log('========================================');
-  console.log(`🚀 Servidor rodando na porta ${PORT}`);
-  console.log(`📡 API disponível em: http://localhost:${PORT}`);
+// GET /api/monitoramento/:empresa/execucoes?limite=50&status=executando|sucesso|falha
+const ESQUEMA_EXECUCOES = {
+  params: PARAMS_EMPRESA,
+  query: {
+    limite: campoLimite(50, 500),
+    status: opcao(['executando', 'sucesso', 'falha'])
+  }
+};
+
+app.get('/api/monitoramento/:empresa/execucoes', validar(ESQUEMA_EXECUCOES), exigirEmpresaDoWorkspace, async (req, res) => {
+  try {
+    const { empresa } = req.params;
+    const { limite, status } = req.query;
+
+    const execucoes = await listarExecucoes(empresa, {
+      limite: limite,
+      status: status
+    });
+
+    res.json({ 
+      sucesso: true,
+      empresa: empresa,
+      total: execucoes.length,
+      execucoes: execucoes 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar execuções');
+  }
+});
+
+// ========================================
+// EXECUTAR MONITORAMENTO AGORA
+// ========================================
+// POST /api/monitoramento/:empresa/executar
+// Roda uma coleta completa (salvando no banco) fora do cron.
+// Falha do scraper sai com o código dele (ex: 404 EMPRESA_NAO_ENCONTRADA)
+app.post('/api/monitoramento/:empresa/executar', validar({ params: PARAMS_EMPRESA }), exigirEmpresaDoWorkspace, async (req, res) => {
+  try {
+    const resumo = await executarMonitoramento(req.params.empresa, ORIGENS.MANUAL);
+
+    if (resumo.emAndamento) {
+      throw new ErroConflito('EXECUCAO_EM_ANDAMENTO', `Já existe uma execução em andamento para ${req.params.empresa}`);
+    }
+
+    if (!resumo.sucesso) {
+      throw new ErroApi(`Falha ao executar monitoramento: ${resumo.erro}`, {
+        codigo: resumo.codigo || 'EXECUCAO_FALHOU',
+        status: resumo.codigo ? statusApiDoScraper(resumo.codigo) : 500,
+        detalhes: { execucaoId: resumo.execucaoId }
+      });
+    }
+
+    res.json({ 
+      sucesso: true,
+      resumo: resumo 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao executar monitoramento');
+  }
+});
+
+// ========================================
+// VERIFICAR CONSISTÊNCIA DOS MONITORAMENTOS
+// ========================================
+// GET /api/monitoramento/consistencia
+// Compara as configurações do banco com os jobs em memória
+app.get('/api/monitoramento/consistencia', async (req, res) => {
+  try {
+    const consistencia = await verificarConsistencia(req.workspace.id);
+
+    res.json({ 
+      sucesso: true,
+      ...consistencia
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao verificar consistência');
+  }
+});
+
+// ========================================
+// PESQUISAR EMPRESAS
+// ========================================
+// GET /api/empresas/buscar?q=magazine luiza
+// Retorna as empresas candidatas (nome, slug, url, reputação)
+// para escolher o slug certo antes de iniciar o monitoramento
+app.get('/api/empresas/buscar', validar({ query: { q: texto({ obrigatorio: true, max: 200 }) } }), async (req, res) => {
+  try {
+    const termo = req.query.q;
+
+    const empresas = await buscarEmpresas(termo);
+
+    res.json({ 
+      sucesso: true,
+      termo: termo,
+      total: empresas.length,
+      empresas: empresas 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao pesquisar empresas');
+  }
+});
+
+// ========================================
+// REPUTAÇÃO AO LONGO DO TEMPO
+// ========================================
+// GET /api/empresas/:empresa/reputacao?de=2024-01-01&ate=2024-03-31
+// Série dos snapshots de reputação + volume diário de reclamações
+const PERIODO = { de: data(), ate: data() };
+
+app.get('/api/empresas/:empresa/reputacao', validar({ params: PARAMS_EMPRESA, query: PERIODO }), exigirEmpresaDoWorkspace, async (req, res) => {
+  try {
+    const { empresa } = req.params;
+    const { de, ate } = req.query;
+
+    const serie = await buscarSerieReputacao(empresa, { de, ate: fimDoDia(ate) });
+
+    res.json({ 
+      sucesso: true,
+      empresa: empresa,
+      total: serie.snapshots.length,
+      ...serie
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao buscar reputação');
+  }
+});
+
+// ========================================
+// ESTATÍSTICAS (KPIs POR PERÍODO)
+// ========================================
+// GET /api/estatisticas?de=2024-03-01&ate=2024-03-07&agrupamento=dia|semana|mes
+// GET /api/estatisticas/:empresa?de=&ate=&agrupamento=
+// Sem datas, considera os últimos 30 dias. Os números do período usam
+// a data da reclamação; o período anterior tem a mesma duração e
+// termina logo antes de `de`, para as variações
+const AGRUPAMENTOS_ESTATISTICAS = ['dia', 'semana', 'mes'];
+const PERIODO_PADRAO_DIAS = 30;
+
+// "2024-03-01" vira o início (ou o fim, em `ate`) do dia no horário do site.
+// As datas já passaram por PERIODO; lança erro se `de` vier depois de `ate`
+function lerPeriodo(query, diasPadrao = PERIODO_PADRAO_DIAS) {
+  const { de, ate } = query;
+
+  const fim = ate ? limiteDoDia(ate, true) || new Date(ate) : new Date();
+  const inicio = de
+    ? limiteDoDia(de) || new Date(de)
+    : new Date(fim.getTime() - diasPadrao * 24 * 60 * 60 * 1000);
+
+  if (inicio > fim) {
+    throw erroDeCampo('de', 'de deve ser anterior a ate');
+  }
+
+  const duracao = fim.getTime() - inicio.getTime();
+  const fimAnterior = new Date(inicio.getTime() - 1);
+
+  return {
+    periodo: { de: inicio, ate: fim },
+    anterior: { de: new Date(fimAnterior.getTime() - duracao), ate: fimAnterior }
+  };
+}
+
+// Diferença entre os períodos. Taxas já são percentuais, então
+// para elas só a diferença em pontos faz sentido
+function compararPeriodos(atual, anterior, comPercentual = true) {
+  const comparacao = {
+    atual: atual,
+    anterior: anterior,
+    diferenca: atual === null || anterior === null ? null : Math.round((atual - anterior) * 10) / 10
+  };
+
+  if (comPercentual) {
+    comparacao.percentual = anterior ? Math.round(((atual - anterior) / anterior) * 1000) / 10 : null;
+  }
+
+  return comparacao;
+}
+
+const ESQUEMA_ESTATISTICAS = {
+  query: {
+    ...PERIODO,
+    agrupamento: opcao(AGRUPAMENTOS_ESTATISTICAS, { padrao: 'dia' })
+  }
+};
+
+async function responderEstatisticas(req, res) {
+  try {
+    const empresa = req.params.empresa || null;
+    const { agrupamento } = req.query;
+
+    const { periodo, anterior } = lerPeriodo(req.query);
+
+    // Sem empresa, os números somam as empresas do workspace
+    const workspaceId = req.workspace.id;
+    const geral = await obterEstatisticas(empresa, workspaceId);
+    const atual = await obterResumoPeriodo(empresa, { ...periodo, workspaceId });
+    const passado = await obterResumoPeriodo(empresa, { ...anterior, workspaceId });
+    const volume = await obterVolumeReclamacoes(empresa, { ...periodo, agrupamento, workspaceId });
+
+    const resumo = {
+      total: atual.total,
+      respondidas: atual.respondidas,
+      resolvidas: atual.resolvidas,
+      avaliadas: atual.avaliadas,
+      taxa_resposta: atual.taxaResposta,
+      taxa_solucao: atual.taxaSolucao,
+      por_status: atual.porStatus,
+      por_categoria: atual.porCategoria,
+      sem_categoria: atual.semCategoria,
+      sentimento_medio: atual.sentimentoMedio,
+      severidade_media: atual.severidadeMedia
+    };
+    if (atual.porEmpresa) resumo.por_empresa = atual.porEmpresa;
+
+    res.json({ 
+      sucesso: true,
+      ...(empresa && { empresa }),
+      periodo: { de: periodo.de, ate: periodo.ate, agrupamento },
+      periodo_anterior: { de: anterior.de, ate: anterior.ate },
+      geral: geral,
+      resumo: resumo,
+      variacao: {
+        total: compararPeriodos(atual.total, passado.total),
+        taxa_resposta: compararPeriodos(atual.taxaResposta, passado.taxaResposta, false),
+        taxa_solucao: compararPeriodos(atual.taxaSolucao, passado.taxaSolucao, false),
+        severidade_media: compararPeriodos(atual.severidadeMedia, passado.severidadeMedia, false)
+      },
+      volume: volume 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao obter estatísticas');
+  }
+}
+
+app.get('/api/estatisticas', validar(ESQUEMA_ESTATISTICAS), responderEstatisticas);
+app.get('/api/estatisticas/:empresa', validar({ ...ESQUEMA_ESTATISTICAS, params: PARAMS_EMPRESA }), exigirEmpresaDoWorkspace, responderEstatisticas);
+
+// ========================================
+// ESTATÍSTICAS POR REGIÃO
+// ========================================
+// GET /api/estatisticas/:empresa/regioes?data_de=&data_ate=&status=
+// Reclamações por UF e por cidade, da mais afetada para a menos
+const ESQUEMA_REGIOES = {
+  params: PARAMS_EMPRESA,
+  query: FILTROS_RECLAMACOES
+};
+
+app.get('/api/estatisticas/:empresa/regioes', validar(ESQUEMA_REGIOES), exigirEmpresaDoWorkspace, async (req, res) => {
+  try {
+    const { empresa } = req.params;
+    const filtros = lerFiltrosReclamacoes(req.query, req.workspace.id);
+
+    const regioes = await obterEstatisticasRegioes(empresa, filtros);
+
+    res.json({ 
+      sucesso: true,
+      empresa: empresa,
+      total: regioes.total,
+      sem_localizacao: regioes.semLocalizacao,
+      estados: regioes.estados 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao obter estatísticas por região');
+  }
+});
+
+// ========================================
+// TENDÊNCIAS
+// ========================================
+// GET /api/tendencias?de=&ate=&min_reclamacoes=2&min_empresas=1&limite=20
+// Grupos de reclamações quase iguais em alta no período (sem datas,
+// os últimos 7 dias), com as empresas afetadas e o crescimento em
+// relação ao período anterior. min_empresas=2 mostra só os que
+// atingem mais de uma empresa
+const TENDENCIAS_PADRAO_DIAS = 7;
+
+const ESQUEMA_TENDENCIAS = {
+  query: {
+    ...PERIODO,
+    min_reclamacoes: inteiro({ min: 1, max: 10000, padrao: 2 }),
+    min_empresas: inteiro({ min: 1, max: 1000, padrao: 1 }),
+    limite: campoLimite(20, 100)
+  }
+};
+
+app.get('/api/tendencias', validar(ESQUEMA_TENDENCIAS), async (req, res) => {
+  try {
+    const { min_reclamacoes: minReclamacoes, min_empresas: minEmpresas, limite } = req.query;
+    const { periodo } = lerPeriodo(req.query, TENDENCIAS_PADRAO_DIAS);
+
+    const tendencias = await buscarTendencias({
+      ...periodo,
+      minReclamacoes,
+      minEmpresas,
+      limite,
+      workspaceId: req.workspace.id
+    });
+
+    res.json({ 
+      sucesso: true,
+      periodo: periodo,
+      total: tendencias.length,
+      tendencias: tendencias 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao buscar tendências');
+  }
+});
+
+// ========================================
+// ANOMALIAS DE VOLUME
+// ========================================
+// GET /api/anomalias?empresa=&granularidade=hora|dia&de=&ate=&limite=50
+// Picos de reclamações detectados nas execuções do monitoramento,
+// dos mais recentes para os mais antigos. Cada um traz o total da
+// janela, a média e o desvio da linha de base e o z-score
+const ESQUEMA_ANOMALIAS = {
+  query: {
+    ...PERIODO,
+    empresa: EMPRESA,
+    granularidade: opcao(Object.keys(GRANULARIDADES)),
+    limite: campoLimite(50, 500)
+  }
+};
+
+app.get('/api/anomalias', validar(ESQUEMA_ANOMALIAS), async (req, res) => {
+  try {
+    const { empresa, granularidade, de, ate, limite } = req.query;
+
+    const anomalias = await listarAnomalias({
+      workspaceId: req.workspace.id,
+      empresa,
+      granularidade,
+      de: de ? limiteDoDia(de) || new Date(de) : undefined,
+      ate: ate ? limiteDoDia(ate, true) || new Date(ate) : undefined,
+      limite
+    });
+
+    res.json({ 
+      sucesso: true,
+      total: anomalias.length,
+      anomalias: anomalias 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar anomalias');
+  }
+});
+
+// ========================================
+// BUSCAR RECLAMAÇÕES MANUALMENTE (SEM SALVAR)
+// ========================================
+// GET /api/buscar/:empresa?paginas=1&slug=
+// Faz uma busca imediata e retorna as reclamações.
+// Só admin: cada chamada faz scraping no site
+// Empresa inexistente no site responde 404 EMPRESA_NAO_ENCONTRADA
+const ESQUEMA_BUSCA_MANUAL = {
+  params: PARAMS_EMPRESA,
+  query: {
+    // Por padrão busca só a primeira página para responder rápido
+    paginas: inteiro({ min: 1, max: 20, padrao: 1 }),
+    slug: SLUG_EMPRESA
+  }
+};
+
+app.get('/api/buscar/:empresa', exigirPapel(PAPEIS.ADMIN), validar(ESQUEMA_BUSCA_MANUAL), async (req, res) => {
+  try {
+    const { empresa } = req.params;
+    
+    // Importa a função de scraping
+    const { buscarReclamacoes } = require('./scraper');
+
+    const resultado = await buscarReclamacoes(empresa, {
+      maxPaginas: req.query.paginas,
+      slug: req.query.slug || null
+    });
+
+    res.json({ 
+      sucesso: true,
+      empresa: empresa,
+      total: resultado.reclamacoes.length,
+      paginas: resultado.paginas,
+      motivoParada: resultado.motivoParada,
+      reclamacoes: resultado.reclamacoes,
+      mensagem: 'Busca realizada com sucesso (não salvo no banco)'
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro na busca manual');
+  }
+});
+
+// ========================================
+// WEBHOOKS
+// ========================================
+// POST /api/webhooks
+// Body: { empresa, url, eventos?: [...], segredo? }
+// O segredo (gerado se não for enviado) só é retornado aqui
+const ESQUEMA_CRIAR_WEBHOOK = {
+  body: {
+    empresa: texto({ obrigatorio: true, max: 200 }),
+    url: urlHttp({ obrigatorio: true }),
+    eventos: lista(opcao(Object.values(EVENTOS)), { min: 1, unicos: true, padrao: Object.values(EVENTOS) }),
+    segredo: texto({ max: 200 })
+  }
+};
+
+app.post('/api/webhooks', validar(ESQUEMA_CRIAR_WEBHOOK), async (req, res) => {
+  try {
+    const { empresa, url, eventos, segredo } = req.body;
+
+    if (!(await empresaDoWorkspace(req.workspace.id, empresa))) {
+      throw erroEmpresaNaoMonitorada(empresa);
+    }
+
+    const webhook = await criarWebhook({
+      workspaceId: req.workspace.id,
+      empresa,
+      url,
+      eventos,
+      segredo: segredo || gerarSegredo()
+    });
+
+    res.status(201).json({ 
+      sucesso: true,
+      webhook: webhook 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao criar webhook');
+  }
+});
+
+// GET /api/webhooks?empresa=
+app.get('/api/webhooks', validar({ query: { empresa: EMPRESA } }), async (req, res) => {
+  try {
+    const webhooks = await listarWebhooks(req.query.empresa || null, req.workspace.id);
+
+    res.json({ 
+      sucesso: true,
+      total: webhooks.length,
+      webhooks: webhooks 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar webhooks');
+  }
+});
+
+// GET /api/webhooks/:id
+app.get('/api/webhooks/:id', validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const webhook = await obterWebhook(req.params.id, req.workspace.id);
+
+    if (!webhook) {
+      throw new ErroNaoEncontrado('WEBHOOK_NAO_ENCONTRADO', 'Webhook não encontrado');
+    }
+
+    res.json({ 
+      sucesso: true,
+      webhook: webhook 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao obter webhook');
+  }
+});
+
+// PUT /api/webhooks/:id
+// Body: { url?, eventos?, ativo? }
+const ESQUEMA_ATUALIZAR_WEBHOOK = {
+  params: PARAMS_ID,
+  body: {
+    url: urlHttp(),
+    eventos: lista(opcao(Object.values(EVENTOS)), { min: 1, unicos: true }),
+    ativo: booleano()
+  }
+};
+
+app.put('/api/webhooks/:id', validar(ESQUEMA_ATUALIZAR_WEBHOOK), async (req, res) => {
+  try {
+    const { url, eventos, ativo } = req.body;
+
+    const webhook = await atualizarWebhook(req.params.id, { url, eventos, ativo }, req.workspace.id);
+
+    if (!webhook) {
+      throw new ErroNaoEncontrado('WEBHOOK_NAO_ENCONTRADO', 'Webhook não encontrado');
+    }
+
+    res.json({ 
+      sucesso: true,
+      webhook: webhook 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao atualizar webhook');
+  }
+});
+
+// DELETE /api/webhooks/:id
+app.delete('/api/webhooks/:id', validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const removido = await removerWebhook(req.params.id, req.workspace.id);
+
+    if (!removido) {
+      throw new ErroNaoEncontrado('WEBHOOK_NAO_ENCONTRADO', 'Webhook não encontrado');
+    }
+
+    res.json({ 
+      sucesso: true,
+      mensagem: 'Webhook removido' 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao remover webhook');
+  }
+});
+
+// GET /api/webhooks/:id/entregas?limite=50
+// Log de entregas (entregue, pendente ou falhou) do webhook
+const ESQUEMA_ENTREGAS = {
+  params: PARAMS_ID,
+  query: { limite: campoLimite(50, 500) }
+};
+
+app.get('/api/webhooks/:id/entregas', validar(ESQUEMA_ENTREGAS), async (req, res) => {
+  try {
+    const { limite } = req.query;
+    const webhook = await obterWebhook(req.params.id, req.workspace.id);
+
+    if (!webhook) {
+      throw new ErroNaoEncontrado('WEBHOOK_NAO_ENCONTRADO', 'Webhook não encontrado');
+    }
+
+    const entregas = await listarEntregas(webhook.id, limite);
+
+    res.json({ 
+      sucesso: true,
+      total: entregas.length,
+      entregas: entregas 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar entregas');
+  }
+});
+
+// ========================================
+// RELATÓRIOS POR E-MAIL
+// ========================================
+// Resumo diário ou semanal de uma empresa monitorada, enviado
+// por SMTP para a lista de destinatários
+const FREQUENCIA = opcao(Object.keys(FREQUENCIAS), { minusculas: true });
+const DESTINATARIOS = lista(email(), { min: 1, max: 50, unicos: true });
+
+// POST /api/relatorios
+// Body: { empresa, frequencia: 'diario'|'semanal', destinatarios: [...] }
+const ESQUEMA_CRIAR_RELATORIO = {
+  body: {
+    empresa: texto({ obrigatorio: true, max: 200 }),
+    frequencia: opcao(Object.keys(FREQUENCIAS), { minusculas: true, obrigatorio: true }),
+    destinatarios: lista(email(), { min: 1, max: 50, unicos: true, obrigatorio: true })
+  }
+};
+
+app.post('/api/relatorios', validar(ESQUEMA_CRIAR_RELATORIO), async (req, res) => {
+  try {
+    const { empresa, frequencia, destinatarios } = req.body;
+
+    if (!(await empresaDoWorkspace(req.workspace.id, empresa))) {
+      throw erroEmpresaNaoMonitorada(empresa);
+    }
+
+    const relatorio = await criarRelatorio({ workspaceId: req.workspace.id, empresa, frequencia, destinatarios });
+
+    res.status(201).json({ 
+      sucesso: true,
+      relatorio: relatorio 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao criar relatório');
+  }
+});
+
+// GET /api/relatorios?empresa=&frequencia=
+const ESQUEMA_LISTAR_RELATORIOS = {
+  query: { empresa: EMPRESA, frequencia: FREQUENCIA }
+};
+
+app.get('/api/relatorios', validar(ESQUEMA_LISTAR_RELATORIOS), async (req, res) => {
+  try {
+    const { empresa, frequencia } = req.query;
+    const relatorios = await listarRelatorios({ workspaceId: req.workspace.id, empresa, frequencia });
+
+    res.json({ 
+      sucesso: true,
+      total: relatorios.length,
+      relatorios: relatorios 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar relatórios');
+  }
+});
+
+// GET /api/relatorios/:id
+app.get('/api/relatorios/:id', validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const relatorio = await obterRelatorio(req.params.id, req.workspace.id);
+
+    if (!relatorio) {
+      throw new ErroNaoEncontrado('RELATORIO_NAO_ENCONTRADO', 'Relatório não encontrado');
+    }
+
+    res.json({ 
+      sucesso: true,
+      relatorio: relatorio 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao obter relatório');
+  }
+});
+
+// PUT /api/relatorios/:id
+// Body: { frequencia?, destinatarios?, ativo? }
+const ESQUEMA_ATUALIZAR_RELATORIO = {
+  params: PARAMS_ID,
+  body: { frequencia: FREQUENCIA, destinatarios: DESTINATARIOS, ativo: booleano() }
+};
+
+app.put('/api/relatorios/:id', validar(ESQUEMA_ATUALIZAR_RELATORIO), async (req, res) => {
+  try {
+    const { frequencia, destinatarios, ativo } = req.body;
+
+    const relatorio = await atualizarRelatorio(req.params.id, { frequencia, destinatarios, ativo }, req.workspace.id);
+
+    if (!relatorio) {
+      throw new ErroNaoEncontrado('RELATORIO_NAO_ENCONTRADO', 'Relatório não encontrado');
+    }
+
+    res.json({ 
+      sucesso: true,
+      relatorio: relatorio 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao atualizar relatório');
+  }
+});
+
+// DELETE /api/relatorios/:id
+app.delete('/api/relatorios/:id', validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const removido = await removerRelatorio(req.params.id, req.workspace.id);
+
+    if (!removido) {
+      throw new ErroNaoEncontrado('RELATORIO_NAO_ENCONTRADO', 'Relatório não encontrado');
+    }
+
+    res.json({ 
+      sucesso: true,
+      mensagem: 'Relatório removido' 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao remover relatório');
+  }
+});
+
+// GET /api/relatorios/:id/previa?formato=html|texto
+// Mostra o conteúdo que seria enviado agora, sem enviar
+const ESQUEMA_PREVIA = {
+  params: PARAMS_ID,
+  query: { formato: opcao(['html', 'texto'], { minusculas: true, padrao: 'html' }) }
+};
+
+app.get('/api/relatorios/:id/previa', validar(ESQUEMA_PREVIA), async (req, res) => {
+  try {
+    const { formato } = req.query;
+    const relatorio = await obterRelatorio(req.params.id, req.workspace.id);
+
+    if (!relatorio) {
+      throw new ErroNaoEncontrado('RELATORIO_NAO_ENCONTRADO', 'Relatório não encontrado');
+    }
+
+    const dados = await montarRelatorio(relatorio);
+
+    if (formato === 'texto') {
+      return res.type('text/plain').send(renderizarTexto(dados));
+    }
+
+    res.type('html').send(renderizarHtml(dados));
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao gerar prévia do relatório');
+  }
+});
+
+// POST /api/relatorios/:id/enviar
+// Envia o relatório agora, fora do horário agendado
+app.post('/api/relatorios/:id/enviar', validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const relatorio = await obterRelatorio(req.params.id, req.workspace.id);
+
+    if (!relatorio) {
+      throw new ErroNaoEncontrado('RELATORIO_NAO_ENCONTRADO', 'Relatório não encontrado');
+    }
+
+    // Falha do servidor SMTP não é erro da API: responde 502
+    const envio = await enviarRelatorio(relatorio).catch((erro) => {
+      throw new ErroApi(`Erro ao enviar relatório: ${erro.message}`, { codigo: 'ENVIO_FALHOU', status: 502 });
+    });
+
+    res.json({ 
+      sucesso: true,
+      mensagem: `Relatório enviado para ${relatorio.destinatarios.join(', ')}`,
+      envio: envio 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao enviar relatório');
+  }
+});
+
+// ========================================
+// REGRAS DE ALERTA
+// ========================================
+// Conferidas a cada lote de reclamações novas de uma empresa.
+// Os parâmetros dependem do tipo (ver alertas.js): o esquema só
+// garante o objeto, o conteúdo é conferido depois
+const SEVERIDADE = opcao(SEVERIDADES, { minusculas: true });
+
+function conferirParametros(tipo, parametros) {
+  const falha = validarParametros(tipo, parametros);
+  if (falha) {
+    throw erroDeCampo('parametros', `parametros inválidos: ${falha}`, 'body');
+  }
+}
+
+// POST /api/alertas/regras
+// Body: { empresa, nome, tipo, parametros, severidade? }
+// Ex: { "empresa": "Acme", "nome": "Ameaça jurídica", "tipo": "palavra_chave",
+//       "parametros": { "palavras": ["procon", "processo"] }, "severidade": "critica" }
+const ESQUEMA_CRIAR_REGRA = {
+  body: {
+    empresa: texto({ obrigatorio: true, max: 200 }),
+    nome: texto({ obrigatorio: true, max: 200 }),
+    tipo: opcao(Object.values(TIPOS_REGRA), { minusculas: true, obrigatorio: true }),
+    parametros: objeto({ obrigatorio: true }),
+    severidade: opcao(SEVERIDADES, { minusculas: true, padrao: 'media' })
+  }
+};
+
+app.post('/api/alertas/regras', validar(ESQUEMA_CRIAR_REGRA), async (req, res) => {
+  try {
+    const { empresa, nome, tipo, parametros, severidade } = req.body;
+
+    conferirParametros(tipo, parametros);
+
+    if (!(await empresaDoWorkspace(req.workspace.id, empresa))) {
+      throw erroEmpresaNaoMonitorada(empresa);
+    }
+
+    const regra = await criarRegraAlerta({ workspaceId: req.workspace.id, empresa, nome, tipo, parametros, severidade });
+
+    res.status(201).json({ 
+      sucesso: true,
+      regra: regra 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao criar regra de alerta');
+  }
+});
+
+// GET /api/alertas/regras?empresa=
+app.get('/api/alertas/regras', validar({ query: { empresa: EMPRESA } }), async (req, res) => {
+  try {
+    const regras = await listarRegrasAlerta({ workspaceId: req.workspace.id, empresa: req.query.empresa });
+
+    res.json({ 
+      sucesso: true,
+      total: regras.length,
+      regras: regras 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar regras de alerta');
+  }
+});
+
+// PUT /api/alertas/regras/:id
+// Body: { nome?, parametros?, severidade?, ativo? } (o tipo não muda)
+const ESQUEMA_ATUALIZAR_REGRA = {
+  params: PARAMS_ID,
+  body: {
+    nome: texto({ max: 200 }),
+    parametros: objeto(),
+    severidade: SEVERIDADE,
+    ativo: booleano()
+  }
+};
+
+app.put('/api/alertas/regras/:id', validar(ESQUEMA_ATUALIZAR_REGRA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nome, parametros, severidade, ativo } = req.body;
+
+    const existente = await obterRegraAlerta(id, req.workspace.id);
+    if (!existente) {
+      throw new ErroNaoEncontrado('REGRA_ALERTA_NAO_ENCONTRADA', 'Regra de alerta não encontrada');
+    }
+
+    if (parametros !== undefined) {
+      conferirParametros(existente.tipo, parametros);
+    }
+
+    const regra = await atualizarRegraAlerta(id, { nome, parametros, severidade, ativo }, req.workspace.id);
+
+    res.json({ 
+      sucesso: true,
+      regra: regra 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao atualizar regra de alerta');
+  }
+});
+
+// DELETE /api/alertas/regras/:id
+// Os alertas já disparados continuam registrados
+app.delete('/api/alertas/regras/:id', validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const removida = await removerRegraAlerta(req.params.id, req.workspace.id);
+
+    if (!removida) {
+      throw new ErroNaoEncontrado('REGRA_ALERTA_NAO_ENCONTRADA', 'Regra de alerta não encontrada');
+    }
+
+    res.json({ 
+      sucesso: true,
+      mensagem: 'Regra de alerta removida' 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao remover regra de alerta');
+  }
+});
+
+// ========================================
+// ALERTAS DISPARADOS
+// ========================================
+// GET /api/alertas?empresa=&status=aberto|reconhecido|resolvido&severidade=&limite=50
+// Abertos e mais graves primeiro
+const STATUS_ALERTA = ['aberto', 'reconhecido', 'resolvido'];
+
+const ESQUEMA_ALERTAS = {
+  query: {
+    empresa: EMPRESA,
+    status: opcao(STATUS_ALERTA, { minusculas: true }),
+    severidade: SEVERIDADE,
+    limite: campoLimite(50, 500)
+  }
+};
+
+app.get('/api/alertas', validar(ESQUEMA_ALERTAS), async (req, res) => {
+  try {
+    const { empresa, status, severidade, limite } = req.query;
+
+    const alertas = await listarAlertas({ workspaceId: req.workspace.id, empresa, status, severidade, limite });
+
+    res.json({ 
+      sucesso: true,
+      total: alertas.length,
+      alertas: alertas 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao listar alertas');
+  }
+});
+
+// POST /api/alertas/:id/reconhecer  Body: { usuario?, comentario? }
+// POST /api/alertas/:id/resolver    Body: { usuario?, comentario? }
+async function responderMudancaAlerta(req, res, novoStatus) {
+  try {
+    const { usuario, comentario } = req.body;
+    const resultado = await alterarStatusAlerta(req.params.id, novoStatus, {
+      usuario,
+      comentario,
+      workspaceId: req.workspace.id
+    });
+
+    if (resultado.erro === 'NAO_ENCONTRADO') {
+      throw new ErroNaoEncontrado('ALERTA_NAO_ENCONTRADO', 'Alerta não encontrado');
+    }
+
+    if (resultado.erro === 'TRANSICAO_INVALIDA') {
+      throw new ErroConflito('TRANSICAO_INVALIDA', `Alerta já está ${resultado.status}`);
+    }
+
+    res.json({ 
+      sucesso: true,
+      alerta: resultado.alerta 
+    });
+  } catch (erro) {
+    responderErro(res, erro, 'Erro ao atualizar alerta');
+  }
+}
+
+const ESQUEMA_MUDANCA_ALERTA = {
+  params: PARAMS_ID,
+  body: { usuario: texto({ max: 100 }), comentario: texto({ max: 1000 }) }
+};
+
+app.post('/api/alertas/:id/reconhecer', validar(ESQUEMA_MUDANCA_ALERTA), (req, res) => responderMudancaAlerta(req, res, 'reconhecido'));
+app.post('/api/alertas/:id/resolver', validar(ESQUEMA_MUDANCA_ALERTA), (req, res) => responderMudancaAlerta(req, res, 'resolvido'));
+
+// ========================================
+// ROTA INEXISTENTE E TRATADOR DE ERROS
+// ========================================
+// Tudo que não respondeu acima cai aqui. Erros passados com
+// next(erro) (autenticação, validação, JSON malformado) saem no
+// mesmo formato das rotas: { sucesso: false, erro: { codigo, mensagem } }
+app.use((req, res, next) => {
+  next(new ErroNaoEncontrado('ROTA_NAO_ENCONTRADA', `Rota não encontrada: ${req.method} ${req.originalUrl}`));
+});
+
+// Erros do express.json() vêm com type e status próprios
+const ERROS_CORPO = {
+  'entity.parse.failed': { codigo: 'JSON_INVALIDO', mensagem: 'O corpo da requisição não é um JSON válido' },
+  'entity.too.large': { codigo: 'CORPO_MUITO_GRANDE', mensagem: 'O corpo da requisição é grande demais' }
+};
+
+app.use((erro, req, res, next) => {
+  if (!descreverErro(erro) && erro.expose && erro.status >= 400 && erro.status < 500) {
+    const { codigo, mensagem } = ERROS_CORPO[erro.type] || { codigo: 'REQUISICAO_INVALIDA', mensagem: erro.message };
+    return responderErro(res, new ErroApi(mensagem, { codigo, status: erro.status }));
+  }
+
+  responderErro(res, erro);
+});
+
+// ========================================
+// INICIAR O SERVIDOR
+// ========================================
+app.listen(PORT, () => {
+  console.log('========================================');
+  console.log(`🚀 Servidor rodando na porta ${PORT}`);
+  console.log(`📡 API disponível em: http://localhost:${PORT}`);
   console.log('========================================');
   console.log('\n📋 Rotas disponíveis:');
   console.log('  GET  /                             - Status do servidor');
+  console.log('  POST /api/auth/token               - Trocar chave de API por JWT');
+  console.log('  GET  /api/auth/eu                  - Quem está autenticado');
+  console.log('  *    /api/auth/keys                - Gerenciar chaves de API (admin)');
+  console.log('  *    /api/workspaces               - Workspaces (criar: chave mestra)');
   console.log('  POST /api/monitoramento/iniciar    - Iniciar monitoramento');
   console.log('  POST /api/monitoramento/parar      - Parar monitoramento');
   console.log('  GET  /api/monitoramento/lista      - Listar monitoramentos');
+  console.log('  GET  /api/monitoramento/consistencia - Verificar banco x jobs');
+  console.log('  GET  /api/monitoramento/:empresa/status    - Status e última execução');
+  console.log('  GET  /api/monitoramento/:empresa/execucoes - Histórico de execuções');
+  console.log('  POST /api/monitoramento/:empresa/executar  - Executar agora');
+  console.log('  GET  /api/reclamacoes              - Listar com filtros e cursor');
+  console.log('  GET  /api/reclamacoes/busca?q=     - Busca textual com trechos');
+  console.log('  GET  /api/reclamacoes/export       - Exportar CSV, XLSX ou NDJSON');
   console.log('  GET  /api/reclamacoes/:empresa     - Buscar reclamações salvas');
+  console.log('  GET  /api/reclamacoes/:id/similares - Reclamações quase iguais');
+  console.log('  GET  /api/reclamacoes/:empresa/:idExterno - Reclamação completa');
+  console.log('  GET  /api/reclamacoes/:empresa/:id/historico - Histórico de mudanças');
+  console.log('  PUT  /api/reclamacoes/:empresa/:idExterno/categorias - Corrigir categorias');
+  console.log('  GET  /api/categorias               - Categorias e estado do modelo');
+  console.log('  POST /api/categorias/treinar       - Treinar modelo com as correções');
+  console.log('  GET  /api/empresas/buscar?q=       - Pesquisar empresas (slug)');
+  console.log('  GET  /api/empresas/:empresa/reputacao - Reputação ao longo do tempo');
+  console.log('  GET  /api/estatisticas              - KPIs gerais por período');
+  console.log('  GET  /api/estatisticas/:empresa    - KPIs da empresa por período');
+  console.log('  GET  /api/estatisticas/:empresa/regioes - Reclamações por UF e cidade');
+  console.log('  GET  /api/tendencias               - Grupos de reclamações em alta');
+  console.log('  GET  /api/anomalias                - Picos de volume detectados');
   console.log('  GET  /api/buscar/:empresa          - Buscar reclamações agora');
+  console.log('  *    /api/webhooks                 - Gerenciar webhooks');
+  console.log('  *    /api/relatorios               - Resumos por e-mail (diário/semanal)');
+  console.log('  *    /api/alertas/regras           - Regras de alerta por empresa');
+  console.log('  GET  /api/alertas                  - Alertas (mais urgentes primeiro)');
+  console.log('  POST /api/alertas/:id/reconhecer|resolver - Tratar alerta');
+
+  if (!CONFIG_AUTH.CHAVE_ADMIN) {
+    console.warn('⚠️  API_KEY_ADMIN não definida: só chaves já cadastradas dão acesso à API');
+  }
+  if (CONFIG_AUTH.CORS_ORIGENS.length === 0) {
+    console.log('ℹ️  CORS_ORIGENS não definida: pelo navegador, só a mesma origem chama a API');
+  } else if (CONFIG_AUTH.CORS_ORIGENS.includes('*')) {
+    console.warn('⚠️  CORS_ORIGENS=*: qualquer origem pode chamar a API pelo navegador');
+  }
   console.log('\n✅ Pronto para receber requisições!\n');
+
+  // Recria os jobs salvos no banco (eles só existem em memória)
+  restaurarMonitoramentos().catch((erro) => {
+    console.error('❌ Erro ao restaurar monitoramentos:', erro);
+  });
+
+  // Reenvia periodicamente as entregas de webhook que falharam
+  iniciarReenvios();
+
+  // Envia os resumos por e-mail nos horários configurados
+  iniciarRelatorios();
 });
 
 // Tratamento de erros não capturados
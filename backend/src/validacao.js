@@ -0,0 +1,283 @@
+// ========================================
+// VALIDAÇÃO - ESQUEMAS DE BODY, PARAMS E QUERY
+// ========================================
+// Este arquivo descreve o formato esperado das entradas de cada
+// rota e confere (e converte) os valores antes de chegar ao
+// handler. Na query tudo chega como texto: inteiro(), numero() e
+// booleano() fazem a conversão e recusam o que não for número
+
+const { ErroValidacao } = require('./erros');
+
+// ========================================
+// CÓDIGOS DE ERRO
+// ========================================
+// "intervalo" -> INTERVALO_INVALIDO, "data_de" -> DATA_DE_INVALIDO
+function codigoInvalido(campo) {
+  const base = campo
+    .replace(/\[\d+\]$/, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toUpperCase();
+
+  return `${base}_INVALIDO`;
+}
+
+// Erro de um campo só, para as conferências que dependem do banco
+// ou de outro campo (ex: período com `de` depois de `ate`)
+function erroDeCampo(campo, mensagem, local = 'query', codigo = codigoInvalido(campo)) {
+  return new ErroValidacao([{ campo, local, codigo, mensagem }]);
+}
+
+// Lançado pelos tipos abaixo; vira uma falha com o nome do campo
+class FalhaCampo extends Error {}
+
+function falhar(mensagem) {
+  throw new FalhaCampo(mensagem);
+}
+
+// ========================================
+// TIPOS
+// ========================================
+// Cada tipo é { converter, obrigatorio, padrao }. converter recebe
+// o valor presente e retorna o valor convertido (ou chama falhar)
+function campo(converter, { obrigatorio = false, padrao } = {}) {
+  return { converter, obrigatorio, padrao };
+}
+
+// opcoes.opcoes: lista de valores aceitos
+// opcoes.formato: regex que o valor precisa casar (descrita em `descricao`)
+// opcoes.ajustar: normaliza o valor; null/undefined indica inválido (`descricao`)
+function texto(opcoes = {}) {
+  const { max = 500, minusculas = false, formato, ajustar, descricao } = opcoes;
+
+  return campo((valor) => {
+    if (typeof valor !== 'string') falhar('deve ser um texto');
+
+    let resultado = valor.trim();
+    if (minusculas) resultado = resultado.toLowerCase();
+
+    if (!resultado) falhar('não pode ser vazio');
+    if (resultado.length > max) falhar(`deve ter no máximo ${max} caracteres`);
+
+    if (opcoes.opcoes && !opcoes.opcoes.includes(resultado)) {
+      falhar(`deve ser um de: ${opcoes.opcoes.join(', ')}`);
+    }
+
+    if (formato && !formato.test(resultado)) {
+      falhar(descricao || 'tem formato inválido');
+    }
+
+    if (ajustar) {
+      const ajustado = ajustar(resultado);
+      if (ajustado === null || ajustado === undefined) falhar(descricao || 'é inválido');
+      resultado = ajustado;
+    }
+
+    return resultado;
+  }, opcoes);
+}
+
+function opcao(lista, opcoes = {}) {
+  return texto({ ...opcoes, opcoes: lista });
+}
+
+function faixa(tipo, min, max) {
+  if (min !== -Infinity && max !== Infinity) return `deve ser ${tipo} entre ${min} e ${max}`;
+  if (min !== -Infinity) return `deve ser ${tipo} maior ou igual a ${min}`;
+  if (max !== Infinity) return `deve ser ${tipo} menor ou igual a ${max}`;
+  return `deve ser ${tipo}`;
+}
+
+function inteiro(opcoes = {}) {
+  const { min = -Infinity, max = Infinity } = opcoes;
+
+  return campo((valor) => {
+    const numero = typeof valor === 'number'
+      ? valor
+      : (typeof valor === 'string' && /^\s*-?\d+\s*$/.test(valor) ? Number(valor) : NaN);
+
+    if (!Number.isSafeInteger(numero) || numero < min || numero > max) {
+      falhar(faixa('um inteiro', min, max));
+    }
+
+    return numero;
+  }, opcoes);
+}
+
+function numero(opcoes = {}) {
+  const { min = -Infinity, max = Infinity } = opcoes;
+
+  return campo((valor) => {
+    const resultado = typeof valor === 'number'
+      ? valor
+      : (typeof valor === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(valor) ? Number(valor) : NaN);
+
+    if (!Number.isFinite(resultado) || resultado < min || resultado > max) {
+      falhar(faixa('um número', min, max));
+    }
+
+    return resultado;
+  }, opcoes);
+}
+
+function booleano(opcoes = {}) {
+  return campo((valor) => {
+    if (valor === true || valor === 'true') return true;
+    if (valor === false || valor === 'false') return false;
+    return falhar('deve ser true ou false');
+  }, opcoes);
+}
+
+// Mantém o texto (as rotas decidem se é início ou fim do dia)
+function data(opcoes = {}) {
+  return campo((valor) => {
+    if (typeof valor !== 'string' || Number.isNaN(Date.parse(valor))) {
+      falhar('deve ser uma data válida (use o formato AAAA-MM-DD)');
+    }
+
+    return valor.trim();
+  }, opcoes);
+}
+
+function email(opcoes = {}) {
+  return texto({ ...opcoes, formato: /^[^\s@]+@[^\s@]+$/, descricao: 'deve ser um e-mail válido' });
+}
+
+function urlHttp(opcoes = {}) {
+  return texto({
+    max: 2000,
+    ...opcoes,
+    ajustar: (valor) => {
+      try {
+        const { protocol } = new URL(valor);
+        return protocol === 'http:' || protocol === 'https:' ? valor : null;
+      } catch (erro) {
+        return null;
+      }
+    },
+    descricao: 'deve ser uma url http ou https'
+  });
+}
+
+// Objeto livre (a rota confere o conteúdo)
+function objeto(opcoes = {}) {
+  return campo((valor) => {
+    if (!valor || typeof valor !== 'object' || Array.isArray(valor)) falhar('deve ser um objeto');
+    return valor;
+  }, opcoes);
+}
+
+// item: outro tipo, aplicado a cada elemento.
+// opcoes.separador: na query, aceita "a,b,c" além de valores repetidos
+// opcoes.unicos: remove repetidos mantendo a ordem
+function lista(item, opcoes = {}) {
+  const { min = 0, max = 100, separador, unicos = false } = opcoes;
+
+  return campo((valor) => {
+    let itens = valor;
+
+    if (separador && typeof valor === 'string') {
+      itens = valor.split(separador).map(parte => parte.trim()).filter(Boolean);
+    }
+
+    if (!Array.isArray(itens)) falhar('deve ser uma lista');
+    if (itens.length < min) falhar(min === 1 ? 'não pode ser vazia' : `deve ter pelo menos ${min} itens`);
+    if (itens.length > max) falhar(`deve ter no máximo ${max} itens`);
+
+    const convertidos = itens.map((elemento, indice) => {
+      try {
+        return item.converter(elemento);
+      } catch (erro) {
+        if (!(erro instanceof FalhaCampo)) throw erro;
+        throw new FalhaCampo(`tem item inválido na posição ${indice}: ${erro.message}`);
+      }
+    });
+
+    return unicos ? [...new Set(convertidos)] : convertidos;
+  }, opcoes);
+}
+
+// ========================================
+// CONFERIR UM ESQUEMA
+// ========================================
+// esquema: { campo: tipo }. Ausente = undefined, null ou "".
+// Retorna { valores, falhas }
+function conferir(esquema, dados, local) {
+  const valores = {};
+  const falhas = [];
+
+  if (!dados || typeof dados !== 'object' || Array.isArray(dados)) {
+    falhas.push({ campo: local, local, codigo: 'CORPO_INVALIDO', mensagem: 'O corpo deve ser um objeto JSON' });
+    return { valores, falhas };
+  }
+
+  for (const [nome, tipo] of Object.entries(esquema)) {
+    const valor = dados[nome];
+
+    if (valor === undefined || valor === null || valor === '') {
+      if (tipo.obrigatorio) {
+        falhas.push({ campo: nome, local, codigo: 'CAMPO_OBRIGATORIO', mensagem: `${nome} é obrigatório` });
+      } else {
+        valores[nome] = tipo.padrao;
+      }
+      continue;
+    }
+
+    try {
+      valores[nome] = tipo.converter(valor);
+    } catch (erro) {
+      if (!(erro instanceof FalhaCampo)) throw erro;
+      falhas.push({ campo: nome, local, codigo: codigoInvalido(nome), mensagem: `${nome} ${erro.message}` });
+    }
+  }
+
+  return { valores, falhas };
+}
+
+// ========================================
+// MIDDLEWARE
+// ========================================
+// validar({ params, query, body }): confere cada parte informada e
+// troca os valores em req pelos convertidos (campos fora do esquema
+// continuam lá). Com alguma falha, segue para o tratador de erros
+// com um ErroValidacao listando todas
+const PARTES = ['params', 'query', 'body'];
+
+function validar(esquemas) {
+  return (req, res, next) => {
+    const falhas = [];
+
+    for (const parte of PARTES) {
+      if (!esquemas[parte]) continue;
+
+      const resultado = conferir(esquemas[parte], req[parte], parte);
+      falhas.push(...resultado.falhas);
+
+      if (resultado.falhas.length === 0) {
+        Object.assign(req[parte], resultado.valores);
+      }
+    }
+
+    if (falhas.length > 0) {
+      return next(new ErroValidacao(falhas));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  texto,
+  opcao,
+  inteiro,
+  numero,
+  booleano,
+  data,
+  email,
+  urlHttp,
+  objeto,
+  lista,
+  validar,
+  erroDeCampo
+};
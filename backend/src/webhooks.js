@@ -0,0 +1,239 @@
+// ========================================
+// WEBHOOKS - NOTIFICAÇÕES PARA SISTEMAS EXTERNOS
+// ========================================
+// Este arquivo envia um POST assinado para cada webhook
+// cadastrado quando chegam reclamações novas ou quando
+// o status de uma reclamação muda
+
+const crypto = require('crypto');
+const axios = require('axios');
+const cron = require('node-cron');
+const {
+  enfileirarEntregas,
+  listarEntregasPendentes,
+  registrarTentativaEntrega
+} = require('./database');
+
+// ========================================
+// CONFIGURAÇÕES
+// ========================================
+const CONFIG = {
+  // Tempo máximo de espera pela resposta do destino
+  TIMEOUT: 10000, // 10 segundos
+
+  // Depois disso a entrega é marcada como 'falhou'
+  MAX_TENTATIVAS: 6,
+
+  // Espera antes da 2ª tentativa; dobra a cada nova falha
+  BACKOFF_BASE: 30 * 1000, // 30 segundos
+
+  // Quantas entregas pendentes são processadas por rodada
+  LOTE_REENVIO: 50,
+
+  // Frequência da rodada de reenvio
+  CRON_REENVIO: '* * * * *' // A cada minuto
+};
+
+// Eventos que podem ser assinados
+const EVENTOS = {
+  RECLAMACAO_NOVA: 'reclamacao.nova',
+  STATUS_ALTERADO: 'reclamacao.status_alterado',
+  ANOMALIA_VOLUME: 'volume.anomalia'
+};
+
+// ========================================
+// ASSINATURA (HMAC)
+// ========================================
+// O destino recalcula o HMAC-SHA256 do corpo cru com o
+// segredo do webhook e compara com o cabeçalho
+function gerarSegredo() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function assinar(corpo, segredo) {
+  return 'sha256=' + crypto.createHmac('sha256', segredo).update(corpo).digest('hex');
+}
+
+// ========================================
+// BACKOFF
+// ========================================
+// 30s, 1min, 2min, 4min, 8min...
+function calcularBackoff(tentativas) {
+  return CONFIG.BACKOFF_BASE * Math.pow(2, Math.max(tentativas - 1, 0));
+}
+
+// ========================================
+// ENVIAR UMA ENTREGA
+// ========================================
+// `entrega` é uma linha de webhook_entregas com url e segredo
+async function enviarEntrega(entrega) {
+  const corpo = JSON.stringify(entrega.payload);
+  const tentativas = entrega.tentativas + 1;
+
+  try {
+    const resposta = await axios.post(entrega.url, corpo, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'reclame-aqui-bot-webhooks',
+        'X-Webhook-Evento': entrega.evento,
+        'X-Webhook-Entrega': String(entrega.id),
+        'X-Webhook-Assinatura': assinar(corpo, entrega.segredo)
+      },
+      timeout: CONFIG.TIMEOUT
+    });
+
+    await registrarTentativaEntrega(entrega.id, {
+      status: 'entregue',
+      statusHttp: resposta.status
+    });
+
+    return true;
+
+  } catch (erro) {
+    const statusHttp = erro.response ? erro.response.status : null;
+    const desistir = tentativas >= CONFIG.MAX_TENTATIVAS;
+
+    await registrarTentativaEntrega(entrega.id, {
+      status: desistir ? 'falhou' : 'pendente',
+      statusHttp: statusHttp,
+      erro: erro.message,
+      proximaTentativaEm: desistir ? null : new Date(Date.now() + calcularBackoff(tentativas))
+    });
+
+    console.error(
+      `⚠️  Webhook ${entrega.webhook_id} (${entrega.evento}) falhou na tentativa ${tentativas}` +
+      (desistir ? ', desistindo' : '') + `: ${erro.message}`
+    );
+
+    return false;
+  }
+}
+
+// ========================================
+// DISPARAR EVENTO
+// ========================================
+// Só registra uma entrega pendente para cada webhook interessado:
+// quem envia é a rodada de reenvio, acordada logo em seguida sem
+// ser esperada. Assim um destino lento não segura a execução do
+// monitoramento (alertas, anomalias e detalhes vêm depois dela)
+async function dispararEvento(empresa, evento, dados) {
+  const payload = {
+    evento: evento,
+    empresa: empresa,
+    enviado_em: new Date().toISOString(),
+    dados: dados
+  };
+
+  const entregas = await enfileirarEntregas(empresa, evento, payload);
+
+  if (entregas.length > 0) {
+    setImmediate(processarPendentes);
+  }
+
+  return entregas.length;
+}
+
+// ========================================
+// NOTIFICAR RESULTADO DE UMA COLETA
+// ========================================
+// Recebe o retorno de salvarReclamacoesDB
+async function notificarColeta(empresa, { inseridas = [], mudancas = [] }) {
+  let disparos = 0;
+
+  for (const reclamacao of inseridas) {
+    disparos += await dispararEvento(empresa, EVENTOS.RECLAMACAO_NOVA, {
+      reclamacao: reclamacao
+    });
+  }
+
+  for (const mudanca of mudancas.filter(item => item.campo === 'status')) {
+    disparos += await dispararEvento(empresa, EVENTOS.STATUS_ALTERADO, {
+      id_externo: mudanca.idExterno,
+      status_anterior: mudanca.anterior,
+      status_novo: mudanca.novo
+    });
+  }
+
+  if (disparos > 0) {
+    console.log(`🔔 ${disparos} notificações de webhook enfileiradas para ${empresa}`);
+  }
+
+  return disparos;
+}
+
+// ========================================
+// RODADA DE ENVIO
+// ========================================
+// Envia as entregas pendentes que já podem sair (novas e as que
+// esperavam o backoff), em lotes, até não sobrar nenhuma no prazo
+let processando = false;
+
+async function processarPendentes() {
+  // Evita duas rodadas ao mesmo tempo se uma demorar mais de um minuto
+  if (processando) return 0;
+  processando = true;
+
+  try {
+    let processadas = 0;
+    let entregues = 0;
+    let lote;
+
+    do {
+      lote = await listarEntregasPendentes(CONFIG.LOTE_REENVIO);
+
+      for (const entrega of lote) {
+        if (await enviarEntrega(entrega)) entregues++;
+      }
+
+      processadas += lote.length;
+    } while (lote.length === CONFIG.LOTE_REENVIO);
+
+    if (processadas > 0) {
+      console.log(`🔁 Envio de webhooks: ${entregues}/${processadas} entregues`);
+    }
+
+    return entregues;
+
+  } catch (erro) {
+    console.error('❌ Erro na rodada de reenvio de webhooks:', erro.message);
+    return 0;
+  } finally {
+    processando = false;
+  }
+}
+
+// ========================================
+// INICIAR / PARAR REENVIOS
+// ========================================
+let jobReenvio = null;
+
+function iniciarReenvios() {
+  if (jobReenvio) return;
+
+  jobReenvio = cron.schedule(CONFIG.CRON_REENVIO, () => {
+    processarPendentes();
+  });
+
+  console.log('🔁 Reenvio de webhooks agendado');
+}
+
+function pararReenvios() {
+  if (jobReenvio) {
+    jobReenvio.stop();
+    jobReenvio = null;
+  }
+}
+
+// ========================================
+// EXPORTA AS FUNÇÕES
+// ========================================
+module.exports = {
+  EVENTOS,
+  gerarSegredo,
+  assinar,
+  dispararEvento,
+  notificarColeta,
+  processarPendentes,
+  iniciarReenvios,
+  pararReenvios
+};
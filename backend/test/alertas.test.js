@@ -0,0 +1,127 @@
+// ========================================
+// TESTES - ALERTAS
+// ========================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { usarBancoFalso } = require('./apoio/bancoFalso');
+const { silenciarLogs } = require('./apoio/silenciarLogs');
+
+let regras = [];
+
+silenciarLogs();
+
+usarBancoFalso({
+  listarRegrasAlerta: async () => regras,
+  registrarAlertas: async (disparos) => disparos,
+  contarReclamacoesRecentes: async () => 0,
+  existeAlertaRecente: async () => false
+});
+
+const { validarParametros, verificarRegexSegura, conferirReclamacao, avaliarReclamacoes } = require('../src/alertas');
+
+// ========================================
+// VALIDAR PARÂMETROS
+// ========================================
+test('validarParametros confere os parâmetros de cada tipo', () => {
+  assert.strictEqual(validarParametros('palavra_chave', { palavras: ['procon'] }), null);
+  assert.strictEqual(validarParametros('palavra_chave', { palavras: [' '] }), 'palavras deve ser uma lista de textos');
+  assert.strictEqual(validarParametros('local', { uf: 'São Paulo', cidade: 'Campinas' }), null);
+  assert.strictEqual(validarParametros('local', { uf: 'XX' }), 'uf inválida');
+  assert.strictEqual(validarParametros('volume', { quantidade: 10, horas: 6 }), null);
+  assert.strictEqual(validarParametros('volume', { quantidade: 10, horas: 1000 }), 'horas deve ser um inteiro entre 1 e 720');
+  assert.match(validarParametros('regex', { padrao: 'a', campos: ['local'] }), /^campos deve ser/);
+  assert.match(validarParametros('outro', {}), /^tipo deve ser um de/);
+});
+
+test('validarParametros recusa regex inválida ou grande demais', () => {
+  assert.match(validarParametros('regex', { padrao: '(abc' }), /^padrao inválido/);
+  assert.match(validarParametros('regex', { padrao: 'a'.repeat(201) }), /até 200 caracteres/);
+});
+
+// ========================================
+// REGEX SEGURA
+// ========================================
+test('recusa padrões com backtracking exponencial', () => {
+  for (const padrao of ['(a+)+$', '(a*)*b', '(\\w+\\s?)*$', '((ab)*c)+', '(a|ab)+', '(?:x|y)*z', '(a+){2,}']) {
+    assert.ok(verificarRegexSegura(padrao), `${padrao} deveria ser recusado`);
+    assert.ok(validarParametros('regex', { padrao }), `${padrao} deveria ser recusado`);
+  }
+});
+
+test('recusa referências a grupos', () => {
+  assert.match(verificarRegexSegura('(a+)\\1'), /referências a grupos/);
+  assert.match(verificarRegexSegura('(?<x>a)\\k<x>'), /referências a grupos/);
+});
+
+test('aceita os padrões comuns', () => {
+  for (const padrao of [
+    'advogad[oa]',
+    'procon|processo',
+    '(procon|processo) judicial',
+    '\\d{3}\\.\\d{3}\\.\\d{3}-\\d{2}',
+    '(ab){2}',
+    '(a+)?',
+    '[(+)]+',
+    'a{2,3}b+',
+    '\\(\\w+\\)+'
+  ]) {
+    assert.strictEqual(verificarRegexSegura(padrao), null, `${padrao} deveria ser aceito`);
+  }
+});
+
+// ========================================
+// CONFERIR RECLAMAÇÃO
+// ========================================
+const RECLAMACAO = {
+  id: 'abc',
+  reclamacaoId: 1,
+  titulo: 'Vou acionar o PROCON',
+  descricao: 'Já falei com meu advogado sobre os processos',
+  local: 'Campinas - SP'
+};
+
+test('palavra-chave casa no início da palavra, sem acento e caixa', () => {
+  const regra = { tipo: 'palavra_chave', parametros: { palavras: ['Procón', 'processo'] } };
+  assert.deepStrictEqual(conferirReclamacao(regra, RECLAMACAO).dados, { campo: 'titulo', termo: 'procon' });
+
+  const soDescricao = { tipo: 'palavra_chave', parametros: { palavras: ['processo'], campos: ['descricao'] } };
+  assert.deepStrictEqual(conferirReclamacao(soDescricao, RECLAMACAO).dados, { campo: 'descricao', termo: 'processo' });
+
+  const meioDaPalavra = { tipo: 'palavra_chave', parametros: { palavras: ['vogado'] } };
+  assert.strictEqual(conferirReclamacao(meioDaPalavra, RECLAMACAO), null);
+});
+
+test('regex devolve o trecho encontrado', () => {
+  const regra = { tipo: 'regex', parametros: { padrao: 'advogad[oa]' } };
+  assert.deepStrictEqual(conferirReclamacao(regra, RECLAMACAO).dados, { campo: 'descricao', trecho: 'advogado' });
+});
+
+test('local compara UF e cidade', () => {
+  assert.ok(conferirReclamacao({ tipo: 'local', parametros: { uf: 'sp', cidade: 'campinas' } }, RECLAMACAO));
+  assert.strictEqual(conferirReclamacao({ tipo: 'local', parametros: { uf: 'RJ' } }, RECLAMACAO), null);
+});
+
+// ========================================
+// TEMPO MÁXIMO DA REGEX
+// ========================================
+test('regex que trava é interrompida e a regra é ignorada no lote', async () => {
+  // Regras antigas não passaram pela validação nova
+  regras = [
+    { id: 1, workspace_id: 1, nome: 'Perigosa', tipo: 'regex', severidade: 'alta', parametros: { padrao: '(a+)+$' } },
+    { id: 2, workspace_id: 1, nome: 'Procon', tipo: 'palavra_chave', severidade: 'media', parametros: { palavras: ['procon'] } }
+  ];
+
+  const inseridas = [
+    { ...RECLAMACAO, reclamacaoId: 1, titulo: 'a'.repeat(40) + '!', descricao: 'Vou ao Procon' },
+    { ...RECLAMACAO, reclamacaoId: 2, titulo: 'a'.repeat(40) + '!', descricao: 'Vou ao Procon' }
+  ];
+
+  const inicio = Date.now();
+  const alertas = await avaliarReclamacoes('Acme', inseridas);
+  const duracao = Date.now() - inicio;
+
+  // Uma execução interrompida só; a segunda reclamação nem é conferida
+  assert.ok(duracao < 1000, `demorou ${duracao}ms`);
+  assert.deepStrictEqual(alertas.map(alerta => alerta.regraId), [2, 2]);
+});
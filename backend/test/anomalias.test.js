@@ -0,0 +1,94 @@
+// ========================================
+// TESTES - ANOMALIAS
+// ========================================
+// As contagens semanais vêm de um banco falso
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { usarBancoFalso } = require('./apoio/bancoFalso');
+
+// contagens por granularidade: [atual, semana -1, semana -2, ...]
+let contagens = {};
+let primeiraReclamacao = null;
+let registradas = [];
+let eventos = [];
+
+usarBancoFalso({
+  contarJanelasSemanais: async (empresa, { inicio, fim }) => ({
+    contagens: contagens[fim - inicio === 60 * 60 * 1000 ? 'hora' : 'dia'],
+    primeiraReclamacao
+  }),
+  existeAnomaliaRecente: async () => false,
+  registrarAnomalia: async (anomalia) => {
+    registradas.push(anomalia);
+    return { id: registradas.length, ...anomalia };
+  },
+  enfileirarEntregas: async (empresa, evento) => {
+    eventos.push(evento);
+    return [];
+  }
+});
+
+const { calcularLinhaBase, detectarAnomalias } = require('../src/anomalias');
+
+const REFERENCIA = new Date('2024-03-15T12:00:00.000Z');
+const SEMANAS_ATRAS = (semanas) => new Date(REFERENCIA.getTime() - semanas * 7 * 24 * 60 * 60 * 1000);
+
+beforeEach(() => {
+  contagens = { hora: [0, 0, 0, 0, 0, 0, 0, 0, 0], dia: [0, 0, 0, 0, 0, 0, 0, 0, 0] };
+  primeiraReclamacao = SEMANAS_ATRAS(52);
+  registradas = [];
+  eventos = [];
+});
+
+// ========================================
+// LINHA DE BASE
+// ========================================
+test('calcularLinhaBase usa média e desvio padrão amostral', () => {
+  const { media, desvio } = calcularLinhaBase([10, 20, 30, 40]);
+
+  assert.strictEqual(media, 25);
+  assert.strictEqual(desvio, Math.sqrt(500 / 3));
+});
+
+test('desvio tem piso de √média (ou 1) para bases constantes', () => {
+  assert.deepStrictEqual(calcularLinhaBase([16, 16, 16]), { media: 16, desvio: 4 });
+  assert.deepStrictEqual(calcularLinhaBase([0, 0, 0]), { media: 0, desvio: 1 });
+  assert.deepStrictEqual(calcularLinhaBase([9]), { media: 9, desvio: 3 });
+});
+
+// ========================================
+// DETECTAR
+// ========================================
+test('pico acima do limiar vira anomalia e evento', async () => {
+  contagens.dia = [40, 10, 12, 8, 10, 11, 9, 10, 10];
+
+  const anomalias = await detectarAnomalias('Acme', REFERENCIA);
+
+  assert.strictEqual(anomalias.length, 1);
+  assert.strictEqual(registradas[0].granularidade, 'dia');
+  assert.strictEqual(registradas[0].total, 40);
+  assert.strictEqual(registradas[0].semanasBase, 8);
+  assert.ok(registradas[0].zScore >= 3);
+  assert.deepStrictEqual(eventos, ['volume.anomalia']);
+});
+
+test('volume abaixo do mínimo absoluto não é anomalia', async () => {
+  // 4 reclamações numa hora em que costuma ter zero: z alto, mas pouco
+  contagens.hora = [4, 0, 0, 0, 0, 0, 0, 0, 0];
+
+  assert.deepStrictEqual(await detectarAnomalias('Acme', REFERENCIA), []);
+});
+
+test('empresa sem semanas suficientes de histórico não é avaliada', async () => {
+  contagens.dia = [40, 10, 12, 8, 10, 11, 9, 10, 10];
+  primeiraReclamacao = SEMANAS_ATRAS(2.5);
+
+  assert.deepStrictEqual(await detectarAnomalias('Acme', REFERENCIA), []);
+
+  // Com três semanas completas já avalia
+  primeiraReclamacao = SEMANAS_ATRAS(4);
+  const anomalias = await detectarAnomalias('Acme', REFERENCIA);
+  assert.strictEqual(anomalias.length, 1);
+  assert.strictEqual(registradas[0].semanasBase, 3);
+});
@@ -0,0 +1,23 @@
+// ========================================
+// APOIO - BANCO FALSO
+// ========================================
+// database.js conecta no Postgres assim que é carregado. Os testes
+// registram no cache do require um módulo falso com só as funções
+// usadas pelo arquivo testado, antes de carregá-lo
+
+const path = require('path');
+
+const CAMINHO_DATABASE = path.join(__dirname, '..', '..', 'src', 'database.js');
+
+function usarBancoFalso(funcoes = {}) {
+  require.cache[CAMINHO_DATABASE] = {
+    id: CAMINHO_DATABASE,
+    filename: CAMINHO_DATABASE,
+    loaded: true,
+    exports: funcoes
+  };
+
+  return funcoes;
+}
+
+module.exports = { usarBancoFalso };
@@ -0,0 +1,17 @@
+// ========================================
+// APOIO - SILENCIAR LOGS
+// ========================================
+// Os módulos testados avisam o progresso com console.log. No Node 20
+// o runner lê o stdout do processo filho junto com as mensagens dos
+// testes, e um log no meio às vezes quebra a leitura ("Unable to
+// deserialize cloned data"). Os arquivos de teste desses módulos
+// silenciam log e info; warn e error (stderr) continuam aparecendo
+
+const { mock } = require('node:test');
+
+function silenciarLogs() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'info', () => {});
+}
+
+module.exports = { silenciarLogs };
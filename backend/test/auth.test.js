@@ -0,0 +1,175 @@
+// ========================================
+// TESTES - AUTENTICAÇÃO
+// ========================================
+// As chaves de API vêm de um banco falso
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { usarBancoFalso } = require('./apoio/bancoFalso');
+
+// Chaves "gravadas", por hash e por id
+let chaves = [];
+
+usarBancoFalso({
+  WORKSPACE_PADRAO: 'padrao',
+  buscarChaveApiPorHash: async (hash) => chaves.find(chave => chave.hash === hash && chave.ativo) || null,
+  buscarChaveApiAtiva: async (id) => chaves.find(chave => chave.id === id && chave.ativo) || null,
+  obterWorkspace: async (slug) => (slug === 'padrao' ? { id: 1, slug: 'padrao' } : null)
+});
+
+const {
+  CONFIG,
+  PAPEIS,
+  gerarChaveApi,
+  emitirToken,
+  autenticar,
+  autorizarPorMetodo,
+  opcoesCors
+} = require('../src/auth');
+
+CONFIG.CHAVE_ADMIN = 'mestra-de-teste';
+CONFIG.JWT_SEGREDO = 'segredo-de-teste';
+
+let chaveViewer;
+
+beforeEach(() => {
+  chaveViewer = gerarChaveApi();
+  chaves = [{
+    id: 7,
+    workspace_id: 2,
+    workspace: 'acme',
+    nome: 'Painel',
+    papel: PAPEIS.VIEWER,
+    hash: chaveViewer.hash,
+    ativo: true
+  }];
+});
+
+// Roda o middleware com um cabeçalho e devolve { erro, usuario }
+async function chamar(middleware, cabecalhos = {}, extra = {}) {
+  const req = {
+    ...extra,
+    get: (nome) => cabecalhos[nome.toLowerCase()]
+  };
+
+  const erro = await new Promise((resolve) => {
+    Promise.resolve(middleware(req, {}, resolve)).catch(resolve);
+  });
+
+  return { erro: erro || null, usuario: req.usuario };
+}
+
+function tokenDaChave() {
+  return emitirToken({ id: 7, nome: 'Painel', papel: PAPEIS.VIEWER, workspace: { id: 2, slug: 'acme' } });
+}
+
+// ========================================
+// CHAVES
+// ========================================
+test('gerarChaveApi devolve a chave, o prefixo visível e o hash', () => {
+  const { chave, prefixo, hash } = gerarChaveApi();
+
+  assert.match(chave, /^ra_[A-Za-z0-9_-]{43}$/);
+  assert.strictEqual(prefixo, chave.slice(0, 11));
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.notStrictEqual(gerarChaveApi().chave, chave);
+});
+
+test('sem credencial responde AUTENTICACAO_NECESSARIA', async () => {
+  const { erro } = await chamar(autenticar);
+  assert.strictEqual(erro.codigo, 'AUTENTICACAO_NECESSARIA');
+  assert.strictEqual(erro.status, 401);
+});
+
+test('chave mestra é admin global', async () => {
+  const { erro, usuario } = await chamar(autenticar, { 'x-api-key': 'mestra-de-teste' });
+
+  assert.strictEqual(erro, null);
+  assert.strictEqual(usuario.global, true);
+  assert.strictEqual(usuario.papel, PAPEIS.ADMIN);
+});
+
+test('chave de API ativa entra no workspace dela; revogada não', async () => {
+  const { usuario } = await chamar(autenticar, { authorization: `Bearer ${chaveViewer.chave}` });
+  assert.deepStrictEqual(usuario.workspace, { id: 2, slug: 'acme' });
+  assert.strictEqual(usuario.papel, PAPEIS.VIEWER);
+
+  chaves[0].ativo = false;
+  const { erro } = await chamar(autenticar, { authorization: `Bearer ${chaveViewer.chave}` });
+  assert.strictEqual(erro.codigo, 'CHAVE_INVALIDA');
+});
+
+// ========================================
+// JWT
+// ========================================
+test('token vale enquanto a chave que o emitiu estiver ativa', async () => {
+  const token = tokenDaChave();
+
+  const valido = await chamar(autenticar, { authorization: `Bearer ${token}` });
+  assert.strictEqual(valido.erro, null);
+  assert.strictEqual(valido.usuario.tipo, 'jwt');
+  assert.strictEqual(valido.usuario.id, '7');
+
+  chaves[0].ativo = false;
+  const revogado = await chamar(autenticar, { authorization: `Bearer ${token}` });
+  assert.strictEqual(revogado.erro.codigo, 'TOKEN_REVOGADO');
+  assert.strictEqual(revogado.erro.status, 401);
+});
+
+test('token de chave movida para outro workspace não vale', async () => {
+  const token = tokenDaChave();
+  chaves[0].workspace_id = 3;
+
+  const { erro } = await chamar(autenticar, { authorization: `Bearer ${token}` });
+  assert.strictEqual(erro.codigo, 'TOKEN_REVOGADO');
+});
+
+test('token com outro segredo é recusado', async () => {
+  const token = tokenDaChave();
+  CONFIG.JWT_SEGREDO = 'outro-segredo';
+
+  try {
+    const { erro } = await chamar(autenticar, { authorization: `Bearer ${token}` });
+    assert.strictEqual(erro.codigo, 'TOKEN_INVALIDO');
+  } finally {
+    CONFIG.JWT_SEGREDO = 'segredo-de-teste';
+  }
+});
+
+// ========================================
+// PAPÉIS
+// ========================================
+test('viewer só usa métodos de leitura', async () => {
+  const usuario = { papel: PAPEIS.VIEWER };
+
+  assert.strictEqual((await chamar(autorizarPorMetodo, {}, { method: 'GET', usuario })).erro, null);
+
+  const { erro } = await chamar(autorizarPorMetodo, {}, { method: 'POST', usuario });
+  assert.strictEqual(erro.codigo, 'PERMISSAO_INSUFICIENTE');
+  assert.strictEqual(erro.status, 403);
+});
+
+// ========================================
+// CORS
+// ========================================
+test('CORS fechado por padrão e aberto só quando configurado', async () => {
+  const origensAntes = CONFIG.CORS_ORIGENS;
+
+  try {
+    CONFIG.CORS_ORIGENS = [];
+    assert.deepStrictEqual(opcoesCors(), { origin: false });
+
+    CONFIG.CORS_ORIGENS = ['*'];
+    assert.deepStrictEqual(opcoesCors(), {});
+
+    CONFIG.CORS_ORIGENS = ['https://painel.empresa.com'];
+    const { origin } = opcoesCors();
+    const permitir = (origem) => new Promise(resolve => origin(origem, (erro, liberada) => resolve(liberada)));
+
+    assert.strictEqual(await permitir('https://painel.empresa.com'), true);
+    assert.strictEqual(await permitir('https://outro.site'), false);
+    assert.strictEqual(await permitir(undefined), true);
+  } finally {
+    CONFIG.CORS_ORIGENS = origensAntes;
+  }
+});
@@ -0,0 +1,99 @@
+// ========================================
+// TESTES - CATEGORIAS
+// ========================================
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  CONFIG,
+  listarCategorias,
+  categoriaExiste,
+  treinarModelo,
+  definirModelo,
+  modeloAtivo,
+  classificarReclamacao
+} = require('../src/categorias');
+
+afterEach(() => {
+  definirModelo(null);
+});
+
+// ========================================
+// DICIONÁRIOS
+// ========================================
+test('categorias padrão na ordem de declaração', () => {
+  assert.deepStrictEqual(
+    listarCategorias().map(categoria => categoria.id),
+    ['entrega', 'cobranca_indevida', 'atendimento', 'produto_defeituoso', 'cancelamento', 'reembolso']
+  );
+  assert.strictEqual(categoriaExiste('entrega'), true);
+  assert.strictEqual(categoriaExiste('constructor'), false);
+});
+
+test('termos casam no início da palavra, sem acento e caixa', () => {
+  assert.deepStrictEqual(
+    classificarReclamacao({ titulo: 'Pedido ATRASADO', descricao: 'Não recebi e quero o estorno' }),
+    ['entrega', 'reembolso']
+  );
+
+  // "reentrega" não começa com "entrega"
+  assert.deepStrictEqual(classificarReclamacao({ titulo: 'Reentregaram', descricao: '' }), []);
+  assert.deepStrictEqual(classificarReclamacao({}), []);
+});
+
+// ========================================
+// MODELO
+// ========================================
+// Reclamações sem termo do dicionário: só o modelo reconhece
+function amostras(quantidade) {
+  const lista = [];
+  for (let i = 0; i < quantidade; i++) {
+    lista.push({ titulo: 'Boleto pago em dobro na mensalidade', descricao: 'mensalidade boleto', categorias: ['cobranca_indevida'] });
+    lista.push({ titulo: 'Aplicativo trava no login', descricao: 'aplicativo login senha', categorias: [] });
+  }
+  return lista;
+}
+
+test('treinarModelo conta documentos e palavras por classe', () => {
+  const modelo = treinarModelo([
+    { titulo: 'Boleto duplicado', descricao: 'boleto', categorias: ['cobranca_indevida', 'atendimento'] },
+    { titulo: 'Oi', descricao: '', categorias: [] }
+  ]);
+
+  assert.strictEqual(modelo.documentos, 2);
+  assert.strictEqual(modelo.vocabulario, 2);
+  assert.deepStrictEqual(modelo.classes.cobranca_indevida.frequencias, { boleto: 2, duplicado: 1 });
+  assert.strictEqual(modelo.classes.atendimento.documentos, 1);
+
+  // Palavras curtas e comuns não contam
+  assert.deepStrictEqual(modelo.classes._nenhuma, { documentos: 1, palavras: 0, frequencias: {} });
+});
+
+test('modelo só entra em uso com amostras suficientes e duas classes', () => {
+  definirModelo(treinarModelo(amostras(CONFIG.MIN_AMOSTRAS / 2 - 1)));
+  assert.strictEqual(modeloAtivo(), false);
+
+  definirModelo(treinarModelo(amostras(CONFIG.MIN_AMOSTRAS / 2)));
+  assert.strictEqual(modeloAtivo(), true);
+
+  definirModelo(treinarModelo(amostras(CONFIG.MIN_AMOSTRAS).filter(amostra => amostra.categorias.length > 0)));
+  assert.strictEqual(modeloAtivo(), false);
+});
+
+test('modelo confiante acrescenta a categoria ao dicionário', () => {
+  const reclamacao = { titulo: 'Mensalidade com boleto errado', descricao: '' };
+  assert.deepStrictEqual(classificarReclamacao(reclamacao), []);
+
+  definirModelo(treinarModelo(amostras(CONFIG.MIN_AMOSTRAS)));
+
+  assert.deepStrictEqual(classificarReclamacao(reclamacao), ['cobranca_indevida']);
+  assert.deepStrictEqual(classificarReclamacao({ titulo: 'Aplicativo não abre o login', descricao: '' }), []);
+});
+
+test('palavra "constructor" não quebra o modelo', () => {
+  const modelo = treinarModelo([
+    { titulo: 'constructor constructor', descricao: '', categorias: ['atendimento'] }
+  ]);
+
+  assert.strictEqual(modelo.classes.atendimento.frequencias.constructor, 2);
+});
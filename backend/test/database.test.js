@@ -0,0 +1,257 @@
+// ========================================
+// TESTES - BANCO DE DADOS
+// ========================================
+// Rodam contra um Postgres de verdade (com pg_trgm), indicado em
+// DATABASE_URL_TESTE. Sem ela os testes são pulados. Use um banco só
+// para testes: as tabelas de reclamações são esvaziadas no início
+//
+//   DATABASE_URL_TESTE=postgres://usuario@localhost/reclame_teste npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenciarLogs } = require('./apoio/silenciarLogs');
+
+const URL_TESTE = process.env.DATABASE_URL_TESTE;
+const opcoes = { skip: !URL_TESTE && 'DATABASE_URL_TESTE não definida' };
+
+let banco;
+
+silenciarLogs();
+
+before(async () => {
+  if (!URL_TESTE) return;
+
+  // O módulo conecta ao ser carregado, com a DATABASE_URL do ambiente
+  process.env.DATABASE_URL = URL_TESTE;
+  banco = require('../src/database');
+  await banco.bancoPronto;
+
+  await consultar('TRUNCATE reclamacoes, reclamacoes_historico RESTART IDENTITY CASCADE');
+});
+
+after(async () => {
+  if (banco) await banco.fecharConexoes();
+});
+
+// Consulta direta, fora do módulo testado
+async function consultar(sql, params = []) {
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: URL_TESTE });
+  await client.connect();
+  try {
+    return await client.query(sql, params);
+  } finally {
+    await client.end();
+  }
+}
+
+function reclamacao(empresa, id, titulo, extra = {}) {
+  return {
+    id,
+    empresa,
+    titulo,
+    descricao: null,
+    status: 'Não respondida',
+    data: null,
+    local: null,
+    link: null,
+    coletadoEm: new Date('2026-10-01T12:00:00Z'),
+    ...extra
+  };
+}
+
+// Título gravado em cada id da empresa
+async function titulosPorId(empresa) {
+  const resultado = await consultar('SELECT id, titulo FROM reclamacoes WHERE empresa = $1', [empresa]);
+  return new Map(resultado.rows.map(linha => [linha.id, linha.titulo]));
+}
+
+// ========================================
+// SALVAR RECLAMAÇÕES (LOTE X LINHAS)
+// ========================================
+test('salvarReclamacoesDB: cada reclamação do lote recebe o id da sua linha', opcoes, async () => {
+  const empresa = 'Lote';
+  await banco.salvarReclamacoesDB([
+    reclamacao(empresa, 'e1', 'Entrega atrasada'),
+    reclamacao(empresa, 'e2', 'Produto com defeito')
+  ]);
+
+  const resultado = await banco.salvarReclamacoesDB([
+    reclamacao(empresa, 'n1', 'Cobrança indevida'),
+    reclamacao(empresa, null, 'Sem id A'),
+    reclamacao(empresa, 'e1', 'Entrega atrasada'),
+    reclamacao(empresa, 'e2', 'Produto com defeito', { status: 'Respondida' }),
+    reclamacao(empresa, null, 'Sem id B'),
+    // Repetida no lote: vale a última
+    reclamacao(empresa, 'n1', 'Cobrança indevida em dobro')
+  ]);
+
+  assert.deepStrictEqual(resultado.inseridas.map(r => r.titulo), ['Cobrança indevida em dobro', 'Sem id A', 'Sem id B']);
+  assert.deepStrictEqual(resultado.atualizadas.map(r => r.id), ['e2']);
+  assert.deepStrictEqual(resultado.inalteradas.map(r => r.id), ['e1']);
+
+  const titulos = await titulosPorId(empresa);
+  assert.strictEqual(titulos.size, 5);
+  for (const gravada of [...resultado.inseridas, ...resultado.atualizadas]) {
+    assert.strictEqual(titulos.get(gravada.reclamacaoId), gravada.titulo);
+  }
+
+  const [e2] = resultado.atualizadas;
+  assert.deepStrictEqual(resultado.mudancas, [{
+    reclamacaoId: e2.reclamacaoId,
+    idExterno: 'e2',
+    empresa,
+    campo: 'status',
+    anterior: 'Não respondida',
+    novo: 'Respondida'
+  }]);
+
+  const historico = await consultar(
+    'SELECT campo, valor_anterior, valor_novo FROM reclamacoes_historico WHERE reclamacao_id = $1',
+    [e2.reclamacaoId]
+  );
+  assert.deepStrictEqual(historico.rows, [{ campo: 'status', valor_anterior: 'Não respondida', valor_novo: 'Respondida' }]);
+});
+
+test('salvarReclamacoesDB: lote grande sem id não troca as linhas', opcoes, async () => {
+  const empresa = 'Lote grande';
+  const lote = [];
+  for (let i = 0; i < 300; i++) {
+    lote.push(reclamacao(empresa, i % 3 === 0 ? null : `g${i}`, `Reclamação número ${i}`));
+  }
+
+  const resultado = await banco.salvarReclamacoesDB(lote);
+
+  assert.strictEqual(resultado.inseridas.length, 300);
+  const titulos = await titulosPorId(empresa);
+  for (const gravada of resultado.inseridas) {
+    assert.strictEqual(titulos.get(gravada.reclamacaoId), gravada.titulo);
+  }
+});
+
+// ========================================
+// LISTAR RECLAMAÇÕES (CURSOR)
+// ========================================
+// Percorre todas as páginas seguindo o proximoCursor
+async function percorrerPaginas(filtros, opcoesLista) {
+  const ids = [];
+  let cursor = null;
+  let paginas = 0;
+
+  do {
+    const pagina = await banco.listarReclamacoes(filtros, { ...opcoesLista, cursor });
+    ids.push(...pagina.reclamacoes.map(r => r.id));
+    cursor = pagina.proximoCursor;
+    paginas++;
+  } while (cursor && paginas < 20);
+
+  return { ids, paginas };
+}
+
+test('listarReclamacoes: o cursor passa por todas as linhas empatadas, uma vez cada', opcoes, async () => {
+  const empresa = 'Cursor';
+  const lote = [];
+  for (let i = 0; i < 7; i++) {
+    // Mesmo coletado_em, sem data e mesmo status: tudo empatado, desempata pelo id
+    lote.push(reclamacao(empresa, `c${i}`, `Reclamação de cursor ${i}`));
+  }
+  const { inseridas } = await banco.salvarReclamacoesDB(lote);
+  const todos = inseridas.map(r => r.reclamacaoId).sort((a, b) => a - b);
+
+  for (const ordenar of ['coletado_em', 'data', 'status']) {
+    const desc = await percorrerPaginas({ empresa }, { ordenar, direcao: 'desc', limite: 3 });
+    assert.deepStrictEqual(desc.ids, [...todos].reverse(), `${ordenar} desc`);
+    assert.strictEqual(desc.paginas, 3);
+
+    const asc = await percorrerPaginas({ empresa }, { ordenar, direcao: 'asc', limite: 3 });
+    assert.deepStrictEqual(asc.ids, todos, `${ordenar} asc`);
+  }
+});
+
+test('listarReclamacoes: segue a ordem por valor e id entre páginas', opcoes, async () => {
+  const empresa = 'Cursor datas';
+  const lote = [];
+  for (let i = 0; i < 6; i++) {
+    // Duas reclamações por instante de coleta
+    const coletadoEm = new Date(Date.UTC(2026, 9, 1 + Math.floor(i / 2)));
+    lote.push(reclamacao(empresa, `d${i}`, `Reclamação por data ${i}`, { coletadoEm }));
+  }
+  await banco.salvarReclamacoesDB(lote);
+
+  const primeira = await banco.listarReclamacoes({ empresa }, { ordenar: 'coletado_em', direcao: 'desc', limite: 6 });
+  const { ids } = await percorrerPaginas({ empresa }, { ordenar: 'coletado_em', direcao: 'desc', limite: 1 });
+
+  assert.strictEqual(primeira.total, 6);
+  assert.strictEqual(primeira.proximoCursor, null);
+  assert.deepStrictEqual(ids, primeira.reclamacoes.map(r => r.id));
+  assert.deepStrictEqual(primeira.reclamacoes.map(r => r.id_externo), ['d5', 'd4', 'd3', 'd2', 'd1', 'd0']);
+});
+
+test('listarReclamacoes: cursor de outra ordenação é recusado', opcoes, async () => {
+  const empresa = 'Cursor';
+  const pagina = await banco.listarReclamacoes({ empresa }, { ordenar: 'coletado_em', direcao: 'desc', limite: 2 });
+
+  await assert.rejects(
+    banco.listarReclamacoes({ empresa }, { ordenar: 'data', direcao: 'desc', cursor: pagina.proximoCursor }),
+    { codigo: 'CURSOR_INVALIDO' }
+  );
+  await assert.rejects(
+    banco.listarReclamacoes({ empresa }, { cursor: 'nao-e-um-cursor' }),
+    { codigo: 'CURSOR_INVALIDO' }
+  );
+});
+
+// ========================================
+// AGRUPAR SIMILARES
+// ========================================
+async function gruposPorIdExterno(empresa) {
+  const resultado = await consultar(
+    'SELECT id, id_externo, cluster_id, agrupado_em FROM reclamacoes WHERE empresa = $1',
+    [empresa]
+  );
+  return new Map(resultado.rows.map(linha => [linha.id_externo, linha]));
+}
+
+test('agrupamento: só entra no grupo quem parece com a primeira reclamação', opcoes, async () => {
+  const empresa = 'Grupos';
+  // a ~ b e b ~ c, mas a e c são pouco parecidas
+  await banco.salvarReclamacoesDB([reclamacao(empresa, 'a', 'Pix enviado não caiu na conta')]);
+  await banco.salvarReclamacoesDB([reclamacao(empresa, 'b', 'Pix enviado não caiu na conta e o aplicativo travou')]);
+  await banco.salvarReclamacoesDB([reclamacao(empresa, 'c', 'O aplicativo travou e não caiu na conta')]);
+
+  const grupos = await gruposPorIdExterno(empresa);
+  const a = grupos.get('a');
+
+  assert.strictEqual(a.cluster_id, a.id);
+  assert.strictEqual(grupos.get('b').cluster_id, a.id);
+  assert.strictEqual(grupos.get('c').cluster_id, null);
+  for (const linha of grupos.values()) {
+    assert.ok(linha.agrupado_em, `${linha.id_externo} agrupada`);
+  }
+});
+
+test('agrupamento: uma falha não desfaz a coleta e a reclamação fica pendente', opcoes, async (t) => {
+  const empresa = 'Grupos falha';
+  t.mock.method(console, 'error', () => {});
+
+  // Sem a coluna cluster_id o agrupamento falha; o upsert não a usa
+  await consultar('ALTER TABLE reclamacoes RENAME COLUMN cluster_id TO cluster_id_fora');
+  let resultado;
+  try {
+    resultado = await banco.salvarReclamacoesDB([reclamacao(empresa, 'f1', 'Fatura cobrada em dobro no cartão')]);
+  } finally {
+    await consultar('ALTER TABLE reclamacoes RENAME COLUMN cluster_id_fora TO cluster_id');
+  }
+
+  assert.strictEqual(resultado.inseridas.length, 1);
+  assert.strictEqual((await gruposPorIdExterno(empresa)).get('f1').agrupado_em, null);
+
+  // A próxima coleta da empresa agrupa as pendentes também
+  await banco.salvarReclamacoesDB([reclamacao(empresa, 'f2', 'Fatura cobrada em dobro no cartão de crédito')]);
+
+  const grupos = await gruposPorIdExterno(empresa);
+  const f1 = grupos.get('f1');
+  assert.ok(f1.agrupado_em);
+  assert.strictEqual(f1.cluster_id, f1.id);
+  assert.strictEqual(grupos.get('f2').cluster_id, f1.id);
+});
@@ -0,0 +1,63 @@
+// ========================================
+// TESTES - DATAS
+// ========================================
+// Referência fixa: 15/03/2024 às 09:00 em Brasília (12:00 UTC)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { interpretarDataReclamacao, limiteDoDia } = require('../src/datas');
+
+const REFERENCIA = new Date('2024-03-15T12:00:00.000Z');
+
+function interpretar(texto) {
+  const data = interpretarDataReclamacao(texto, REFERENCIA);
+  return data && data.toISOString();
+}
+
+// ========================================
+// RELATIVAS
+// ========================================
+test('datas relativas contam a partir da coleta', () => {
+  assert.strictEqual(interpretar('Há 2 horas'), '2024-03-15T10:00:00.000Z');
+  assert.strictEqual(interpretar('há uma semana'), '2024-03-08T12:00:00.000Z');
+  assert.strictEqual(interpretar('Há 3 meses'), '2023-12-15T12:00:00.000Z');
+  assert.strictEqual(interpretar('Agora'), '2024-03-15T12:00:00.000Z');
+});
+
+test('hoje e ontem usam o dia de Brasília', () => {
+  assert.strictEqual(interpretar('Hoje às 08:30'), '2024-03-15T11:30:00.000Z');
+  assert.strictEqual(interpretar('Ontem às 23:10'), '2024-03-15T02:10:00.000Z');
+
+  // 01:00 UTC ainda é o dia anterior em Brasília
+  const madrugada = interpretarDataReclamacao('Ontem', new Date('2024-03-16T01:00:00.000Z'));
+  assert.strictEqual(madrugada.toISOString(), '2024-03-14T03:00:00.000Z');
+});
+
+// ========================================
+// ABSOLUTAS
+// ========================================
+test('datas absolutas são lidas no horário de Brasília', () => {
+  assert.strictEqual(interpretar('12/03/2024 às 14:22'), '2024-03-12T17:22:00.000Z');
+  assert.strictEqual(interpretar('12/03/24'), '2024-03-12T03:00:00.000Z');
+  assert.strictEqual(interpretar('1 de março de 2024'), '2024-03-01T03:00:00.000Z');
+});
+
+test('texto vazio, ISO ou dia inexistente não viram data', () => {
+  assert.strictEqual(interpretar(''), null);
+  assert.strictEqual(interpretar(null), null);
+  assert.strictEqual(interpretar('31/02/2024'), null);
+  assert.strictEqual(interpretar('sem data'), null);
+
+  // O horário da coleta em ISO não é a data da reclamação
+  assert.strictEqual(interpretar('2024-03-15T12:00:00.000Z'), null);
+});
+
+// ========================================
+// LIMITES DO DIA
+// ========================================
+test('limiteDoDia cobre o dia inteiro em Brasília', () => {
+  assert.strictEqual(limiteDoDia('2024-03-01').toISOString(), '2024-03-01T03:00:00.000Z');
+  assert.strictEqual(limiteDoDia('2024-03-01', true).toISOString(), '2024-03-02T02:59:59.999Z');
+  assert.strictEqual(limiteDoDia('2024-02-30'), null);
+  assert.strictEqual(limiteDoDia('01/03/2024'), null);
+});
@@ -0,0 +1,90 @@
+// ========================================
+// TESTES - ERROS
+// ========================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  ErroScraper,
+  ErroEmpresaNaoEncontrada,
+  ErroAcessoBloqueado,
+  ErroLimiteRequisicoes,
+  ErroServidorRemoto,
+  ErroSemResposta,
+  ErroApi,
+  ErroValidacao,
+  ErroConflito,
+  statusApiDoScraper,
+  descreverErro
+} = require('../src/erros');
+
+// ========================================
+// ERROS DO SCRAPER
+// ========================================
+test('403 e 404 são permanentes; 429, 5xx e sem resposta são transitórios', () => {
+  assert.strictEqual(new ErroEmpresaNaoEncontrada().transitorio, false);
+  assert.strictEqual(new ErroAcessoBloqueado().transitorio, false);
+
+  assert.strictEqual(new ErroLimiteRequisicoes().transitorio, true);
+  assert.strictEqual(new ErroServidorRemoto(503).transitorio, true);
+  assert.strictEqual(new ErroSemResposta().transitorio, true);
+});
+
+test('erros do scraper guardam código, status e Retry-After', () => {
+  const erro = new ErroServidorRemoto(503, 5000);
+
+  assert.ok(erro instanceof ErroScraper);
+  assert.strictEqual(erro.name, 'ErroServidorRemoto');
+  assert.strictEqual(erro.codigo, 'ERRO_SERVIDOR_REMOTO');
+  assert.strictEqual(erro.statusHttp, 503);
+  assert.strictEqual(erro.retryAfterMs, 5000);
+  assert.strictEqual(erro.message, 'Reclame Aqui respondeu com erro 503');
+});
+
+test('statusApiDoScraper trata falha do Reclame Aqui como serviço externo', () => {
+  assert.strictEqual(statusApiDoScraper('EMPRESA_NAO_ENCONTRADA'), 404);
+  assert.strictEqual(statusApiDoScraper('ACESSO_BLOQUEADO'), 502);
+  assert.strictEqual(statusApiDoScraper('LIMITE_REQUISICOES'), 503);
+  assert.strictEqual(statusApiDoScraper('SEM_RESPOSTA'), 504);
+  assert.strictEqual(statusApiDoScraper('RESPOSTA_INESPERADA'), 502);
+});
+
+// ========================================
+// ERROS DA API
+// ========================================
+test('ErroValidacao usa a primeira falha e lista todas em detalhes', () => {
+  const falhas = [
+    { campo: 'intervalo', local: 'body', codigo: 'INTERVALO_INVALIDO', mensagem: 'intervalo inválido' },
+    { campo: 'empresa', local: 'body', codigo: 'CAMPO_OBRIGATORIO', mensagem: 'empresa é obrigatório' }
+  ];
+  const erro = new ErroValidacao(falhas);
+
+  assert.ok(erro instanceof ErroApi);
+  assert.strictEqual(erro.status, 400);
+  assert.strictEqual(erro.codigo, 'INTERVALO_INVALIDO');
+  assert.strictEqual(erro.message, 'intervalo inválido');
+  assert.deepStrictEqual(erro.detalhes, falhas);
+});
+
+test('descreverErro monta a resposta de erros da API e do scraper', () => {
+  assert.deepStrictEqual(descreverErro(new ErroConflito('SLUG_EM_CONFLITO', 'Slug em uso')), {
+    status: 409,
+    codigo: 'SLUG_EM_CONFLITO',
+    mensagem: 'Slug em uso',
+    detalhes: null,
+    retryAfterMs: null
+  });
+
+  assert.deepStrictEqual(descreverErro(new ErroLimiteRequisicoes(30000)), {
+    status: 503,
+    codigo: 'LIMITE_REQUISICOES',
+    mensagem: 'Muitas requisições ao Reclame Aqui',
+    detalhes: null,
+    retryAfterMs: 30000
+  });
+});
+
+test('descreverErro devolve null para erro inesperado', () => {
+  assert.strictEqual(descreverErro(new Error('boom')), null);
+  assert.strictEqual(descreverErro(new TypeError('x is undefined')), null);
+});
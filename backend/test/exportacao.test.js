@@ -0,0 +1,111 @@
+// ========================================
+// TESTES - EXPORTAÇÃO
+// ========================================
+// A resposta HTTP é um Writable lento; as linhas vêm de um
+// percorrerReclamacoes falso
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const { usarBancoFalso } = require('./apoio/bancoFalso');
+const { silenciarLogs } = require('./apoio/silenciarLogs');
+
+let linhas = [];
+let respostaDaVez = null;
+let linhasComBufferCheio = 0;
+
+// Como o cursor do Postgres, entrega as linhas em lotes e volta ao
+// event loop entre eles (é quando o ExcelJS escreve na resposta)
+const LOTE = 100;
+
+silenciarLogs();
+
+usarBancoFalso({
+  percorrerReclamacoes: async (filtros, opcoes, processarLinha) => {
+    for (const [indice, linha] of linhas.entries()) {
+      if (indice % LOTE === 0) await new Promise(resolve => setImmediate(resolve));
+
+      await processarLinha(linha);
+
+      // A próxima linha só pode ser lida com a resposta drenada
+      if (respostaDaVez.writableNeedDrain) linhasComBufferCheio++;
+    }
+    return linhas.length;
+  }
+});
+
+const { exportarReclamacoes } = require('../src/exportacao');
+
+// Cliente que lê devagar: buffer pequeno e cada pedaço demora um tick
+function respostaLenta() {
+  const pedacos = [];
+  const res = new Writable({
+    highWaterMark: 1024,
+    write(pedaco, codificacao, pronto) {
+      pedacos.push(Buffer.from(pedaco));
+      setImmediate(pronto);
+    }
+  });
+
+  res.cabecalhos = {};
+  res.setHeader = (nome, valor) => { res.cabecalhos[nome] = valor; };
+  res.conteudo = () => Buffer.concat(pedacos);
+  respostaDaVez = res;
+
+  return res;
+}
+
+function gerarLinhas(total) {
+  return Array.from({ length: total }, (_, indice) => ({
+    id: indice + 1,
+    id_externo: `rec-${indice + 1}`,
+    empresa: 'Acme',
+    titulo: `Reclamação ${indice + 1} ${'texto longo '.repeat(20)}`,
+    descricao: '=HYPERLINK("http://exemplo")',
+    status: 'Não respondida',
+    categorias: ['entrega', 'reembolso'],
+    coletado_em: new Date('2024-03-15T12:00:00.000Z')
+  }));
+}
+
+async function esperarFim(res) {
+  if (res.writableFinished) return;
+  await new Promise(resolve => res.once('finish', resolve));
+}
+
+// ========================================
+// CSV
+// ========================================
+test('CSV sai com BOM, cabeçalho e fórmulas neutralizadas', async () => {
+  linhas = gerarLinhas(2);
+  const res = respostaLenta();
+
+  const total = await exportarReclamacoes(res, 'csv');
+  await esperarFim(res);
+
+  assert.strictEqual(total, 2);
+  assert.match(res.cabecalhos['Content-Disposition'], /reclamacoes-.*\.csv/);
+
+  const texto = res.conteudo().toString('utf8');
+  assert.ok(texto.startsWith('﻿ID,ID no Reclame Aqui,Empresa'));
+  assert.ok(texto.includes(`"'=HYPERLINK(""http://exemplo"")"`));
+  assert.ok(texto.includes('"entrega, reembolso"'));
+});
+
+// ========================================
+// XLSX COM CLIENTE LENTO
+// ========================================
+test('XLSX espera a resposta drenar antes de ler a próxima linha', async () => {
+  linhas = gerarLinhas(3000);
+  linhasComBufferCheio = 0;
+  const res = respostaLenta();
+
+  const total = await exportarReclamacoes(res, 'xlsx');
+  await esperarFim(res);
+
+  assert.strictEqual(total, 3000);
+  assert.strictEqual(linhasComBufferCheio, 0);
+
+  // Arquivo zip completo (assinatura PK no início)
+  assert.strictEqual(res.conteudo().subarray(0, 2).toString(), 'PK');
+});
@@ -0,0 +1,55 @@
+// ========================================
+// TESTES - LOCAIS
+// ========================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ESTADOS, validarUf, interpretarLocal } = require('../src/locais');
+
+// ========================================
+// UF
+// ========================================
+test('validarUf aceita sigla ou nome do estado', () => {
+  assert.strictEqual(validarUf('sp'), 'SP');
+  assert.strictEqual(validarUf(' RJ '), 'RJ');
+  assert.strictEqual(validarUf('São Paulo'), 'SP');
+  assert.strictEqual(validarUf('paraiba'), 'PB');
+});
+
+test('validarUf recusa o que não é unidade da federação', () => {
+  assert.strictEqual(validarUf('XX'), null);
+  assert.strictEqual(validarUf('Não informado'), null);
+  assert.strictEqual(validarUf(''), null);
+  assert.strictEqual(validarUf(35), null);
+});
+
+test('são as 27 unidades da federação', () => {
+  assert.strictEqual(Object.keys(ESTADOS).length, 27);
+});
+
+// ========================================
+// LOCAL
+// ========================================
+test('interpretarLocal separa cidade e UF nos formatos do site', () => {
+  assert.deepStrictEqual(interpretarLocal('São Paulo - SP'), { cidade: 'São Paulo', uf: 'SP' });
+  assert.deepStrictEqual(interpretarLocal('Curitiba/PR'), { cidade: 'Curitiba', uf: 'PR' });
+  assert.deepStrictEqual(interpretarLocal('Recife,  Pernambuco'), { cidade: 'Recife', uf: 'PE' });
+});
+
+test('interpretarLocal usa o último separador', () => {
+  assert.deepStrictEqual(interpretarLocal('Embu-Guaçu - SP'), { cidade: 'Embu-Guaçu', uf: 'SP' });
+});
+
+test('interpretarLocal aceita só a UF', () => {
+  assert.deepStrictEqual(interpretarLocal('MG'), { cidade: null, uf: 'MG' });
+  assert.deepStrictEqual(interpretarLocal('Distrito Federal'), { cidade: null, uf: 'DF' });
+});
+
+test('interpretarLocal devolve nulos quando não identifica', () => {
+  const vazio = { cidade: null, uf: null };
+
+  assert.deepStrictEqual(interpretarLocal('Não informado'), vazio);
+  assert.deepStrictEqual(interpretarLocal('Lisboa - Portugal'), vazio);
+  assert.deepStrictEqual(interpretarLocal('   '), vazio);
+  assert.deepStrictEqual(interpretarLocal(null), vazio);
+});
@@ -0,0 +1,190 @@
+// ========================================
+// TESTES - RELATÓRIOS POR E-MAIL
+// ========================================
+// O e-mail vai para um servidor SMTP local (só o básico do
+// protocolo, sem TLS nem autenticação) que guarda as mensagens
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { usarBancoFalso } = require('./apoio/bancoFalso');
+const { silenciarLogs } = require('./apoio/silenciarLogs');
+
+const envios = [];
+
+silenciarLogs();
+
+usarBancoFalso({
+  buscarNovidadesEmpresa: async () => ({
+    novas: [
+      { titulo: 'Entrega <atrasada> & sem retorno', status: 'Não respondida', cidade: 'São Paulo', uf: 'SP', link: 'https://www.reclameaqui.com.br/reclamacao/abc' }
+    ],
+    totalNovas: 3,
+    mudancas: [
+      { titulo: 'Reembolso pendente', valor_anterior: 'Não respondida', valor_novo: 'Resolvido', link: null }
+    ],
+    totalMudancas: 1
+  }),
+  // Período atual com 12 reclamações, anterior com 8
+  obterResumoPeriodo: async (empresa, { de }) => (
+    de.getTime() === ATUAL_DE
+      ? { total: 12, taxaResposta: 75, taxaSolucao: 50 }
+      : { total: 8, taxaResposta: null, taxaSolucao: null }
+  ),
+  registrarEnvioRelatorio: async (id, erro = null) => {
+    envios.push({ id, erro });
+  },
+  listarRelatorios: async () => []
+});
+
+const { CONFIG, enviarRelatorio } = require('../src/relatorios');
+
+const REFERENCIA = new Date('2024-03-15T11:00:00.000Z');
+const ATUAL_DE = REFERENCIA.getTime() - 24 * 60 * 60 * 1000;
+
+// ========================================
+// SERVIDOR SMTP LOCAL
+// ========================================
+let servidor;
+const mensagens = [];
+
+before(async () => {
+  servidor = net.createServer((socket) => {
+    let buffer = '';
+    let emDados = false;
+    const mensagem = { de: null, para: [], dados: '' };
+
+    socket.setEncoding('utf8');
+    socket.write('220 localhost SMTP de teste\r\n');
+
+    socket.on('data', (parte) => {
+      buffer += parte;
+
+      if (emDados) {
+        const fim = buffer.indexOf('\r\n.\r\n');
+        if (fim === -1) return;
+
+        // Desfaz o "dot-stuffing" das linhas que começam com ponto
+        mensagem.dados = buffer.slice(0, fim).replace(/^\.\./gm, '.');
+        mensagens.push({ ...mensagem });
+        buffer = buffer.slice(fim + 5);
+        emDados = false;
+        socket.write('250 OK\r\n');
+      }
+
+      let quebra;
+      while (!emDados && (quebra = buffer.indexOf('\r\n')) !== -1) {
+        const linha = buffer.slice(0, quebra);
+        buffer = buffer.slice(quebra + 2);
+        const comando = linha.slice(0, 4).toUpperCase();
+
+        if (comando === 'EHLO' || comando === 'HELO') socket.write('250 localhost\r\n');
+        else if (comando === 'MAIL') { mensagem.de = linha; socket.write('250 OK\r\n'); }
+        else if (comando === 'RCPT') { mensagem.para.push(linha); socket.write('250 OK\r\n'); }
+        else if (comando === 'DATA') { emDados = true; socket.write('354 Termine com <CRLF>.<CRLF>\r\n'); }
+        else if (comando === 'QUIT') { socket.end('221 Tchau\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+
+  await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+
+  // O transporte é criado no primeiro envio, com estes valores
+  CONFIG.SMTP_HOST = '127.0.0.1';
+  CONFIG.SMTP_PORT = servidor.address().port;
+  CONFIG.SMTP_SECURE = false;
+  CONFIG.SMTP_USUARIO = null;
+  CONFIG.REMETENTE = 'Monitor <monitor@teste.local>';
+});
+
+after(() => {
+  if (servidor.listening) servidor.close();
+});
+
+// ========================================
+// LER A MENSAGEM MIME
+// ========================================
+// Corpo de cada parte (text/plain, text/html) já decodificado
+function decodificarQuotedPrintable(texto) {
+  const semQuebrasSuaves = texto.replace(/=\r\n/g, '');
+  const bytes = [];
+
+  for (let i = 0; i < semQuebrasSuaves.length; i++) {
+    if (semQuebrasSuaves[i] === '=' && /^[0-9A-F]{2}$/i.test(semQuebrasSuaves.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(semQuebrasSuaves.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(semQuebrasSuaves[i], 'utf8'));
+    }
+  }
+
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function lerParte(dados, tipo) {
+  const inicio = dados.search(new RegExp(`Content-Type: ${tipo}`, 'i'));
+  assert.ok(inicio !== -1, `parte ${tipo} não encontrada`);
+
+  const resto = dados.slice(inicio);
+  const separador = resto.indexOf('\r\n\r\n');
+  const cabecalhos = resto.slice(0, separador);
+  const corpo = resto.slice(separador + 4).split(/\r\n--/)[0];
+
+  if (/Content-Transfer-Encoding: quoted-printable/i.test(cabecalhos)) {
+    return decodificarQuotedPrintable(corpo);
+  }
+  if (/Content-Transfer-Encoding: base64/i.test(cabecalhos)) {
+    return Buffer.from(corpo.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  return corpo;
+}
+
+// ========================================
+// ENVIO
+// ========================================
+test('enviarRelatorio manda o resumo em texto e HTML pelo SMTP', async () => {
+  const relatorio = { id: 5, empresa: 'Acme', frequencia: 'diario', destinatarios: ['a@teste.local', 'b@teste.local'] };
+
+  const resultado = await enviarRelatorio(relatorio, REFERENCIA);
+
+  assert.deepStrictEqual({ novas: resultado.novas, mudancas: resultado.mudancas }, { novas: 3, mudancas: 1 });
+  assert.deepStrictEqual(envios, [{ id: 5, erro: null }]);
+  assert.strictEqual(mensagens.length, 1);
+
+  const [mensagem] = mensagens;
+  assert.match(mensagem.de, /monitor@teste\.local/);
+  assert.strictEqual(mensagem.para.length, 2);
+  assert.match(mensagem.dados, /^Subject: .*Resumo/m);
+
+  const texto = lerParte(mensagem.dados, 'text/plain');
+  assert.match(texto, /^Resumo diário - Acme/);
+  assert.match(texto, /Reclamações no período: 12 \(dia anterior: 8, \+50%\)/);
+  assert.match(texto, /Taxa de resposta: 75%/);
+  assert.match(texto, /RECLAMAÇÕES NOVAS \(3\)/);
+  assert.match(texto, /- Entrega <atrasada> & sem retorno \[Não respondida\] - São Paulo\/SP/);
+  assert.match(texto, /https:\/\/www\.reclameaqui\.com\.br\/reclamacao\/abc/);
+  assert.match(texto, /\.\.\. e mais 2/);
+  assert.match(texto, /- Reembolso pendente: Não respondida -> Resolvido/);
+
+  const html = lerParte(mensagem.dados, 'text/html');
+  assert.match(html, /<h2>Resumo diário - Acme<\/h2>/);
+  assert.match(html, /<a href="https:\/\/www\.reclameaqui\.com\.br\/reclamacao\/abc">Entrega &lt;atrasada&gt; &amp; sem retorno<\/a>/);
+  assert.match(html, /<strong>\[Não respondida\]<\/strong> - São Paulo\/SP/);
+  assert.match(html, /Reembolso pendente: Não respondida &rarr; <strong>Resolvido<\/strong>/);
+  assert.doesNotMatch(html, /<atrasada>/);
+});
+
+test('falha no SMTP fica registrada e sobe para quem chamou', async () => {
+  envios.length = 0;
+
+  // O transporte continua apontando para a porta, agora fechada
+  await new Promise(resolve => servidor.close(resolve));
+
+  const relatorio = { id: 6, empresa: 'Acme', frequencia: 'semanal', destinatarios: ['a@teste.local'] };
+  await assert.rejects(enviarRelatorio(relatorio, REFERENCIA));
+
+  assert.strictEqual(envios.length, 1);
+  assert.strictEqual(envios[0].id, 6);
+  assert.ok(envios[0].erro, 'erro do SMTP deveria ser registrado');
+});
@@ -0,0 +1,109 @@
+// ========================================
+// TESTES - SCHEDULER
+// ========================================
+// A execução fica parada no registro de início (banco falso)
+// para simular uma coleta demorada
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { usarBancoFalso } = require('./apoio/bancoFalso');
+const { silenciarLogs } = require('./apoio/silenciarLogs');
+
+let liberarInicio = null;
+const inicios = [];
+
+silenciarLogs();
+
+usarBancoFalso({
+  registrarInicioExecucao: (empresa, origem) => {
+    inicios.push({ empresa, origem });
+    return new Promise((resolve, reject) => {
+      liberarInicio = () => reject(new Error('Banco fora do ar'));
+    });
+  },
+  registrarFimExecucao: async () => {}
+});
+
+const { ORIGENS, executarMonitoramento, intervalParaCron, agruparPorEmpresa } = require('../src/scheduler');
+
+// ========================================
+// INTERVALOS
+// ========================================
+test('intervalParaCron converte intervalos amigáveis', () => {
+  assert.strictEqual(intervalParaCron('1h'), '0 * * * *');
+  assert.strictEqual(intervalParaCron('DIARIO'), '0 9 * * *');
+});
+
+test('intervalParaCron recusa intervalo desconhecido', () => {
+  assert.throws(() => intervalParaCron('2h'), (erro) => {
+    assert.strictEqual(erro.detalhes[0].codigo, 'INTERVALO_INVALIDO');
+    return true;
+  });
+});
+
+// ========================================
+// EXECUÇÕES SOBREPOSTAS
+// ========================================
+test('pula a execução enquanto a anterior da mesma empresa não termina', async () => {
+  const primeira = executarMonitoramento('Acme', ORIGENS.AGENDADA, 'acme');
+
+  const segunda = await executarMonitoramento('Acme', ORIGENS.AGENDADA, 'acme');
+  assert.strictEqual(segunda.emAndamento, true);
+  assert.strictEqual(segunda.codigo, 'EXECUCAO_EM_ANDAMENTO');
+  assert.strictEqual(inicios.length, 1);
+
+  liberarInicio();
+  const resultado = await primeira;
+  assert.strictEqual(resultado.sucesso, false);
+  assert.strictEqual(resultado.emAndamento, undefined);
+
+  // Terminada a anterior, a próxima volta a rodar
+  const terceira = executarMonitoramento('Acme', ORIGENS.MANUAL, 'acme');
+  assert.strictEqual(inicios.length, 2);
+  liberarInicio();
+  await terceira;
+});
+
+// ========================================
+// AGRUPAR CONFIGURAÇÕES
+// ========================================
+function configuracao(workspace, empresa, slug, intervalo, criadoEm) {
+  return { workspace, empresa, slug, intervalo, criado_em: new Date(criadoEm) };
+}
+
+test('nomes diferentes com o mesmo slug viram um job só, no nome mais antigo', () => {
+  // Como vem do banco: mais recentes primeiro
+  const empresas = agruparPorEmpresa([
+    configuracao('beta', 'Acme S.A.', 'acme', '1h', '2024-03-02'),
+    configuracao('alfa', 'Acme', 'acme', 'diario', '2024-03-01')
+  ]);
+
+  assert.deepStrictEqual([...empresas.keys()], ['Acme']);
+  assert.deepStrictEqual(empresas.get('Acme'), {
+    intervalo: '1h',
+    slug: 'acme',
+    nomes: ['Acme', 'Acme S.A.'],
+    workspaces: ['alfa', 'beta']
+  });
+});
+
+test('sem slug salvo agrupa pelo slug gerado do nome', () => {
+  const empresas = agruparPorEmpresa([
+    configuracao('alfa', 'Loja Boa', null, '6h', '2024-03-01'),
+    configuracao('beta', 'loja boa', 'loja-boa', '12h', '2024-03-02')
+  ]);
+
+  assert.deepStrictEqual([...empresas.keys()], ['Loja Boa']);
+  assert.strictEqual(empresas.get('Loja Boa').slug, 'loja-boa');
+});
+
+test('o mesmo nome com outro slug fica no job existente', () => {
+  const empresas = agruparPorEmpresa([
+    configuracao('alfa', 'Acme', 'acme', '1h', '2024-03-01'),
+    configuracao('beta', 'Acme', 'acme-brasil', '30min', '2024-03-02')
+  ]);
+
+  assert.strictEqual(empresas.size, 1);
+  assert.strictEqual(empresas.get('Acme').slug, 'acme');
+  assert.deepStrictEqual(empresas.get('Acme').workspaces, ['alfa', 'beta']);
+});
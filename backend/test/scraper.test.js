@@ -0,0 +1,124 @@
+// ========================================
+// TESTES - SCRAPER
+// ========================================
+// Só as partes que não dependem do site: as requisições
+// não saem daqui
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const {
+  lerRetryAfter,
+  converterErroHttp,
+  calcularEspera,
+  gerarSlug,
+  escolherCandidata,
+  extrairReclamacoes
+} = require('../src/scraper');
+const { ErroSemResposta } = require('../src/erros');
+
+// Erro no formato do axios
+function erroHttp(status, cabecalhos = {}) {
+  const erro = new Error(`Request failed with status code ${status}`);
+  erro.response = { status, headers: cabecalhos };
+  return erro;
+}
+
+// ========================================
+// RETRY-AFTER
+// ========================================
+test('lerRetryAfter aceita segundos ou data HTTP', () => {
+  assert.strictEqual(lerRetryAfter('120'), 120 * 1000);
+  assert.strictEqual(lerRetryAfter(undefined), null);
+  assert.strictEqual(lerRetryAfter('amanhã'), null);
+
+  const daquiA10s = new Date(Date.now() + 10 * 1000).toUTCString();
+  const espera = lerRetryAfter(daquiA10s);
+  assert.ok(espera > 8 * 1000 && espera <= 10 * 1000, `espera inesperada: ${espera}ms`);
+
+  // Data no passado não vira espera negativa
+  assert.strictEqual(lerRetryAfter(new Date(0).toUTCString()), 0);
+});
+
+// ========================================
+// CONVERSÃO DE ERROS HTTP
+// ========================================
+test('converterErroHttp tipa as respostas de erro do site', () => {
+  assert.strictEqual(converterErroHttp(erroHttp(404)).codigo, 'EMPRESA_NAO_ENCONTRADA');
+  assert.strictEqual(converterErroHttp(erroHttp(403)).codigo, 'ACESSO_BLOQUEADO');
+  assert.strictEqual(converterErroHttp(erroHttp(502)).codigo, 'ERRO_SERVIDOR_REMOTO');
+
+  const limite = converterErroHttp(erroHttp(429, { 'retry-after': '3' }));
+  assert.strictEqual(limite.codigo, 'LIMITE_REQUISICOES');
+  assert.strictEqual(limite.retryAfterMs, 3000);
+
+  const inesperado = converterErroHttp(erroHttp(418));
+  assert.strictEqual(inesperado.codigo, 'RESPOSTA_INESPERADA');
+  assert.strictEqual(inesperado.transitorio, false);
+});
+
+test('converterErroHttp trata requisição sem resposta como transitória', () => {
+  const timeout = new Error('timeout of 10000ms exceeded');
+  timeout.request = {};
+
+  const erro = converterErroHttp(timeout);
+  assert.ok(erro instanceof ErroSemResposta);
+  assert.strictEqual(erro.transitorio, true);
+});
+
+// ========================================
+// BACKOFF
+// ========================================
+test('calcularEspera respeita o Retry-After do site', () => {
+  assert.strictEqual(calcularEspera({ retryAfterMs: 7000 }, 1), 7000);
+  assert.strictEqual(calcularEspera({ retryAfterMs: 0 }, 3), 0);
+});
+
+test('calcularEspera dobra a cada tentativa, com jitter de até 100%', () => {
+  for (let tentativa = 1; tentativa <= 3; tentativa++) {
+    const base = 1000 * Math.pow(2, tentativa - 1);
+    const espera = calcularEspera({ retryAfterMs: null }, tentativa);
+    assert.ok(espera >= base && espera < base * 2, `tentativa ${tentativa}: ${espera}ms`);
+  }
+});
+
+// ========================================
+// SLUG DA EMPRESA
+// ========================================
+test('gerarSlug tira acentos e pontuação', () => {
+  assert.strictEqual(gerarSlug('Banco do Brasil'), 'banco-do-brasil');
+  assert.strictEqual(gerarSlug('  Lojas Americanas S.A. '), 'lojas-americanas-sa');
+  assert.strictEqual(gerarSlug('Pão de Açúcar'), 'pao-de-acucar');
+});
+
+test('escolherCandidata só aceita candidatas com o mesmo nome', () => {
+  const candidatas = [
+    { nome: 'Magazine Luiza - Loja Online', slug: 'magazine-luiza-loja-online' },
+    { nome: 'Magazine Luíza', slug: 'magazine-luiza' }
+  ];
+
+  assert.deepStrictEqual(escolherCandidata('magazine luiza', candidatas).map(c => c.slug), ['magazine-luiza']);
+  assert.deepStrictEqual(escolherCandidata('Magalu', candidatas), []);
+});
+
+// ========================================
+// CARDS DA LISTA
+// ========================================
+test('card sem data fica com data null, não com o horário da coleta', () => {
+  const $ = cheerio.load(`
+    <div class="sc-1pe7b5t-0">
+      <a href="/acme/produto-quebrado_abc123"></a>
+      <h4 data-testid="complaint-title">Produto quebrado</h4>
+      <span data-testid="complaint-creation-date">Há 2 horas</span>
+    </div>
+    <div class="sc-1pe7b5t-0">
+      <a href="/acme/sem-data_def456"></a>
+      <h4 data-testid="complaint-title">Sem data</h4>
+    </div>`);
+
+  const [comData, semData] = extrairReclamacoes($, 'Acme');
+
+  assert.strictEqual(comData.data, 'Há 2 horas');
+  assert.strictEqual(comData.id, 'produto-quebrado_abc123');
+  assert.strictEqual(semData.data, null);
+});
@@ -0,0 +1,77 @@
+// ========================================
+// TESTES - SENTIMENTO
+// ========================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { analisarSentimento } = require('../src/sentimento');
+
+function analisar(titulo, descricao = '') {
+  return analisarSentimento({ titulo, descricao });
+}
+
+// ========================================
+// SENTIMENTO
+// ========================================
+test('texto sem palavras do léxico é neutro', () => {
+  assert.deepStrictEqual(analisar('Pedido de informação'), { sentimento: 0, severidade: 0, termosJuridicos: [] });
+  assert.deepStrictEqual(analisarSentimento({}), { sentimento: 0, severidade: 0, termosJuridicos: [] });
+});
+
+test('sentimento fica entre -1 e 1, com três casas', () => {
+  // ruim = -2 -> -2 / sqrt(4 + 15)
+  assert.strictEqual(analisar('Produto ruim').sentimento, -0.459);
+  assert.strictEqual(analisar('Excelente, resolveram rápido').sentimento, 0.875);
+  assert.ok(analisar('Péssimo, horrível, golpe, fraude, roubo').sentimento > -1);
+});
+
+test('radicais pegam as variações da palavra', () => {
+  assert.strictEqual(analisar('enganados pela loja').sentimento, analisar('enganada pela loja').sentimento);
+});
+
+test('negação inverte e atenua as palavras seguintes', () => {
+  const negada = analisar('Produto não ruim').sentimento;
+  assert.ok(negada > 0 && negada < 0.459, `sentimento inesperado: ${negada}`);
+
+  // Fora da janela de 3 palavras a negação não vale
+  assert.ok(analisar('não comprei esse item mas excelente').sentimento > 0);
+});
+
+test('intensificador aumenta o peso da próxima palavra', () => {
+  assert.ok(analisar('Produto muito ruim').sentimento < analisar('Produto ruim').sentimento);
+  assert.ok(analisar('Produto pouco ruim').sentimento > analisar('Produto ruim').sentimento);
+});
+
+test('negação não atravessa pontuação', () => {
+  // "absurdo" continua negativo depois da vírgula
+  assert.strictEqual(analisar('nunca mais compro, absurdo').sentimento, analisar('absurdo').sentimento);
+});
+
+// ========================================
+// SEVERIDADE
+// ========================================
+test('termos jurídicos somam 20 cada, até 40', () => {
+  const resultado = analisar('Vou ao Procon e falar com meu advogado sobre o processo');
+
+  assert.deepStrictEqual(resultado.termosJuridicos, ['procon', 'advogad', 'processo']);
+  assert.strictEqual(resultado.severidade, 40);
+  assert.strictEqual(analisar('Registrei no consumidor.gov').severidade, 20);
+});
+
+test('ênfase (exclamações e caixa alta) soma até 10', () => {
+  const calmo = analisar('Péssimo atendimento');
+  const gritando = analisar('PÉSSIMO ATENDIMENTO!!!!!!');
+
+  assert.strictEqual(calmo.sentimento, gritando.sentimento);
+  assert.strictEqual(gritando.severidade - calmo.severidade, 10);
+});
+
+test('severidade não passa de 100', () => {
+  const resultado = analisar(
+    'GOLPE!!!!! FRAUDE!!!!! LADRÕES',
+    'Péssimo, horrível, roubo. Vou ao Procon, ao juizado e ao advogado pedir danos morais'
+  );
+
+  assert.ok(resultado.severidade <= 100);
+  assert.ok(resultado.severidade >= 90);
+});
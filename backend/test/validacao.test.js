@@ -0,0 +1,126 @@
+// ========================================
+// TESTES - VALIDAÇÃO
+// ========================================
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  texto,
+  opcao,
+  inteiro,
+  numero,
+  booleano,
+  data,
+  email,
+  urlHttp,
+  lista,
+  validar,
+  erroDeCampo
+} = require('../src/validacao');
+
+// Roda o middleware e devolve { erro, req }
+function chamar(esquemas, partes) {
+  const req = { params: {}, query: {}, body: {}, ...partes };
+  let erro = null;
+
+  validar(esquemas)(req, {}, (resultado) => {
+    erro = resultado || null;
+  });
+
+  return { erro, req };
+}
+
+// ========================================
+// TIPOS
+// ========================================
+test('texto apara, limita o tamanho e confere as opções', () => {
+  assert.strictEqual(texto().converter('  Acme  '), 'Acme');
+  assert.strictEqual(opcao(['1h', 'diario'], { minusculas: true }).converter('DIARIO'), 'diario');
+
+  assert.throws(() => texto().converter('   '), /não pode ser vazio/);
+  assert.throws(() => texto({ max: 3 }).converter('abcd'), /no máximo 3 caracteres/);
+  assert.throws(() => opcao(['1h']).converter('2h'), /deve ser um de: 1h/);
+  assert.throws(() => texto().converter(10), /deve ser um texto/);
+});
+
+test('inteiro e numero convertem texto da query e respeitam a faixa', () => {
+  assert.strictEqual(inteiro().converter(' 42 '), 42);
+  assert.strictEqual(numero().converter('2.5'), 2.5);
+
+  assert.throws(() => inteiro().converter('4.2'), /deve ser um inteiro$/);
+  assert.throws(() => inteiro({ min: 1, max: 100 }).converter('0'), /entre 1 e 100/);
+  assert.throws(() => inteiro({ min: 1 }).converter('1e3'), /maior ou igual a 1/);
+  assert.throws(() => numero({ max: 1 }).converter('abc'), /menor ou igual a 1/);
+});
+
+test('booleano, data, email e url', () => {
+  assert.strictEqual(booleano().converter('false'), false);
+  assert.throws(() => booleano().converter('sim'), /true ou false/);
+
+  assert.strictEqual(data().converter('2024-03-15 '), '2024-03-15');
+  assert.throws(() => data().converter('15/13/2024'), /data válida/);
+
+  assert.strictEqual(email().converter('a@b.com'), 'a@b.com');
+  assert.throws(() => email().converter('a b@c'), /e-mail válido/);
+
+  assert.strictEqual(urlHttp().converter('https://exemplo.com/x'), 'https://exemplo.com/x');
+  assert.throws(() => urlHttp().converter('ftp://exemplo.com'), /url http ou https/);
+  assert.throws(() => urlHttp().converter('não é url'), /url http ou https/);
+});
+
+test('lista aceita separador, remove repetidos e aponta o item inválido', () => {
+  const tipo = lista(inteiro(), { separador: ',', unicos: true, max: 3 });
+
+  assert.deepStrictEqual(tipo.converter('1, 2,,1'), [1, 2]);
+  assert.throws(() => tipo.converter('1,x'), /item inválido na posição 1: deve ser um inteiro/);
+  assert.throws(() => tipo.converter('1,2,3,4'), /no máximo 3 itens/);
+  assert.throws(() => lista(texto(), { min: 1 }).converter([]), /não pode ser vazia/);
+});
+
+// ========================================
+// MIDDLEWARE
+// ========================================
+test('validar troca os valores pelos convertidos e aplica o padrão', () => {
+  const { erro, req } = chamar(
+    { query: { limite: inteiro({ padrao: 50 }), pagina: inteiro({ padrao: 1 }) } },
+    { query: { limite: '10', pagina: '', extra: 'x' } }
+  );
+
+  assert.strictEqual(erro, null);
+  assert.deepStrictEqual(req.query, { limite: 10, pagina: 1, extra: 'x' });
+});
+
+test('validar junta as falhas de todas as partes num ErroValidacao', () => {
+  const { erro, req } = chamar(
+    {
+      params: { id: inteiro({ min: 1 }) },
+      body: { empresa: texto({ obrigatorio: true }), data_de: data() }
+    },
+    { params: { id: '0' }, body: { data_de: 'ontem' } }
+  );
+
+  assert.strictEqual(erro.status, 400);
+  assert.strictEqual(erro.codigo, 'ID_INVALIDO');
+  assert.deepStrictEqual(erro.detalhes.map(falha => [falha.local, falha.campo, falha.codigo]), [
+    ['params', 'id', 'ID_INVALIDO'],
+    ['body', 'empresa', 'CAMPO_OBRIGATORIO'],
+    ['body', 'data_de', 'DATA_DE_INVALIDO']
+  ]);
+
+  // Com falha, a parte fica como chegou
+  assert.strictEqual(req.params.id, '0');
+});
+
+test('corpo que não é objeto responde CORPO_INVALIDO', () => {
+  const { erro } = chamar({ body: { nome: texto() } }, { body: ['a'] });
+  assert.strictEqual(erro.codigo, 'CORPO_INVALIDO');
+});
+
+test('erroDeCampo gera o código a partir do nome do campo', () => {
+  const erro = erroDeCampo('período', 'de deve ser antes de ate');
+
+  assert.strictEqual(erro.codigo, 'PERIODO_INVALIDO');
+  assert.deepStrictEqual(erro.detalhes, [
+    { campo: 'período', local: 'query', codigo: 'PERIODO_INVALIDO', mensagem: 'de deve ser antes de ate' }
+  ]);
+});
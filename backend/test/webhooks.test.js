@@ -0,0 +1,172 @@
+// ========================================
+// TESTES - WEBHOOKS
+// ========================================
+// As entregas vão para um servidor HTTP local; a fila de entregas
+// fica em memória no lugar do banco
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { usarBancoFalso } = require('./apoio/bancoFalso');
+const { silenciarLogs } = require('./apoio/silenciarLogs');
+
+// Fila falsa: listarEntregasPendentes entrega o que estiver aqui
+const pendentes = [];
+const tentativas = [];
+
+silenciarLogs();
+
+usarBancoFalso({
+  listarEntregasPendentes: async () => pendentes.splice(0),
+  registrarTentativaEntrega: async (id, dados) => {
+    tentativas.push({ id, ...dados });
+  },
+  enfileirarEntregas: async (empresa, evento, payload) => {
+    const entrega = { id: 99, webhook_id: 3, evento, payload, tentativas: 0, url: `${base}/lento`, segredo: 'segredo' };
+    pendentes.push(entrega);
+    return [entrega];
+  }
+});
+
+const { EVENTOS, assinar, dispararEvento, processarPendentes } = require('../src/webhooks');
+
+// ========================================
+// DESTINO LOCAL
+// ========================================
+// /ok responde 200, /erro responde 500 e /lento só responde
+// quando o teste chamar liberarLento()
+let servidor;
+let base;
+let liberarLento = null;
+const recebidas = [];
+
+before(async () => {
+  servidor = http.createServer((req, res) => {
+    let corpo = '';
+    req.on('data', parte => { corpo += parte; });
+    req.on('end', () => {
+      recebidas.push({ caminho: req.url, cabecalhos: req.headers, corpo });
+
+      if (req.url === '/lento') {
+        liberarLento = () => res.end('ok');
+        return;
+      }
+
+      res.statusCode = req.url === '/ok' ? 200 : 500;
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => {
+  servidor.closeAllConnections();
+  servidor.close();
+});
+
+function novaEntrega(caminho, extra = {}) {
+  return {
+    id: 1,
+    webhook_id: 7,
+    evento: EVENTOS.RECLAMACAO_NOVA,
+    payload: { evento: EVENTOS.RECLAMACAO_NOVA, empresa: 'Acme', dados: { reclamacao: { id: 'abc' } } },
+    tentativas: 0,
+    url: `${base}${caminho}`,
+    segredo: 'segredo-do-webhook',
+    ...extra
+  };
+}
+
+async function esperarAte(condicao, limiteMs = 5000) {
+  const inicio = Date.now();
+  while (!condicao()) {
+    if (Date.now() - inicio > limiteMs) throw new Error('Tempo esgotado esperando a condição');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// ========================================
+// ASSINATURA
+// ========================================
+test('assinar usa HMAC-SHA256 do corpo com o segredo', () => {
+  const esperado = crypto.createHmac('sha256', 'segredo').update('{"a":1}').digest('hex');
+
+  assert.strictEqual(assinar('{"a":1}', 'segredo'), `sha256=${esperado}`);
+});
+
+// ========================================
+// ENVIO
+// ========================================
+test('entrega pendente é enviada com evento, id e assinatura do corpo', async () => {
+  recebidas.length = 0;
+  tentativas.length = 0;
+  pendentes.push(novaEntrega('/ok'));
+
+  const entregues = await processarPendentes();
+
+  assert.strictEqual(entregues, 1);
+  assert.strictEqual(recebidas.length, 1);
+
+  const [{ cabecalhos, corpo }] = recebidas;
+  assert.deepStrictEqual(JSON.parse(corpo), novaEntrega('/ok').payload);
+  assert.strictEqual(cabecalhos['content-type'], 'application/json');
+  assert.strictEqual(cabecalhos['x-webhook-evento'], EVENTOS.RECLAMACAO_NOVA);
+  assert.strictEqual(cabecalhos['x-webhook-entrega'], '1');
+  assert.strictEqual(cabecalhos['x-webhook-assinatura'], assinar(corpo, 'segredo-do-webhook'));
+
+  assert.deepStrictEqual(tentativas, [{ id: 1, status: 'entregue', statusHttp: 200 }]);
+});
+
+test('falha do destino deixa a entrega pendente com backoff', async () => {
+  tentativas.length = 0;
+  pendentes.push(novaEntrega('/erro'));
+
+  const antes = Date.now();
+  const entregues = await processarPendentes();
+
+  assert.strictEqual(entregues, 0);
+  assert.strictEqual(tentativas.length, 1);
+
+  const [tentativa] = tentativas;
+  assert.strictEqual(tentativa.status, 'pendente');
+  assert.strictEqual(tentativa.statusHttp, 500);
+
+  // Primeira falha: próxima tentativa em 30 segundos
+  const espera = tentativa.proximaTentativaEm.getTime() - antes;
+  assert.ok(espera >= 30 * 1000 && espera < 31 * 1000, `espera inesperada: ${espera}ms`);
+});
+
+test('desiste depois da última tentativa', async () => {
+  tentativas.length = 0;
+  pendentes.push(novaEntrega('/erro', { tentativas: 5 }));
+
+  await processarPendentes();
+
+  assert.strictEqual(tentativas[0].status, 'falhou');
+  assert.strictEqual(tentativas[0].proximaTentativaEm, null);
+});
+
+// ========================================
+// DISPARO SÓ ENFILEIRA
+// ========================================
+test('dispararEvento enfileira e volta sem esperar o destino', async () => {
+  recebidas.length = 0;
+  tentativas.length = 0;
+
+  const total = await dispararEvento('Acme', EVENTOS.STATUS_ALTERADO, { id_externo: 'abc' });
+  assert.strictEqual(total, 1);
+  assert.strictEqual(tentativas.length, 0);
+
+  // A rodada acordada em segundo plano chega ao destino, que ainda não respondeu
+  await esperarAte(() => liberarLento !== null);
+  assert.strictEqual(recebidas[0].caminho, '/lento');
+  assert.strictEqual(JSON.parse(recebidas[0].corpo).dados.id_externo, 'abc');
+  assert.strictEqual(tentativas.length, 0);
+
+  liberarLento();
+  await esperarAte(() => tentativas.length === 1);
+  assert.strictEqual(tentativas[0].status, 'entregue');
+});